@@ -7,23 +7,72 @@ const express = require("express");
 const cors = require("cors");
 const { Telegraf } = require("telegraf");
 const { pool, withTransaction } = require("./lib/db");
-const { applyBalanceChange, applyBalanceChangeTx } = require("./lib/ledger");
-const { enqueueJob } = require("./lib/jobs");
+const {
+  applyBalanceChange,
+  applyBalanceChangeTx,
+  InsufficientBalanceError,
+} = require("./lib/ledger");
+const {
+  enqueueJob,
+  enqueueJobTx,
+  requeueDeadLetterJobTx,
+  WORKER_LEASE_TIMEOUT_MS,
+} = require("./lib/jobs");
+const { bufferTapRewardTx } = require("./lib/tapBuffer");
+const { createSnapshotRunTx, getBalanceAt } = require("./lib/snapshots");
 const { ensureIdempotencyKeyTx, completeIdempotencyKeyTx } = require("./lib/idempotency");
 const powerups = require("./lib/powerups");
 const { loadConfig } = require("./lib/config");
+const { evaluateWithdrawEligibility, RELEASED_WITHDRAW_STATUSES } = require("./lib/withdrawEligibility");
+const { enqueueApprovedPayoutTx } = require("./lib/withdrawReview");
+const {
+  quoteWithdraw,
+  resolveRateTable,
+  normalizeRate,
+  parseDecimalUnits,
+  settleWithdrawEscrowTx,
+  RAIL_TOKEN_DECIMALS,
+  isValidTokenDecimals,
+} = require("./lib/withdrawFees");
+const {
+  WALLET_RAILS,
+  WalletAddressError,
+  detectWalletRail,
+  validateWalletAddress,
+} = require("./lib/walletAddress");
+const {
+  PaymentError,
+  normalizeSku,
+  isVipSku,
+  skuKind,
+  createTelegramStarsProvider,
+  registerPaymentProvider,
+  getPaymentProvider,
+  getActivePaymentProductsBySku,
+  registerSkuFulfiller,
+  fulfillPayment,
+  refundUnfulfilledPayment,
+} = require("./lib/payments");
 const crypto = require("crypto");
-const Stripe = require("stripe");
-const fetch = require("node-fetch");
 
 // ------------ Environment ------------
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const DATABASE_URL = process.env.DATABASE_URL;
 const BOT_USERNAME = process.env.BOT_USERNAME || "JIGCOINBOT";
 const ADMIN_KEY = process.env.ADMIN_KEY || "";
+// Telegram chat the bot alerts when something needs a human (e.g. a Stars refund failed).
+const ADMIN_ALERT_CHAT_ID = String(process.env.ADMIN_ALERT_CHAT_ID || "").trim();
 const AD_CALLBACK_SECRET = process.env.AD_CALLBACK_SECRET || "";
 const OGADS_POSTBACK_SECRET = String(process.env.OGADS_POSTBACK_SECRET || "").trim();
 const WITHDRAW_MIN = Number(process.env.WITHDRAW_MIN || 1000);
+// Payout rails users may pick (comma-separated, first one is the default).
+const WITHDRAW_RAILS = String(process.env.WITHDRAW_RAILS || "ton")
+  .split(",")
+  .map((r) => r.trim().toLowerCase())
+  .filter((r) => WALLET_RAILS.includes(r));
+// Hours before a newly saved payout wallet can receive withdrawals.
+const WALLET_CHANGE_COOLDOWN_HOURS = Number(process.env.WALLET_CHANGE_COOLDOWN_HOURS || 48);
+const WALLET_BOOK_MAX = Number(process.env.WALLET_BOOK_MAX || 5);
 
 // Feature flags / kill switches (string "1"/"true" = enabled)
 const MAINTENANCE_MODE =
@@ -73,15 +122,7 @@ const REFERRAL_ACTIVATION_MIN_TAPS = Number(process.env.REFERRAL_ACTIVATION_MIN_
 const REFERRAL_ACTIVATION_MIN_SPONSOR = Number(process.env.REFERRAL_ACTIVATION_MIN_SPONSOR || 1);
 const TAP_PACKET_MAX = Number(process.env.TAP_PACKET_MAX || 25);
 
-// Stripe (VIP Checkout + Webhook)
-const STRIPE_SECRET_KEY = String(process.env.STRIPE_SECRET_KEY || "").trim();
-const STRIPE_WEBHOOK_SECRET = String(process.env.STRIPE_WEBHOOK_SECRET || "").trim();
-// Used for Stripe success/cancel redirects (e.g. your Cloudflare URL)
-const APP_BASE_URL = String(process.env.APP_BASE_URL || "").trim();
-
-// Coinbase Commerce (crypto)
-const COINBASE_COMMERCE_API_KEY = String(process.env.COINBASE_COMMERCE_API_KEY || "").trim();
-const COINBASE_COMMERCE_WEBHOOK_SECRET = String(process.env.COINBASE_COMMERCE_WEBHOOK_SECRET || "").trim();
+// Stripe / Coinbase keys and APP_BASE_URL (checkout redirects) are read by lib/payments.js.
 
 // Render / scaling safe: set DISABLE_BOT_POLLING=1 to stop 409 conflicts
 const DISABLE_BOT_POLLING = String(process.env.DISABLE_BOT_POLLING || "").trim() === "1";
@@ -100,10 +141,6 @@ if (!DATABASE_URL) {
 
 // ------------ DB Pool ------------
 
-
-// Stripe client is optional in local/dev; required for VIP checkout/webhook.
-const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" }) : null;
-
 // Small helper
 function sha256Hex(input) {
   return crypto.createHash("sha256").update(String(input)).digest("hex");
@@ -167,64 +204,6 @@ function todayDate() {
   return new Date().toISOString().slice(0, 10); // "YYYY-MM-DD"
 }
 
-// Momentum Shield SKU mapping (insurance-style protection)
-// - 7D: 1 shield
-// - 30D: 5 shields (roughly weekly)
-const MOMENTUM_SHIELD_SKU_MAP = {
-  MOMENTUM_SHIELD_7D: { days: 7, quantity: 1 },
-  MOMENTUM_SHIELD_30D: { days: 30, quantity: 5 },
-};
-
-function getMomentumShieldGrantForSku(sku) {
-  const key = String(sku || "").toUpperCase();
-  if (MOMENTUM_SHIELD_SKU_MAP[key]) return { ...MOMENTUM_SHIELD_SKU_MAP[key], sku: key };
-  // Allow future SKUs like MOMENTUM_SHIELD_14D etc.
-  const m = key.match(/^MOMENTUM_SHIELD_(\d+)D$/);
-  if (!m) return null;
-  const days = Math.max(1, Math.min(365, Number(m[1])));
-  const quantity = Math.max(1, Math.ceil(days / 7));
-  return { sku: key, days, quantity };
-}
-
-async function grantMomentumShieldByTelegramId({ telegramId, sku, provider, providerPaymentId }) {
-  const tg = String(telegramId);
-  const grant = getMomentumShieldGrantForSku(sku);
-  if (!grant) return { ok: false, error: "BAD_SKU" };
-
-  return await withTransaction(async (client) => {
-    const { rows: urows } = await client.query(
-      `SELECT id, telegram_id FROM public.users WHERE telegram_id = ($1)::bigint LIMIT 1`,
-      [tg]
-    );
-    if (!urows.length) return { ok: false, error: "USER_NOT_FOUND" };
-    const userId = urows[0].id;
-
-    const expiresAt = new Date(Date.now() + grant.days * 24 * 60 * 60 * 1000);
-    const row = await powerups.addPowerup(client, {
-      userId,
-      powerupCode: "MOMENTUM_SHIELD",
-      packSku: grant.sku,
-      provider: String(provider || ""),
-      providerPaymentId: providerPaymentId ? String(providerPaymentId) : null,
-      status: "active",
-      quantity: grant.quantity,
-      expiresAt,
-      metadata: { days: grant.days, kind: "momentum" },
-    });
-
-    // Audit
-    try {
-      await client.query(
-        `INSERT INTO public.streak_events (user_id, telegram_id, event, meta)
-         VALUES ($1, ($2)::bigint, 'momentum_shield_granted', $3::jsonb);`,
-        [userId, tg, JSON.stringify({ sku: grant.sku, qty: grant.quantity, days: grant.days, provider: String(provider || ""), provider_payment_id: providerPaymentId || null })]
-      );
-    } catch (e) {}
-
-    return { ok: true, granted: !!row, sku: grant.sku, quantity: grant.quantity, days: grant.days };
-  });
-}
-
 // Seconds until next UTC day (for countdown)
 function secondsUntilNextUtcMidnight() {
   const now = new Date();
@@ -232,36 +211,6 @@ function secondsUntilNextUtcMidnight() {
   return Math.max(0, Math.floor((next - now) / 1000));
 }
 
-// Stripe webhook idempotency (DB-backed)
-async function ensureStripeEventTable() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS public.stripe_webhook_events (
-        event_id TEXT PRIMARY KEY,
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
-    `);
-  } catch (e) {
-    // If the DB user lacks permissions or schema differs, we simply skip idempotency.
-  }
-}
-
-async function markStripeEventProcessed(eventId) {
-  if (!eventId) return { ok: true, processed: false };
-  await ensureStripeEventTable();
-  try {
-    const r = await pool.query(
-      `INSERT INTO public.stripe_webhook_events (event_id) VALUES ($1)
-       ON CONFLICT (event_id) DO NOTHING
-       RETURNING event_id;`,
-      [String(eventId)]
-    );
-    return { ok: true, processed: r.rowCount > 0 };
-  } catch (e) {
-    return { ok: false, processed: false };
-  }
-}
-
 // Referral reward per new friend (once, when they join)
 const REFERRAL_REWARD = 800;
 
@@ -452,93 +401,71 @@ function streakRestoreSkuForRestoreTier(restoreTier) {
   return `STREAK_RESTORE_${t}`;
 }
 
-async function fulfillStreakRestoreByTelegramId({ telegramId, sku, provider, providerPaymentId }) {
-  const tg = Number(telegramId || 0);
-  if (!tg) return { ok: false, error: "NO_TELEGRAM_ID" };
-
-  const endpoint = "/api/streak/restore/fulfill";
-  const context = String(provider || "payment");
-  const requestId = providerPaymentId ? String(providerPaymentId) : `${context}:${tg}:${String(sku || "")}`;
+/**
+ * Restore a broken streak paid for with `sku` (payment fulfillment pipeline,
+ * see lib/payments.js). `user` is the public.users row.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function fulfillStreakRestoreTx(client, { user, sku, provider, providerPaymentId }) {
+  const meta = getStreakMetaFromUser(user);
+  if (!meta.restore_available) {
+    return { ok: false, error: "RESTORE_NOT_AVAILABLE" };
+  }
 
-  return await withTransaction(async (client) => {
-    // Lookup user
-    const { rows: urows } = await client.query(
-      `SELECT * FROM public.users WHERE telegram_id = ($1)::bigint LIMIT 1`,
-      [String(tg)]
-    );
-    if (!urows.length) return { ok: false, error: "USER_NOT_FOUND" };
-    const user = urows[0];
-
-    // Idempotency: prevent double-restore from webhook retries
-    const idem = await ensureIdempotencyKeyTx(client, {
-      userId: user.id,
-      endpoint,
-      requestId,
-      context,
-    });
-    if (idem.status === "completed") return { ok: true, restored: false, idempotent: true };
+  // Validate SKU matches the user's tier at time of restore (prevents underpay)
+  const expectedSku = String(meta.restore_pack_sku || "").toUpperCase();
+  if (!expectedSku || expectedSku !== String(sku || "").toUpperCase()) {
+    return { ok: false, error: "SKU_MISMATCH", expectedSku: meta.restore_pack_sku || null };
+  }
 
-    const meta = getStreakMetaFromUser(user);
-    if (!meta.restore_available) {
-      await completeIdempotencyKeyTx(client, { endpoint, requestId, context, responsePayload: { ok: false, reason: "RESTORE_NOT_AVAILABLE" } });
-      return { ok: false, error: "RESTORE_NOT_AVAILABLE" };
-    }
+  // Restore: clear broken flag, keep streak_count, refresh last_checkin_at to now (so bonuses reactivate immediately)
+  await client.query(
+    `
+    UPDATE public.users
+    SET streak_broken_at = NULL,
+        last_checkin_at = NOW()
+    WHERE id = $1;
+    `,
+    [user.id]
+  );
 
-    // Validate SKU matches the user's tier at time of restore (prevents underpay)
-    const expectedSku = String(meta.restore_pack_sku || "").toUpperCase();
-    if (!expectedSku || expectedSku !== String(sku || "").toUpperCase()) {
-      await completeIdempotencyKeyTx(client, { endpoint, requestId, context, responsePayload: { ok: false, reason: "SKU_MISMATCH", expectedSku: meta.restore_pack_sku || null } });
-      return { ok: false, error: "SKU_MISMATCH", expectedSku };
-    }
+  // Persist as a power-up audit row (scalable entitlement ledger)
+  // Note: restore is effectively consumed immediately upon payment confirmation.
+  await powerups.addPowerup(client, {
+    userId: user.id,
+    powerupCode: "STREAK_RESTORE",
+    packSku: String(sku || "").toUpperCase(),
+    provider: String(provider || ""),
+    providerPaymentId: providerPaymentId ? String(providerPaymentId) : null,
+    status: "consumed",
+    quantity: 1,
+    consumedAt: new Date(),
+    metadata: {
+      restoreTier: meta.restore_tier || null,
+      restoreRangeDays: meta.restore_window_days || null,
+    },
+  });
 
-    // Restore: clear broken flag, keep streak_count, refresh last_checkin_at to now (so bonuses reactivate immediately)
-    const { rows: upd } = await client.query(
-      `
-      UPDATE public.users
-      SET streak_broken_at = NULL,
-          last_checkin_at = NOW()
-      WHERE id = $1
-      RETURNING *;
-      `,
-      [user.id]
+  // Audit log
+  try {
+    await client.query(
+      `INSERT INTO public.streak_events (user_id, telegram_id, event, meta) VALUES ($1, $2, 'restore', $3::jsonb);`,
+      [user.id, user.telegram_id, JSON.stringify({ sku: String(sku || ""), provider: String(provider || ""), provider_payment_id: providerPaymentId || null })]
     );
+  } catch (e) {}
 
-    // Persist as a power-up audit row (scalable entitlement ledger)
-    // Note: restore is effectively consumed immediately upon payment confirmation.
-    await powerups.addPowerup(client, {
-      userId: user.id,
-      powerupCode: "STREAK_RESTORE",
-      packSku: String(sku || "").toUpperCase(),
-      provider: String(provider || ""),
-      providerPaymentId: providerPaymentId ? String(providerPaymentId) : null,
-      status: "consumed",
-      quantity: 1,
-      consumedAt: new Date(),
-      metadata: {
-        restoreTier: meta.restore_tier || null,
-        restoreRangeDays: meta.restore_window_days || null,
-      },
-    });
-
-    // Audit log
-    try {
-      await client.query(
-        `INSERT INTO public.streak_events (user_id, telegram_id, event, meta) VALUES ($1, $2, 'restore', $3::jsonb);`,
-        [user.id, user.telegram_id, JSON.stringify({ sku: String(sku || ""), provider: String(provider || ""), provider_payment_id: providerPaymentId || null })]
-      );
-    } catch (e) {}
-
-    await completeIdempotencyKeyTx(client, {
-      endpoint,
-      requestId,
-      context,
-      responsePayload: { ok: true, restored: true },
-    });
-
-    return { ok: true, restored: true, user: upd && upd[0] ? upd[0] : null };
-  });
+  return { ok: true, restored: true };
 }
 
+registerSkuFulfiller("streak_restore", (client, { user, sku, payment }) =>
+  fulfillStreakRestoreTx(client, {
+    user,
+    sku,
+    provider: payment.provider,
+    providerPaymentId: payment.paymentId,
+  })
+);
+
 
 // ------------ Bot & Express Setup ------------
 const bot = new Telegraf(BOT_TOKEN);
@@ -926,123 +853,13 @@ app.post("/api/vip/product", async (req, res) => {
 });
 
 
-// ------------ Unified checkout (Stripe card OR Coinbase crypto) ------------
+// ------------ Unified checkout (Stripe card, Coinbase crypto OR Telegram Stars) ------------
 // Frontend calls this for BOTH coin packs and VIP so users can choose a payment method.
+// For provider "telegram_stars" the url is an invoice link for Telegram.WebApp.openInvoice.
 //
-// Requires:
-// - Stripe: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, APP_BASE_URL
-// - Coinbase: COINBASE_COMMERCE_API_KEY, COINBASE_COMMERCE_WEBHOOK_SECRET
-//
-// IMPORTANT:
-// We must create provider sessions/charges dynamically so we can attach telegram_id + sku
-// and then grant coins / activate VIP from the webhook.
-
-async function getActivePaymentProductBySku(sku) {
-  const { rows } = await pool.query(
-    `
-    SELECT provider, pack_sku, title, description, coins_granted, currency, amount_minor, active
-    FROM public.payment_products
-    WHERE active = TRUE AND pack_sku = $1
-    ORDER BY provider ASC;
-    `,
-    [String(sku || "").trim()]
-  );
-  return rows || [];
-}
-
-function normalizeSku(sku) {
-  return String(sku || "").trim();
-}
-
-function isVipSku(sku) {
-  return normalizeSku(sku).toLowerCase() === "vip_30d";
-}
-
-function isCoinPackSku(sku) {
-  return /^COIN_\d+/i.test(normalizeSku(sku));
-}
-
-async function createStripeCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted }) {
-  if (!stripe) throw new Error("STRIPE_NOT_CONFIGURED");
-  if (!APP_BASE_URL) throw new Error("APP_BASE_URL_MISSING");
-
-  const meta = {
-    telegram_id: String(telegramId),
-    sku: String(sku),
-  };
-  if (coinsGranted != null) meta.coins_granted = String(coinsGranted);
-  if (isVipSku(sku)) meta.vip_days = "30";
-
-  const session = await stripe.checkout.sessions.create({
-    mode: "payment",
-    payment_method_types: ["card"],
-    line_items: [
-      {
-        price_data: {
-          currency: String(currency || "gbp").toLowerCase(),
-          product_data: { name: String(title || sku) },
-          unit_amount: Number(amountMinor),
-        },
-        quantity: 1,
-      },
-    ],
-    success_url: `${APP_BASE_URL}?pay=success&sku=${encodeURIComponent(String(sku))}`,
-    cancel_url: `${APP_BASE_URL}?pay=cancel&sku=${encodeURIComponent(String(sku))}`,
-    client_reference_id: String(telegramId),
-    metadata: meta,
-  });
-
-  return { url: session.url, session_id: session.id };
-}
-
-async function createCoinbaseCharge({ telegramId, sku, title, amountMinor, currency, coinsGranted }) {
-  if (!COINBASE_COMMERCE_API_KEY) throw new Error("COINBASE_NOT_CONFIGURED");
-
-  const amount = (Number(amountMinor) / 100).toFixed(2);
-  const payload = {
-    name: String(title || sku),
-    description: isVipSku(sku)
-      ? "JigCoin VIP Pass (30 days)"
-      : (coinsGranted != null ? `${Number(coinsGranted).toLocaleString("en-GB")} JigCoin coins` : "JigCoin purchase"),
-    pricing_type: "fixed_price",
-    local_price: {
-      amount,
-      currency: String(currency || "GBP").toUpperCase(),
-    },
-    metadata: {
-      telegram_id: String(telegramId),
-      sku: String(sku),
-      coins_granted: coinsGranted != null ? String(coinsGranted) : undefined,
-      vip_days: isVipSku(sku) ? "30" : undefined,
-    },
-    redirect_url: APP_BASE_URL ? `${APP_BASE_URL}?pay=success&sku=${encodeURIComponent(String(sku))}` : undefined,
-    cancel_url: APP_BASE_URL ? `${APP_BASE_URL}?pay=cancel&sku=${encodeURIComponent(String(sku))}` : undefined,
-  };
-  // Remove undefined keys (Coinbase rejects them)
-  Object.keys(payload.metadata).forEach((k) => payload.metadata[k] == null && delete payload.metadata[k]);
-  if (!payload.redirect_url) delete payload.redirect_url;
-  if (!payload.cancel_url) delete payload.cancel_url;
-
-  const r = await fetch("https://api.commerce.coinbase.com/charges", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-CC-Version": "2018-03-22",
-      "X-CC-Api-Key": COINBASE_COMMERCE_API_KEY,
-    },
-    body: JSON.stringify(payload),
-  });
-  const data = await r.json().catch(() => null);
-  if (!r.ok) {
-    const msg = (data && (data.error || data.message)) ? String(data.error || data.message) : `HTTP_${r.status}`;
-    throw new Error(`COINBASE_CREATE_CHARGE_FAILED:${msg}`);
-  }
-
-  const hostedUrl = data && data.data && data.data.hosted_url;
-  const chargeCode = data && data.data && data.data.code;
-  if (!hostedUrl) throw new Error("COINBASE_NO_HOSTED_URL");
-  return { url: hostedUrl, charge_code: chargeCode || null };
-}
+// Providers and their env live in lib/payments.js. Sessions/charges are created
+// dynamically so we can attach telegram_id + sku; the provider webhook then
+// fulfills the payment_products row for that sku (fulfillPayment).
 
 app.post("/api/payments/create-checkout", async (req, res) => {
   try {
@@ -1057,15 +874,20 @@ app.post("/api/payments/create-checkout", async (req, res) => {
 
     if (!telegramId) return res.status(400).json({ ok: false, error: "MISSING_TELEGRAM_ID" });
     if (!sku) return res.status(400).json({ ok: false, error: "MISSING_SKU" });
-    if (!["stripe", "coinbase"].includes(provider)) {
+    const checkoutProvider = getPaymentProvider(provider);
+    if (!checkoutProvider || !checkoutProvider.createCheckout) {
       return res.status(400).json({ ok: false, error: "BAD_PROVIDER" });
     }
 
-    const rows = await getActivePaymentProductBySku(sku);
+    const rows = await getActivePaymentProductsBySku(pool, sku);
     if (!rows.length) return res.status(404).json({ ok: false, error: "PRODUCT_NOT_FOUND" });
 
-    // Price + title should be identical across providers; pick the first row for these.
-    const base = rows[0];
+    // Card/crypto prices + titles should be identical across providers, so any row will do;
+    // providers with their own currency (Telegram Stars, XTR) need their own row.
+    const base = rows.find((r) => r.provider === checkoutProvider.name) || rows[0];
+    if (checkoutProvider.currency && String(base.currency || "").toUpperCase() !== checkoutProvider.currency) {
+      return res.status(404).json({ ok: false, error: "PRODUCT_NOT_FOUND" });
+    }
     const amountMinor = Number(base.amount_minor || 0);
     const currency = base.currency || "GBP";
     const title = base.title || (isVipSku(sku) ? "JigCoin VIP Pass (30 days)" : "JigCoin Pack");
@@ -1073,20 +895,17 @@ app.post("/api/payments/create-checkout", async (req, res) => {
 
     if (!amountMinor || amountMinor <= 0) return res.status(400).json({ ok: false, error: "BAD_PRICE" });
 
-    if (provider === "stripe") {
-      const out = await createStripeCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted });
-      return res.json({ ok: true, provider: "stripe", ...out });
-    }
-
-    const out = await createCoinbaseCharge({ telegramId, sku, title, amountMinor, currency, coinsGranted });
-    return res.json({ ok: true, provider: "coinbase", ...out });
+    const out = await checkoutProvider.createCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted });
+    return res.json({ ok: true, provider: checkoutProvider.name, ...out });
   } catch (err) {
     console.error("Error /api/payments/create-checkout:", err);
     return res.status(500).json({ ok: false, error: "PAYMENT_CHECKOUT_ERROR" });
   }
 });
 
-// B) Create Stripe Checkout Session (recommended) and return session.url
+// B) VIP pass checkout for the active vip_products row, through the Stripe
+// provider like any other checkout. The webhook fulfills it with the row's
+// duration_days (vip_days in the session metadata).
 app.post("/api/vip/create-checkout", async (req, res) => {
   try {
     const fp = req._fp || getClientFingerprint(req);
@@ -1099,18 +918,10 @@ app.post("/api/vip/create-checkout", async (req, res) => {
       return res.status(400).json({ ok: false, error: "MISSING_TELEGRAM_ID" });
     }
 
-    // Stripe config check
-    if (!stripe) {
-      return res.status(500).json({ ok: false, error: "STRIPE_NOT_CONFIGURED" });
-    }
-    if (!APP_BASE_URL) {
-      return res.status(500).json({ ok: false, error: "APP_BASE_URL_MISSING" });
-    }
-
     // Load active VIP product
     const { rows } = await pool.query(
       `
-      SELECT sku, title, duration_days, price_gbp, stripe_payment_link
+      SELECT sku, title, duration_days, price_gbp
       FROM public.vip_products
       WHERE active = TRUE
       ORDER BY id DESC
@@ -1127,558 +938,172 @@ app.post("/api/vip/create-checkout", async (req, res) => {
       return res.status(400).json({ ok: false, error: "BAD_VIP_PRICE" });
     }
 
-    // Create Checkout Session
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: "gbp",
-            product_data: {
-              name: String(p.title || "VIP Pass"),
-            },
-            unit_amount: Math.round(priceGbp * 100),
-          },
-          quantity: 1,
-        },
-      ],
-      // In Telegram we don't rely on success redirect for activation; webhook activates VIP.
-      success_url: `${APP_BASE_URL}?vip=success`,
-      cancel_url: `${APP_BASE_URL}?vip=cancel`,
-      client_reference_id: String(telegramId),
-      metadata: {
-        telegram_id: String(telegramId),
-        sku: String(p.sku || "VIP_30D"),
-        duration_days: String(durationDays),
-      },
+    const checkoutProvider = getPaymentProvider("stripe");
+    const out = await checkoutProvider.createCheckout({
+      telegramId,
+      sku: String(p.sku || "VIP_30D"),
+      title: String(p.title || "VIP Pass"),
+      amountMinor: Math.round(priceGbp * 100),
+      currency: "GBP",
+      coinsGranted: null,
+      vipDays: durationDays,
     });
 
-    return res.json({ ok: true, url: session.url, session_id: session.id });
+    return res.json({ ok: true, provider: checkoutProvider.name, ...out });
   } catch (err) {
     console.error("Error /api/vip/create-checkout:", err);
     return res.status(500).json({ ok: false, error: "VIP_CHECKOUT_ERROR" });
   }
 });
 
-// Stripe webhook: activates VIP on successful payment
-// IMPORTANT: set STRIPE_WEBHOOK_SECRET in Render + configure endpoint in Stripe.
-app.post("/api/stripe/webhook", async (req, res) => {
-  try {
-    if (!stripe) {
-      return res.status(500).send("Stripe not configured");
-    }
-    if (!STRIPE_WEBHOOK_SECRET) {
-      return res.status(500).send("Webhook secret missing");
-    }
-
-    const sig = req.headers["stripe-signature"];
-    let event;
-    try {
-      event = stripe.webhooks.constructEvent(req.rawBody, sig, STRIPE_WEBHOOK_SECRET);
-    } catch (err) {
-      console.error("Stripe webhook signature verification failed:", err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-
-    // Idempotency: process each Stripe event only once (prevents double VIP extension)
-    try {
-      const idp = await markStripeEventProcessed(event.id);
-      if (idp.ok && !idp.processed) {
-        // Event already processed previously
-        return res.status(200).send("ok");
-      }
-    } catch (e) {
-      // If idempotency fails, we continue (better to process than drop)
-    }
-
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      const telegramId = Number(session.client_reference_id || (session.metadata && session.metadata.telegram_id) || 0);
-      const sku = String((session.metadata && session.metadata.sku) || "").trim();
-      const coinsGranted = session.metadata && session.metadata.coins_granted != null ? Number(session.metadata.coins_granted) : null;
-      const vipDays = session.metadata && session.metadata.vip_days != null ? Number(session.metadata.vip_days) : null;
-      const paymentLinkId = session.payment_link || null;
-      let effectiveSku = normalizeSku(sku);
-      let effectiveCoinsGranted = coinsGranted;
-
-      // Map known Payment Links (like the Starter Bundle) to a SKU and coin amount when metadata is not present.
-      try {
-        const starterLinkId = process.env.STARTER_STRIPE_PAYMENT_LINK_ID || "plink_15m7OmJNksmNPDCyYQxFB3eH";
-        if (paymentLinkId && starterLinkId && paymentLinkId === starterLinkId) {
-          if (!effectiveSku || !String(effectiveSku).length) {
-            effectiveSku = "starter_1";
-          }
-          if (!effectiveCoinsGranted || !Number.isFinite(effectiveCoinsGranted) || effectiveCoinsGranted <= 0) {
-            effectiveCoinsGranted = 25000;
-          }
-        }
-      } catch (e) {
-        console.warn("Failed to normalize Stripe payment link SKU/coins", e && e.message ? e.message : e);
-      }
+// ------------ Payment webhooks ------------
+// Configure these URLs in Stripe / Coinbase Commerce. Each provider verifies
+// and normalizes its own events; fulfillment is shared (lib/payments.js).
 
+// Fulfillment errors a redelivered event can fix (the product row or the user
+// may exist by then). Other failures are final: the payment is refunded or
+// escalated instead of being retried for days.
+const RETRYABLE_FULFILLMENT_ERRORS = new Set(["PRODUCT_NOT_FOUND", "USER_NOT_FOUND"]);
 
-      if (telegramId) {
-        // 0) Streak restore (paid card/crypto)
-        try {
-          if (effectiveSku && String(effectiveSku).toUpperCase().startsWith("STREAK_RESTORE_")) {
-            await fulfillStreakRestoreByTelegramId({
-              telegramId,
-              sku: String(effectiveSku).toUpperCase(),
-              provider: "stripe",
-              providerPaymentId: String(event.id || session.id || ""),
-            });
-            // Do not also fulfill coins/VIP for a restore product.
-            return res.status(200).send("ok");
-          }
-        } catch (e) {
-          console.error("Stripe streak restore fulfillment failed:", e && e.message ? e.message : e);
-          // Continue processing other fulfillment if restore fails (safe fallback).
-        }
+// Message ADMIN_ALERT_CHAT_ID. Returns whether the alert was delivered.
+async function sendAdminAlert(text) {
+  if (!ADMIN_ALERT_CHAT_ID) return false;
+  try {
+    await bot.telegram.sendMessage(ADMIN_ALERT_CHAT_ID, text);
+    return true;
+  } catch (err) {
+    console.error("Admin alert failed:", err);
+    return false;
+  }
+}
 
-        // 0.5) Momentum Shield (insurance-style streak protection)
-        try {
-          if (effectiveSku && String(effectiveSku).toUpperCase().startsWith("MOMENTUM_SHIELD_")) {
-            await grantMomentumShieldByTelegramId({
-              telegramId,
-              sku: String(effectiveSku).toUpperCase(),
-              provider: "stripe",
-              providerPaymentId: String(event.id || session.id || ""),
-            });
-            // Shield products do not also credit coins.
-            return res.status(200).send("ok");
-          }
-        } catch (e) {
-          console.error("Stripe Momentum Shield fulfillment failed:", e && e.message ? e.message : e);
-          // Continue processing other fulfillment as a safe fallback.
-        }
+// A payment that will not be fulfilled: refund it through its provider, or
+// alert admins when the provider cannot refund or the refund fails.
+// Returns "refunded" | "fulfilled" (delivered after all) | "alerted" | "unresolved"
+// (no ADMIN_ALERT_CHAT_ID or the alert failed; only the logs have it).
+async function settleUnfulfilledPayment(payment, reason) {
+  let refundError;
+  try {
+    const refund = await refundUnfulfilledPayment(payment, reason);
+    if (refund.ok) return "refunded";
+    if (refund.error === "ALREADY_FULFILLED") return "fulfilled";
+    refundError = refund.error;
+  } catch (err) {
+    console.error(`${payment.provider} refund failed:`, err, { paymentId: payment.paymentId, reason });
+    refundError = err.message || String(err);
+  }
 
-        // 1) Coin packs (credit balance)
-        if (effectiveCoinsGranted && Number.isFinite(effectiveCoinsGranted) && effectiveCoinsGranted > 0) {
-          const delta = Math.floor(coinsGranted);
-          try {
-            // Look up the user by telegram_id so we can use the ledger-based helper.
-            const userRes = await pool.query(
-              "SELECT id FROM public.users WHERE telegram_id = $1 LIMIT 1;",
-              [telegramId]
-            );
-            const userRow = userRes.rows[0];
-
-            if (userRow) {
-              await applyBalanceChange({
-                userId: userRow.id,
-                delta,
-                reason: "stripe_purchase",
-                refType: "purchase",
-                refId: null,
-                eventType: "purchase_credit",
-              });
-            } else {
-              // Fallback to legacy direct update if user row is missing for some reason.
-              await pool.query(
-                "UPDATE public.users SET balance = balance + $1 WHERE telegram_id = $2;",
-                [delta, telegramId]
-              );
-            }
-          } catch (err) {
-            console.error("Error applying Stripe purchase ledger credit:", err);
-            // Fallback to legacy direct update on any unexpected error.
-            await pool.query(
-              "UPDATE public.users SET balance = balance + $1 WHERE telegram_id = $2;",
-              [delta, telegramId]
-            );
-          }
+  const alerted = await sendAdminAlert(
+    `⚠️ ${payment.provider} payment not delivered and not refunded\n` +
+      `payment: ${payment.paymentId}\nuser: ${payment.telegramId}\nsku: ${payment.sku}\n` +
+      `amount: ${payment.amountMinor} ${payment.currency || ""}\nreason: ${reason}\nrefund: ${refundError}`
+  );
+  return alerted ? "alerted" : "unresolved";
+}
 
-          // Mark Starter Bundle as purchased when the Stripe SKU matches.
-          try {
-            const starterSku = (process.env.STARTER_PACK_SKU || "STARTER_1").toUpperCase();
-            if (effectiveSku && typeof effectiveSku === "string" && effectiveSku.toUpperCase() === starterSku && telegramId) {
-              await pool.query(
-                "UPDATE public.users SET starter_offer_purchased = TRUE WHERE telegram_id = $1::bigint;",
-                [telegramId]
-              );
-            }
-          } catch (e) {
-            console.warn("Failed to mark starter_offer_purchased from Stripe webhook", e && e.message ? e.message : e);
-          }
-        }
+async function handlePaymentWebhook(providerName, req, res) {
+  try {
+    const provider = getPaymentProvider(providerName);
+    const event = provider.verifyWebhook(req);
+    const payment = provider.normalizeEvent(event);
+    if (!payment) {
+      return res.status(200).send("ok");
+    }
+    if (!payment.telegramId) {
+      console.error(`${providerName} payment without telegram_id`, { paymentId: payment.paymentId });
+      return res.status(200).send("ok");
+    }
 
-        // 2) VIP (extend vip_until)
-        if ((vipDays && Number.isFinite(vipDays) && vipDays > 0) || (effectiveSku && String(effectiveSku).toLowerCase() === "vip_30d")) {
-          const days = vipDays && Number.isFinite(vipDays) ? Math.max(1, Math.min(365, Math.floor(vipDays))) : 30;
-          await pool.query(
-            `
-            INSERT INTO public.user_vip (telegram_id, vip_until, updated_at)
-            VALUES (
-              $1,
-              NOW() + make_interval(days => $2),
-              NOW()
-            )
-            ON CONFLICT (telegram_id)
-            DO UPDATE SET
-              vip_until = (GREATEST(COALESCE(public.user_vip.vip_until, NOW()), NOW()) + make_interval(days => $2)),
-              updated_at = NOW();
-            `,
-            [telegramId, days]
-          );
-        }
+    const result = await fulfillPayment(payment);
+    if (!result.ok) {
+      console.error(`${providerName} payment not fulfilled:`, { paymentId: payment.paymentId, ...result });
+      // Recorded on purchase_ledger; a non-2xx makes the provider redeliver the
+      // event, which retries the fulfillment. Thrown errors answer 500 below.
+      if (RETRYABLE_FULFILLMENT_ERRORS.has(result.error)) {
+        return res.status(500).send("not fulfilled");
+      }
+      // Already refunded (or being refunded) by an earlier event.
+      if (result.error !== "REFUNDING" && result.error !== "REFUNDED") {
+        const outcome = await settleUnfulfilledPayment(payment, result.error || "NOT_FULFILLED");
+        console.warn(`${providerName} payment settled without fulfillment:`, { paymentId: payment.paymentId, outcome });
       }
     }
-
     return res.status(200).send("ok");
   } catch (err) {
-    console.error("Error /api/stripe/webhook:", err);
+    if (err instanceof PaymentError) {
+      return res.status(err.status).send(err.message);
+    }
+    console.error(`Error /api/${providerName}/webhook:`, err);
     return res.status(500).send("server error");
   }
-});
+}
 
+// IMPORTANT: set STRIPE_WEBHOOK_SECRET in Render + configure endpoint in Stripe.
+app.post("/api/stripe/webhook", (req, res) => handlePaymentWebhook("stripe", req, res));
 
-// ------------ Coinbase Commerce webhook ------------
-// Configure this URL in Coinbase Commerce settings.
-// It credits coin packs / activates VIP based on the metadata we attach when creating a charge.
-async function ensureCoinbaseEventTable() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS public.coinbase_webhook_events (
-        event_id TEXT PRIMARY KEY,
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      );
-    `);
-  } catch (e) {}
-}
+app.post("/api/coinbase/webhook", (req, res) => handlePaymentWebhook("coinbase", req, res));
 
-async function markCoinbaseEventProcessed(eventId) {
-  if (!eventId) return { ok: true, processed: false };
-  await ensureCoinbaseEventTable();
-  try {
-    const r = await pool.query(
-      `INSERT INTO public.coinbase_webhook_events (event_id) VALUES ($1)
-       ON CONFLICT (event_id) DO NOTHING
-       RETURNING event_id;`,
-      [String(eventId)]
-    );
-    return { ok: true, processed: r.rowCount > 0 };
-  } catch (e) {
-    return { ok: false, processed: false };
-  }
+
+// ------------ Mini-app auth helper ------------
+function getClientFingerprint(req) {
+  const ua = req.headers["user-agent"] || "";
+  const ip = (req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").toString().split(",")[0].trim();
+  const tg = req.headers["x-telegram-initdata"] || "";
+  const clientId =
+    (req.headers["x-client-id"] || "") ||
+    (req.body && req.body.client && (req.body.client.client_id || req.body.client.id)
+      ? String(req.body.client.client_id || req.body.client.id)
+      : "");
+  return sha256Hex(`${ip}|${ua}|${tg}|${clientId}`);
 }
 
-function verifyCoinbaseSignature(rawBody, signature, sharedSecret) {
-  if (!sharedSecret || !signature || !rawBody) return false;
-  const expected = crypto.createHmac("sha256", sharedSecret).update(rawBody).digest("hex");
-  try {
-    return crypto.timingSafeEqual(Buffer.from(expected, "hex"), Buffer.from(String(signature), "hex"));
-  } catch (e) {
-    return false;
+
+
+function buildDataCheckString(initDataRaw) {
+  const params = new URLSearchParams(initDataRaw);
+  const pairs = [];
+  for (const [key, value] of params.entries()) {
+    if (key === "hash") continue;
+    pairs.push([key, value]);
   }
+  pairs.sort((a, b) => a[0].localeCompare(b[0]));
+  return pairs.map(([k, v]) => `${k}=${v}`).join("\n");
 }
 
-app.post("/api/coinbase/webhook", async (req, res) => {
+function verifyTelegramInitData(initDataRaw, botToken) {
   try {
-    if (!COINBASE_COMMERCE_WEBHOOK_SECRET) {
-      return res.status(500).send("Webhook secret missing");
-    }
+    if (!initDataRaw || !botToken) return { ok: false, error: "missing_initdata_or_token" };
+    const params = new URLSearchParams(initDataRaw);
+    const hash = params.get("hash");
+    if (!hash) return { ok: false, error: "missing_hash" };
 
-    const sig = req.headers["x-cc-webhook-signature"];
-    const ok = verifyCoinbaseSignature(req.rawBody, sig, COINBASE_COMMERCE_WEBHOOK_SECRET);
-    if (!ok) {
-      return res.status(400).send("Bad signature");
-    }
+    const dataCheckString = buildDataCheckString(initDataRaw);
+    const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+    const computed = crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex");
 
-    // Coinbase Commerce can send events in two shapes depending on integration/version:
-    // A) { id, type, data, ... }
-    // B) { event: { id, type, data }, ... }
-    const event = req.body;
-    const envelope = (event && event.event) ? event.event : event;
+    const a = Buffer.from(String(hash), "hex");
+    const b = Buffer.from(String(computed), "hex");
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, error: "bad_signature" };
 
-    const eventId = envelope && (envelope.id || event.id);
-    try {
-      const idp = await markCoinbaseEventProcessed(eventId);
-      // If already processed, exit early (idempotent)
-      if (idp.ok && !idp.processed) {
-        return res.status(200).send("ok");
-      }
-    } catch (e) {}
+    const authDate = Number(params.get("auth_date") || 0);
+    const maxAgeSec = Number(process.env.TG_INITDATA_MAX_AGE_SEC || 86400);
+    const nowSec = Math.floor(Date.now() / 1000);
+    if (!authDate || nowSec - authDate > maxAgeSec) return { ok: false, error: "stale_auth_date" };
 
-    const type = envelope && envelope.type;
-    // We fulfill only on final events.
-    if (type === "charge:confirmed" || type === "charge:resolved") {
-      const charge = envelope && envelope.data;
-      const meta = (charge && charge.metadata) ? charge.metadata : {};
-      const telegramIdRaw = meta.telegram_id != null ? String(meta.telegram_id).trim() : "";
-      const telegramIdNum = telegramIdRaw ? Number(telegramIdRaw) : 0;
-
-      // Provider payment id (Coinbase charge code)
-      const providerPaymentId = charge && charge.code ? String(charge.code) : null;
-
-      // Amount/currency from charge pricing
-      const pricingLocal = charge && charge.pricing && charge.pricing.local ? charge.pricing.local : null;
-      const currency = pricingLocal && pricingLocal.currency ? String(pricingLocal.currency).toUpperCase() : "GBP";
-      const amountMinor = pricingLocal && pricingLocal.amount != null ? Math.round(Number(pricingLocal.amount) * 100) : null;
-
-      const sku = String(meta.sku || "").trim();
-      const vipDays = meta.vip_days != null ? Number(meta.vip_days) : null;
-
-      // If telegram_id is missing we cannot fulfill safely.
-      if (!telegramIdRaw || !Number.isFinite(telegramIdNum) || telegramIdNum <= 0) {
-        console.error("Coinbase webhook missing/invalid telegram_id in metadata", { providerPaymentId, type });
-        return res.status(400).send("missing telegram_id");
-      }
-
-      // 1) Write purchase_ledger row (idempotent). This gives you an auditable record.
-      if (providerPaymentId && amountMinor != null) {
-        await pool.query(
-          `
-          INSERT INTO public.purchase_ledger (
-            provider, provider_payment_id, telegram_id, amount_minor, currency, status, created_at, updated_at
-          )
-          VALUES ($1, $2, $3, $4, $5, 'completed', NOW(), NOW())
-          ON CONFLICT (provider, provider_payment_id) DO UPDATE
-            SET status = EXCLUDED.status,
-                amount_minor = EXCLUDED.amount_minor,
-                currency = EXCLUDED.currency,
-                telegram_id = EXCLUDED.telegram_id,
-                updated_at = NOW();
-          `,
-          ["coinbase", providerPaymentId, telegramIdRaw, amountMinor, currency]
-        );
-      }
-
-      // 2) Fulfill coins by looking up payment_products (prevents missing/incorrect metadata)
-      // Map by amount_minor + currency for Coinbase.
-      if (amountMinor != null) {
-        const pp = await pool.query(
-          `
-          SELECT pack_sku, coins_granted
-          FROM public.payment_products
-          WHERE provider = 'coinbase'
-            AND currency = $1
-            AND amount_minor = $2
-          LIMIT 1;
-          `,
-          [currency, amountMinor]
-        );
-
-        const packSku = pp.rows?.[0]?.pack_sku ? String(pp.rows[0].pack_sku) : null;
-        const coinsGranted = pp.rows?.[0]?.coins_granted != null ? Number(pp.rows[0].coins_granted) : 0;
-
-        // Streak restore fulfillment (paid crypto)
-        try {
-          if (packSku && String(packSku).toUpperCase().startsWith("STREAK_RESTORE_")) {
-            await fulfillStreakRestoreByTelegramId({
-              telegramId: telegramIdRaw,
-              sku: String(packSku).toUpperCase(),
-              provider: "coinbase",
-              providerPaymentId,
-            });
-            return res.status(200).send("ok");
-          }
-        } catch (e) {
-          console.error("Coinbase streak restore fulfillment failed:", e && e.message ? e.message : e);
-          // Continue processing other fulfillment if restore fails.
-        }
-
-        // Momentum Shield (paid crypto)
-        try {
-          if (packSku && String(packSku).toUpperCase().startsWith("MOMENTUM_SHIELD_")) {
-            await grantMomentumShieldByTelegramId({
-              telegramId: telegramIdRaw,
-              sku: String(packSku).toUpperCase(),
-              provider: "coinbase",
-              providerPaymentId,
-            });
-            return res.status(200).send("ok");
-          }
-        } catch (e) {
-          console.error("Coinbase Momentum Shield fulfillment failed:", e && e.message ? e.message : e);
-          // Continue processing other fulfillment if shield grant fails.
-        }
-
-        // Update purchase_ledger with fulfillment info (still idempotent)
-        if (providerPaymentId && packSku) {
-          await pool.query(
-            `
-            UPDATE public.purchase_ledger
-            SET pack_sku = $1,
-                coins_granted = COALESCE(coins_granted, 0) + $2,
-                updated_at = NOW()
-            WHERE provider = 'coinbase'
-              AND provider_payment_id = $3
-              AND COALESCE(coins_granted, 0) = 0;
-            `,
-            [packSku, Math.max(0, Math.floor(coinsGranted || 0)), providerPaymentId]
-          );
-        }
-
-        // Credit user balance (only once) – join types: users.telegram_id is bigint, ledger telegram_id is text.
-        if (coinsGranted && Number.isFinite(coinsGranted) && coinsGranted > 0 && providerPaymentId) {
-          const delta = Math.floor(effectiveCoinsGranted);
-          await withTransaction(async (client) => {
-            // Ensure we have a matching user first
-            const { rows: userRows } = await client.query(
-              `SELECT id FROM public.users WHERE telegram_id = ($1)::bigint LIMIT 1`,
-              [telegramIdRaw]
-            );
-            if (!userRows.length) {
-              return;
-            }
-            const userId = userRows[0].id;
-
-            // If this Coinbase purchase is the Starter Bundle, mark the starter offer as purchased.
-            try {
-              const starterSku = (process.env.STARTER_PACK_SKU || "STARTER_1").toUpperCase();
-              if (packSku && typeof packSku === "string" && packSku.toUpperCase() === starterSku) {
-                await client.query(
-                  `
-                  UPDATE public.users
-                  SET starter_offer_purchased = TRUE
-                  WHERE id = $1;
-                  `,
-                  [userId]
-                );
-              }
-            } catch (e) {
-              console.warn("Failed to mark starter_offer_purchased from Coinbase webhook", e && e.message ? e.message : e);
-            }
-
-
-            // Ensure the purchase_ledger row for this Coinbase payment matches the granted coins
-            const { rows: plRows } = await client.query(
-              `
-              SELECT id
-              FROM public.purchase_ledger
-              WHERE provider = 'coinbase'
-                AND provider_payment_id = $1
-                AND COALESCE(coins_granted, 0) = $2
-              LIMIT 1;
-              `,
-              [providerPaymentId, delta]
-            );
-            if (!plRows.length) {
-              return;
-            }
-
-            const endpoint = "/api/coinbase/webhook";
-            const context = "coinbase";
-            const requestId = providerPaymentId;
-
-            const idemRow = await ensureIdempotencyKeyTx(client, {
-              userId,
-              endpoint,
-              requestId,
-              context,
-            });
-
-            if (idemRow.status === "completed" && idemRow.response) {
-              return;
-            }
-
-            await applyBalanceChangeTx(client, {
-              userId,
-              delta,
-              reason: "coinbase_purchase",
-              refType: "purchase",
-              refId: plRows[0].id,
-              eventType: "purchase_credit",
-            });
-
-            const responsePayload = { ok: true, credited: delta };
-
-            await completeIdempotencyKeyTx(client, {
-              endpoint,
-              requestId,
-              context,
-              responsePayload,
-            });
-          });
-        }
-      }
-
-// 3) VIP fulfillment (separate from coins)
-      if ((vipDays && Number.isFinite(vipDays) && vipDays > 0) || normalizeSku(sku).toLowerCase() === "vip_30d") {
-        const days = vipDays && Number.isFinite(vipDays) ? Math.max(1, Math.min(365, Math.floor(vipDays))) : 30;
-        await pool.query(
-          `
-          INSERT INTO public.user_vip (telegram_id, vip_until, updated_at)
-          VALUES (($1)::bigint, NOW() + make_interval(days => $2), NOW())
-          ON CONFLICT (telegram_id)
-          DO UPDATE SET
-            vip_until = (GREATEST(COALESCE(public.user_vip.vip_until, NOW()), NOW()) + make_interval(days => $2)),
-            updated_at = NOW();
-          `,
-          [telegramIdRaw, days]
-        );
-      }
-    }
-
-    return res.status(200).send("ok");
-  } catch (err) {
-    console.error("Error /api/coinbase/webhook:", err);
-    return res.status(500).send("server error");
-  }
-});
-
-
-// ------------ Mini-app auth helper ------------
-function getClientFingerprint(req) {
-  const ua = req.headers["user-agent"] || "";
-  const ip = (req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").toString().split(",")[0].trim();
-  const tg = req.headers["x-telegram-initdata"] || "";
-  const clientId =
-    (req.headers["x-client-id"] || "") ||
-    (req.body && req.body.client && (req.body.client.client_id || req.body.client.id)
-      ? String(req.body.client.client_id || req.body.client.id)
-      : "");
-  return sha256Hex(`${ip}|${ua}|${tg}|${clientId}`);
-}
-
-
-
-function buildDataCheckString(initDataRaw) {
-  const params = new URLSearchParams(initDataRaw);
-  const pairs = [];
-  for (const [key, value] of params.entries()) {
-    if (key === "hash") continue;
-    pairs.push([key, value]);
-  }
-  pairs.sort((a, b) => a[0].localeCompare(b[0]));
-  return pairs.map(([k, v]) => `${k}=${v}`).join("\n");
-}
-
-function verifyTelegramInitData(initDataRaw, botToken) {
-  try {
-    if (!initDataRaw || !botToken) return { ok: false, error: "missing_initdata_or_token" };
-    const params = new URLSearchParams(initDataRaw);
-    const hash = params.get("hash");
-    if (!hash) return { ok: false, error: "missing_hash" };
-
-    const dataCheckString = buildDataCheckString(initDataRaw);
-    const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
-    const computed = crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex");
-
-    const a = Buffer.from(String(hash), "hex");
-    const b = Buffer.from(String(computed), "hex");
-    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, error: "bad_signature" };
-
-    const authDate = Number(params.get("auth_date") || 0);
-    const maxAgeSec = Number(process.env.TG_INITDATA_MAX_AGE_SEC || 86400);
-    const nowSec = Math.floor(Date.now() / 1000);
-    if (!authDate || nowSec - authDate > maxAgeSec) return { ok: false, error: "stale_auth_date" };
-
-    return { ok: true };
-  } catch (e) {
-    return { ok: false, error: "verify_exception" };
-  }
-}
-function parseInitData(initDataRaw) {
-  if (!initDataRaw) return {};
-  const params = new URLSearchParams(initDataRaw);
-  const data = {};
-  for (const [key, value] of params.entries()) {
-    data[key] = value;
-  }
-  return data;
-}
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: "verify_exception" };
+  }
+}
+function parseInitData(initDataRaw) {
+  if (!initDataRaw) return {};
+  const params = new URLSearchParams(initDataRaw);
+  const data = {};
+  for (const [key, value] of params.entries()) {
+    data[key] = value;
+  }
+  return data;
+}
 
 function getClientMeta(req) {
   const c = (req.body && req.body.client) ? req.body.client : {};
@@ -2152,6 +1577,16 @@ async function logEvent(userId, event, meta = null) {
   } catch (e) {}
 }
 
+// Best-effort Telegram DM to a user (security notices etc.).
+async function notifyUser(telegramId, text) {
+  if (!telegramId) return;
+  try {
+    await bot.telegram.sendMessage(String(telegramId), text);
+  } catch (e) {
+    console.warn("notifyUser failed:", e.message || e);
+  }
+}
+
 async function hasReferralReward(inviterTelegramId, invitedTelegramId) {
   try {
     const q = await pool.query(
@@ -2374,33 +1809,28 @@ async function handleTap(user) {
 
   const delta = Math.max(1, Math.floor(perTap));
 
-  // 1) Apply balance change via the ledger
-  await applyBalanceChange({
-    userId: user.id,
-    delta,
-    reason: "tap_reward",
-    refType: "tap",
-    refId: null,
-    eventType: "tap",
-  });
-
-  // 2) Update energy and daily counters without touching balance
   const newEnergy = Number(user.energy) - 1;
   const newToday = Number(user.today_farmed) + delta;
 
-  const updated = await pool.query(
-    `
-    UPDATE public.users
-    SET energy = $1,
-        today_farmed = $2,
-        taps_today = taps_today + 1
-    WHERE id = $3
-    RETURNING *;
-  `,
-    [newEnergy, newToday, user.id]
-  );
+  return await withTransaction(async (client) => {
+    // 1) Credit the tap reward (buffered; flushed to the ledger as a tap_batch)
+    await bufferTapRewardTx(client, { userId: user.id, delta, taps: 1 });
+
+    // 2) Update energy and daily counters without touching balance
+    const updated = await client.query(
+      `
+      UPDATE public.users
+      SET energy = $1,
+          today_farmed = $2,
+          taps_today = taps_today + 1
+      WHERE id = $3
+      RETURNING *;
+    `,
+      [newEnergy, newToday, user.id]
+    );
 
-  return updated.rows[0];
+    return updated.rows[0];
+  });
 }
 // ------------ Global rank helper ------------
 async function getGlobalRankForUser(user) {
@@ -2700,12 +2130,12 @@ app.get("/health", async (req, res) => {
     let pendingJobs = 0;
     let failedJobs = 0;
     try {
+      // Exhausted jobs live in jobs_dead_letter (migration 012).
       const statsRes = await pool.query(
         `
         SELECT
-          COUNT(*) FILTER (WHERE status = 'pending') AS pending_count,
-          COUNT(*) FILTER (WHERE status = 'failed') AS failed_count
-        FROM public.jobs
+          (SELECT COUNT(*) FROM public.jobs WHERE status = 'pending') AS pending_count,
+          (SELECT COUNT(*) FROM public.jobs_dead_letter WHERE requeued_at IS NULL) AS failed_count
         `
       );
       pendingJobs = Number(statsRes.rows[0]?.pending_count || 0);
@@ -2714,12 +2144,38 @@ app.get("/health", async (req, res) => {
       console.warn("health: jobs stats query failed", err?.message || err);
     }
 
+    // Worker liveness (heartbeats, migration 016) + how long the oldest due job has waited.
+    let liveWorkers = null;
+    let oldestPendingAgeSec = null;
+    try {
+      const wRes = await pool.query(
+        `
+        SELECT
+          (SELECT COUNT(*) FROM public.workers
+           WHERE last_heartbeat_at > NOW() - make_interval(secs => $1)) AS live_workers,
+          (SELECT EXTRACT(EPOCH FROM NOW() - MIN(run_at))
+           FROM public.jobs
+           WHERE status = 'pending' AND run_at <= NOW()) AS oldest_pending_age_sec
+        `,
+        [Math.floor(WORKER_LEASE_TIMEOUT_MS / 1000)]
+      );
+      liveWorkers = Number(wRes.rows[0]?.live_workers || 0);
+      const age = wRes.rows[0]?.oldest_pending_age_sec;
+      oldestPendingAgeSec = age == null ? 0 : Math.max(0, Math.floor(Number(age)));
+    } catch (err) {
+      console.warn("health: worker stats query failed", err?.message || err);
+    }
+
     return res.json({
       ok: true,
       db: "up",
       jobs: {
         pending: pendingJobs,
         failed: failedJobs,
+        oldest_pending_age_sec: oldestPendingAgeSec,
+      },
+      workers: {
+        live: liveWorkers,
       },
     });
   } catch (err) {
@@ -2894,6 +2350,7 @@ a{color:#7db3ff}
   <input id="key" placeholder="ADMIN_KEY" style="width:320px" />
   <button onclick="saveKey()">Save</button>
   <button onclick="loadAll()">Refresh</button>
+  <div style="margin-top:8px"><input id="adminName" placeholder="Admin name (audit trail)" style="width:320px" onchange="localStorage.setItem('ADMIN_NAME',this.value)" /></div>
 </div>
 
 <div class="card" id="summary">Loading...</div>
@@ -2901,7 +2358,42 @@ a{color:#7db3ff}
 <div class="card">
   <h3>Withdrawals (pending)</h3>
   <button onclick="loadWithdrawals()">Load</button>
-  <table id="wtable"><thead><tr><th>ID</th><th>User</th><th>Amount</th><th>Wallet</th><th>Status</th><th>Actions</th></tr></thead><tbody></tbody></table>
+  <button onclick="loadWithdrawals('paid')">Paid</button>
+  <button onclick="loadWithdrawals('sending')">Sending</button>
+  <button onclick="loadWithdrawals('broadcast')">Broadcast</button>
+  <button onclick="loadWithdrawals('confirmed')">Confirmed</button>
+  <table id="wtable"><thead><tr><th>ID</th><th>User</th><th>Amount</th><th>Wallet</th><th>Status</th><th>Risk</th><th>Actions</th></tr></thead><tbody></tbody></table>
+</div>
+
+<div class="card">
+  <h3>Payout records</h3>
+  <div class="small">Attach the provider and tx hash to a paid withdrawal. Every change is kept in the audit trail.</div>
+  <input id="prid" placeholder="withdraw id" style="width:110px" />
+  <input id="prprov" placeholder="provider (ton, tron, manual...)" />
+  <input id="prtx" placeholder="tx hash" style="width:320px" />
+  <input id="prnote" placeholder="proof note (optional)" style="width:320px" />
+  <button onclick="savePayoutRecord()">Save</button>
+  <button onclick="loadPayoutAudit()">History</button>
+  <pre id="prout" class="small" style="white-space:pre-wrap"></pre>
+</div>
+
+<div class="card">
+  <h3>Jobs</h3>
+  <button onclick="loadJobStats()">Stats</button>
+  <table id="jstats"><thead><tr><th>Type</th><th>Pending</th><th>Due</th><th>Processing</th><th>Done 1h</th><th>Done 24h</th><th>Oldest due</th><th>Dead letter</th></tr></thead><tbody></tbody></table>
+  <div style="margin-top:12px">
+    <select id="jstatus" style="padding:10px;border-radius:10px;background:#0b1220;color:#e8eefc">
+      <option value="pending">pending</option><option value="processing">processing</option>
+      <option value="completed">completed</option><option value="cancelled">cancelled</option><option value="failed">failed</option>
+    </select>
+    <input id="jtype" placeholder="type (optional)" />
+    <button onclick="loadJobs()">Load jobs</button>
+  </div>
+  <table id="jtable"><thead><tr><th>ID</th><th>Type</th><th>Queue</th><th>Status</th><th>Attempts</th><th>Run at</th><th>Last error</th><th>Actions</th></tr></thead><tbody></tbody></table>
+  <h4>Dead letter</h4>
+  <button onclick="loadDeadLetter()">Load</button>
+  <table id="dtable"><thead><tr><th>ID</th><th>Job</th><th>Type</th><th>Attempts</th><th>Dead at</th><th>Last error</th><th>Actions</th></tr></thead><tbody></tbody></table>
+  <pre id="jdetail" class="small" style="white-space:pre-wrap"></pre>
 </div>
 
 <div class="card">
@@ -2914,9 +2406,10 @@ a{color:#7db3ff}
 
 <script>
 function key(){return localStorage.getItem('ADMIN_KEY')||document.getElementById('key').value||''}
+function adminName(){return document.getElementById('adminName').value||localStorage.getItem('ADMIN_NAME')||''}
 function saveKey(){localStorage.setItem('ADMIN_KEY',document.getElementById('key').value);loadAll();}
 async function post(url, body){
-  const r=await fetch(url,{method:'POST',headers:{'content-type':'application/json','x-admin-key':key()},body:JSON.stringify(body||{})});
+  const r=await fetch(url,{method:'POST',headers:{'content-type':'application/json','x-admin-key':key(),'x-admin-user':adminName()},body:JSON.stringify(body||{})});
   return r.json();
 }
 async function loadAll(){
@@ -2930,20 +2423,118 @@ async function loadAll(){
     +'<div>Pending withdrawals: '+s.pendingWithdrawals+'</div>'
     : ('Error: '+(s.error||''));
 }
-async function loadWithdrawals(){
-  const r = await post('/api/admin/withdraw/list',{status:'pending'});
+async function loadWithdrawals(status){
+  status=status||'pending';
+  const r = await post('/api/admin/withdraw/list',{status});
   const tb=document.querySelector('#wtable tbody'); tb.innerHTML='';
   (r.rows||[]).forEach(w=>{
     const tr=document.createElement('tr');
     tr.innerHTML='<td>'+w.id+'</td><td>@'+(w.username||'')+' ('+w.telegram_id+')</td><td>'+w.amount+'</td><td>'+w.wallet+'</td><td>'+w.status+'</td>'
-      +'<td><button onclick="upd('+w.id+',\'approved\')">Approve</button> <button onclick="upd('+w.id+',\'rejected\')">Reject</button> <button onclick="upd('+w.id+',\'paid\')">Paid</button></td>';
+      +'<td>'+riskCell(w)+'</td>'
+      +(status==='pending'
+        ? '<td><button onclick="upd('+w.id+',\\'approved\\')">Approve</button> <button onclick="upd('+w.id+',\\'rejected\\')">Reject</button> <button onclick="upd('+w.id+',\\'paid\\')">Paid</button></td>'
+        : '<td>'+esc(w.payout_provider)+' '+esc(w.payout_tx_id)+' <button onclick="pickPayoutRecord('+w.id+')">Record</button>'
+          +(status==='broadcast' ? ' <button onclick="recheck('+w.id+')">Recheck</button>' : '')+'</td>');
     tb.appendChild(tr);
   });
 }
+function pickPayoutRecord(id){
+  document.getElementById('prid').value=id;
+  loadPayoutAudit();
+}
+async function savePayoutRecord(){
+  const r = await post('/api/admin/withdraw/payout-record',{
+    id:Number(document.getElementById('prid').value||0),
+    provider:document.getElementById('prprov').value,
+    tx_id:document.getElementById('prtx').value,
+    proof_note:document.getElementById('prnote').value
+  });
+  if(!r.ok){document.getElementById('prout').textContent='Error: '+(r.error||'')+(r.status?' ('+r.status+')':'');return;}
+  loadPayoutAudit();
+}
+async function loadPayoutAudit(){
+  const r = await post('/api/admin/withdraw/payout-audit',{id:Number(document.getElementById('prid').value||0)});
+  if(!r.ok){document.getElementById('prout').textContent='Error: '+(r.error||'');return;}
+  const w=r.request;
+  document.getElementById('prprov').value=w.payout_provider||'';
+  document.getElementById('prtx').value=w.payout_tx_id||'';
+  document.getElementById('prnote').value=w.payout_proof_note||'';
+  document.getElementById('prout').textContent=JSON.stringify(r,null,2);
+}
+function riskCell(w){
+  if(w.risk_scored_at==null) return '<span class="small">not scored</span>';
+  const codes=(w.risk_reasons||[]).map(r=>esc(r.code)+' (+'+r.points+')').join(', ');
+  return esc(w.risk_score)+' · '+esc(w.risk_decision)+(codes?'<div class="small">'+codes+'</div>':'');
+}
+async function recheck(id){
+  const r = await post('/api/admin/withdraw/recheck',{id});
+  if(!r.ok) alert('Error: '+(r.error||'')+(r.status?' ('+r.status+')':''));
+  loadWithdrawals('broadcast');
+}
 async function upd(id,status){
   await post('/api/admin/withdraw/update',{id,status});
   loadWithdrawals(); loadAll();
 }
+function esc(v){
+  return String(v==null?'':v).split('&').join('&amp;').split('<').join('&lt;').split('>').join('&gt;');
+}
+async function loadJobStats(){
+  const r = await post('/api/admin/jobs/stats',{});
+  const tb=document.querySelector('#jstats tbody'); tb.innerHTML='';
+  (r.types||[]).forEach(t=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>'+esc(t.type)+'</td><td>'+t.pending+'</td><td>'+t.due+'</td><td>'+t.processing+'</td><td>'+t.completed_1h+'</td><td>'+t.completed_24h+'</td>'
+      +'<td>'+(t.oldest_due_age_sec==null?'':t.oldest_due_age_sec+'s')+'</td><td>'+t.dead_letter_open+'</td>';
+    tb.appendChild(tr);
+  });
+}
+async function loadJobs(){
+  const status=document.getElementById('jstatus').value;
+  const type=document.getElementById('jtype').value.trim();
+  const r = await post('/api/admin/jobs/list',{status:status,type:type||undefined});
+  const tb=document.querySelector('#jtable tbody'); tb.innerHTML='';
+  (r.jobs||[]).forEach(j=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>'+j.id+'</td><td>'+esc(j.type)+'</td><td>'+esc(j.queue)+'</td><td>'+esc(j.status)+'</td><td>'+j.attempts+'</td><td>'+esc(j.run_at)+'</td><td>'+esc(j.last_error)+'</td>'
+      +'<td><button onclick="showJob('+j.id+')">View</button> <button onclick="retryJob('+j.id+')">Retry</button> <button onclick="cancelJob('+j.id+')">Cancel</button></td>';
+    tb.appendChild(tr);
+  });
+}
+async function showJob(id){
+  const r = await post('/api/admin/jobs/get',{id:id});
+  document.getElementById('jdetail').textContent = JSON.stringify(r.job||r.dead_letter||r, null, 2);
+}
+async function retryJob(id){
+  const r = await post('/api/admin/jobs/retry',{id:id});
+  if(!r.ok) alert(r.error||'Error');
+  loadJobs(); loadJobStats();
+}
+async function cancelJob(id){
+  if(!confirm('Cancel job '+id+'?')) return;
+  const r = await post('/api/admin/jobs/cancel',{id:id});
+  if(!r.ok) alert(r.error||'Error');
+  loadJobs(); loadJobStats();
+}
+async function loadDeadLetter(){
+  const r = await post('/api/admin/jobs/dead-letter',{});
+  const tb=document.querySelector('#dtable tbody'); tb.innerHTML='';
+  (r.jobs||[]).forEach(d=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>'+d.id+'</td><td>'+d.job_id+'</td><td>'+esc(d.type)+'</td><td>'+d.attempts+'</td><td>'+esc(d.dead_at)+'</td><td>'+esc(d.last_error)+'</td>'
+      +'<td><button onclick="showDead('+d.id+')">View</button> <button onclick="requeueDead('+d.id+')">Requeue</button></td>';
+    tb.appendChild(tr);
+  });
+  window._dead = r.jobs||[];
+}
+function showDead(id){
+  const d=(window._dead||[]).find(x=>x.id===id);
+  document.getElementById('jdetail').textContent = JSON.stringify(d||{}, null, 2);
+}
+async function requeueDead(id){
+  const r = await post('/api/admin/jobs/dead-letter/requeue',{id:id});
+  if(!r.ok) alert(r.error||'Error');
+  loadDeadLetter(); loadJobStats();
+}
 function dl(path){
   fetch(path,{headers:{'x-admin-key':key()}}).then(r=>r.blob()).then(b=>{
     const a=document.createElement('a'); a.href=URL.createObjectURL(b); a.download=path.split('/').pop(); a.click();
@@ -2981,7 +2572,7 @@ app.post("/api/admin/summary", async (req, res) => {
 // CSV export helpers
 function csvEscape(v){
   if (v === null || v === undefined) return "";
-  const s = String(v);
+  const s = v instanceof Date ? v.toISOString() : typeof v === "object" ? JSON.stringify(v) : String(v);
   if (s.includes('"') || s.includes(",") || s.includes("\n")) return '"' + s.replace(/"/g,'""') + '"';
   return s;
 }
@@ -3020,7 +2611,15 @@ app.get("/api/admin/export/withdrawals.csv", async (req, res) => {
   try {
     const key = String(req.headers["x-admin-key"] || "");
     if (!ADMIN_KEY || key !== ADMIN_KEY) return res.status(403).send("FORBIDDEN");
-    const q = await pool.query(`SELECT wr.*, u.telegram_id, u.username FROM public.withdraw_requests wr JOIN public.users u ON u.id=wr.user_id ORDER BY wr.id DESC LIMIT 50000`);
+    // Includes payout reconciliation: provider / tx hash / proof plus the audit trail size.
+    const q = await pool.query(
+      `SELECT wr.*, u.telegram_id, u.username,
+              (SELECT COUNT(*)::int FROM public.withdraw_payout_audit a WHERE a.withdraw_id = wr.id) AS payout_audit_changes
+       FROM public.withdraw_requests wr
+       JOIN public.users u ON u.id=wr.user_id
+       ORDER BY wr.id DESC
+       LIMIT 50000`
+    );
     res.setHeader("content-type","text/csv; charset=utf-8");
     res.send(rowsToCsv(q.rows));
   } catch (e) { res.status(500).send("ERROR"); }
@@ -3209,29 +2808,24 @@ app.post("/api/tap", async (req, res) => {
     const newToday = Number(user.today_farmed || 0) + delta;
     const newTaps = currentTaps + 1;
 
-    // 5a) Apply the tap reward via the balance ledger
-    await applyBalanceChange({
-      userId: user.id,
-      delta,
-      reason: "tap_reward",
-      refType: "tap",
-      refId: null,
-      eventType: "tap",
-    });
+    const upd = await withTransaction(async (client) => {
+      // 5a) Credit the tap reward (buffered; flushed to the ledger as a tap_batch)
+      await bufferTapRewardTx(client, { userId: user.id, delta, taps: 1 });
 
-    // 5b) Update energy + tap counters without touching balance
-    const upd = await pool.query(
-      `
-      UPDATE public.users
-      SET energy         = $1,
-          today_farmed   = $2,
-          taps_today     = $3,
-          last_energy_ts = NOW()
-      WHERE id = $4
-      RETURNING *;
-      `,
-      [newEnergy, newToday, newTaps, user.id]
-    );
+      // 5b) Update energy + tap counters without touching balance
+      return await client.query(
+        `
+        UPDATE public.users
+        SET energy         = $1,
+            today_farmed   = $2,
+            taps_today     = $3,
+            last_energy_ts = NOW()
+        WHERE id = $4
+        RETURNING *;
+        `,
+        [newEnergy, newToday, newTaps, user.id]
+      );
+    });
 
     if (!upd.rowCount) {
         const freshQ = await pool.query(`SELECT * FROM public.users WHERE id = $1 LIMIT 1;`, [user.id]);
@@ -3246,7 +2840,7 @@ app.post("/api/tap", async (req, res) => {
           "BOOST_NOT_APPLIED";
         return res.json({ ...state, ok: false, reason });
       }
-      updatedUser = upd.rows[0];
+    const updatedUser = upd.rows[0];
     // Referral activation (anti-fraud): only rewards after real activity
     maybeActivateReferral(updatedUser, 'tap');
     const state = await buildClientState(updatedUser);
@@ -3373,15 +2967,9 @@ app.post("/api/tapPacket", async (req, res) => {
 
     let updatedUser;
     await withTransaction(async (client) => {
-      // 1) Apply balance change via ledger inside the same transaction.
-      await applyBalanceChangeTx(client, {
-        userId: user.id,
-        delta: gained,
-        reason: "tap_reward",
-        refType: "tap_packet",
-        refId: null,
-        eventType: "tap",
-      });
+      // 1) Credit the packet reward inside the same transaction (buffered; flushed
+      // to the ledger as a tap_batch).
+      await bufferTapRewardTx(client, { userId: user.id, delta: gained, taps: n });
 
       // 2) Update energy + tap counters but do not touch balance here.
       const upd = await client.query(
@@ -3459,14 +3047,21 @@ app.post("/api/boost/energy", async (req, res) => {
       }
 
       // 1) Apply the energy refill cost via the balance ledger
-      await applyBalanceChange({
-        userId: user.id,
-        delta: -ENERGY_REFILL_COST,
-        reason: "energy_refill",
-        refType: "boost",
-        refId: null,
-        eventType: "spend",
-      });
+      // (the ledger re-checks the balance atomically in case of concurrent spends)
+      try {
+        await applyBalanceChange({
+          userId: user.id,
+          delta: -ENERGY_REFILL_COST,
+          reason: "energy_refill",
+          refType: "boost",
+          refId: null,
+          eventType: "spend",
+        });
+      } catch (e) {
+        if (!(e instanceof InsufficientBalanceError)) throw e;
+        const state = await buildClientState(user);
+        return res.json({ ...state, ok: false, reason: "NOT_ENOUGH_POINTS" });
+      }
 
       // 2) Refill energy/max_energy without touching balance directly
       const upd = await pool.query(
@@ -3602,14 +3197,21 @@ app.post("/api/boost/double", async (req, res) => {
       }
 
       // 1) Apply the double boost cost via the balance ledger
-      await applyBalanceChange({
-        userId: user.id,
-        delta: -DOUBLE_BOOST_COST,
-        reason: "double_boost",
-        refType: "boost",
-        refId: null,
-        eventType: "spend",
-      });
+      // (the ledger re-checks the balance atomically in case of concurrent spends)
+      try {
+        await applyBalanceChange({
+          userId: user.id,
+          delta: -DOUBLE_BOOST_COST,
+          reason: "double_boost",
+          refType: "boost",
+          refId: null,
+          eventType: "spend",
+        });
+      } catch (e) {
+        if (!(e instanceof InsufficientBalanceError)) throw e;
+        const state = await buildClientState(user);
+        return res.json({ ...state, ok: false, reason: "NOT_ENOUGH_POINTS" });
+      }
 
       // 2) Activate double_boost_without touching balance directly
       const upd = await pool.query(
@@ -3826,14 +3428,20 @@ app.post("/api/vip/buy", async (req, res) => {
       const newUntil = new Date(base.getTime() + months * 30 * 24 * 60 * 60 * 1000);
 
       // 1) Apply the VIP purchase cost via the balance ledger
-      await applyBalanceChange({
-        userId: user.id,
-        delta: -cost,
-        reason: "vip_purchase",
-        refType: "vip",
-        refId: null,
-        eventType: "spend",
-      });
+      // (the ledger re-checks the balance atomically in case of concurrent spends)
+      try {
+        await applyBalanceChange({
+          userId: user.id,
+          delta: -cost,
+          reason: "vip_purchase",
+          refType: "vip",
+          refId: null,
+          eventType: "spend",
+        });
+      } catch (e) {
+        if (!(e instanceof InsufficientBalanceError)) throw e;
+        return res.json({ ...(await buildClientState(user)), ok: false, reason: "NOT_ENOUGH_POINTS", cost });
+      }
 
       // 2) Update VIP flags and energy caps without touching balance directly
       const upd = await pool.query(
@@ -3909,6 +3517,16 @@ app.post("/api/admin/season/reset", async (req, res) => {
     try {
       await client.query("BEGIN");
 
+      // Checkpoint every balance at the season boundary (written by the worker).
+      const prevSeasonRes = await client.query(
+        `SELECT id FROM public.seasons WHERE is_active = TRUE ORDER BY id DESC LIMIT 1;`
+      );
+      await createSnapshotRunTx(client, {
+        kind: "season",
+        snapshotAt: new Date(),
+        seasonId: prevSeasonRes.rows[0]?.id || null,
+      });
+
       if (endCurrent) {
         await client.query(`UPDATE public.seasons SET is_active = FALSE, ends_at = NOW() WHERE is_active = TRUE;`);
       }
@@ -4544,6 +4162,10 @@ app.post("/api/boost/completeAd", async (req, res) => {
     if (ad.status === "completed") {
       return res.json({ ok: true, already_completed: true });
     }
+    // Pending sessions are expired by the expire_ad_sessions housekeeping job.
+    if (ad.status === "expired") {
+      return res.status(410).json({ ok: false, error: "AD_SESSION_EXPIRED" });
+    }
 
     // Token check (prevents guessing)
     const tokenHash = sha256Hex(`hash|${token}`);
@@ -4576,31 +4198,50 @@ app.post("/api/boost/completeAd", async (req, res) => {
       return res.json(idemRow.response);
     }
 
-    // Apply reward
-    user = await applyGenericReward(user, ad.reward_type, ad.reward_amount);
-
-    // Sponsor bridge: treat rewarded ad completions as a sponsor-billable action.
-    // We map all ad-based rewards to the sponsor mission code "sp_watch_video".
-    // If no sponsor mission/campaign is configured, this is a no-op.
-    try {
-      const sponsorMission = await getMissionByCode("sp_watch_video");
-      if (sponsorMission && sponsorMission.kind === "sponsor") {
-        await sponsorChargeIfNeeded(user, sponsorMission);
-      }
-    } catch (e) {
-      console.warn("Sponsor bridge for ad completion failed:", e?.message || e);
-    }
-
-    await pool.query(
+    // Claim the session before rewarding. The status check lives in the UPDATE so
+    // it cannot race the expire_ad_sessions job (or a parallel complete).
+    const claimRes = await pool.query(
       `
       UPDATE public.ad_sessions
       SET status = 'completed',
           completed_at = NOW(),
           completed_via = COALESCE(completed_via, 'client')
-      WHERE id = $1;
+      WHERE id = $1
+        AND status NOT IN ('expired', 'completed')
+      RETURNING status;
       `,
       [ad.id]
     );
+    if (!claimRes.rowCount) {
+      const cur = await pool.query(`SELECT status FROM public.ad_sessions WHERE id = $1;`, [ad.id]);
+      if (cur.rows[0]?.status === "expired") {
+        return res.status(410).json({ ok: false, error: "AD_SESSION_EXPIRED" });
+      }
+      return res.json({ ok: true, already_completed: true });
+    }
+
+    // Apply reward (give the session back if that fails, so the client can retry)
+    try {
+      user = await applyGenericReward(user, ad.reward_type, ad.reward_amount);
+    } catch (err) {
+      await pool.query(
+        `UPDATE public.ad_sessions SET status = $2, completed_at = NULL, completed_via = $3 WHERE id = $1 AND status = 'completed';`,
+        [ad.id, ad.status, ad.completed_via || null]
+      );
+      throw err;
+    }
+
+    // Sponsor bridge: treat rewarded ad completions as a sponsor-billable action.
+    // We map all ad-based rewards to the sponsor mission code "sp_watch_video".
+    // If no sponsor mission/campaign is configured, this is a no-op.
+    try {
+      const sponsorMission = await getMissionByCode("sp_watch_video");
+      if (sponsorMission && sponsorMission.kind === "sponsor") {
+        await sponsorChargeIfNeeded(user, sponsorMission);
+      }
+    } catch (e) {
+      console.warn("Sponsor bridge for ad completion failed:", e?.message || e);
+    }
 
     await logEvent(user.id, "ad_completed", { session_id: ad.id, reward_type: ad.reward_type, reward_amount: Number(ad.reward_amount || 0) });
 
@@ -5054,48 +4695,156 @@ app.get("/api/referrals/summary", async (req, res) => {
   }
 });
 
+// ------------ Wallet history (balance statement) ------------
+// Human-readable labels for user_balance_ledger.reason codes.
+const WALLET_REASON_LABELS = {
+  tap_reward: "Tapping rewards",
+  referral_reward: "Friend invite reward",
+  early_access_starter_bonus: "Early access starter bonus",
+  daily_bonus: "Daily check-in bonus",
+  mission_reward: "Mission reward",
+  generic_reward: "Reward",
+  stripe_purchase: "Coin pack purchase (card)",
+  coinbase_purchase: "Coin pack purchase (crypto)",
+  telegram_stars_purchase: "Coin pack purchase (Telegram Stars)",
+  withdraw_reserve: "Withdrawal requested",
+  withdraw_rejected_refund: "Withdrawal refunded",
+  withdraw_onchain_refund: "Withdrawal refunded (transfer failed)",
+  withdraw_cancel_refund: "Withdrawal cancelled",
+  vip_purchase: "VIP pass purchase",
+  energy_refill: "Energy refill",
+  double_boost: "Double points boost",
+};
+
+function walletReasonLabel(reason) {
+  const key = String(reason || "");
+  return WALLET_REASON_LABELS[key] || key.replace(/_/g, " ") || "Balance change";
+}
+
+// Cursor = base64url("<timestamp>|<entry id>") of the last row returned. The
+// timestamp keeps Postgres' microseconds (ts_cursor in the query): a JS Date
+// would round it to milliseconds and skip rows that fall in between.
+function encodeWalletCursor(ts, id) {
+  return Buffer.from(`${ts}|${id}`).toString("base64url");
+}
+
+function decodeWalletCursor(raw) {
+  if (!raw) return null;
+  try {
+    const [ts, idRaw] = Buffer.from(String(raw), "base64url").toString("utf8").split("|");
+    const id = Number(idRaw);
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?Z$/.test(ts || "") || isNaN(new Date(ts))) return null;
+    if (!Number.isFinite(id)) return null;
+    return { ts, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Paginated ledger statement for the current user.
+// Tap rewards are collapsed into one row per UTC hour so the list stays readable.
+// Body: { cursor?: string, limit?: number }
+app.post("/api/wallet/history", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+
+    const fp = req._fp || getClientFingerprint(req);
+    if (!hit(`wallethist:${user.id}:${fp}`, 60, 60_000)) {
+      return res.status(429).json({ ok: false, error: "RATE_LIMIT" });
+    }
+
+    const limit = Math.max(1, Math.min(100, Number(req.body.limit || 30)));
+    const cursorRaw = req.body.cursor ? String(req.body.cursor) : "";
+    const cursor = decodeWalletCursor(cursorRaw);
+    if (cursorRaw && !cursor) {
+      return res.status(400).json({ ok: false, error: "BAD_CURSOR" });
+    }
+
+    const { rows } = await pool.query(
+      `
+      WITH entries AS (
+        SELECT 'entry' AS kind, id AS entry_id, created_at AS ts, delta, reason,
+               ref_type, ref_id, 1 AS tap_count
+        FROM public.user_balance_ledger
+        WHERE user_id = $1
+          AND reason <> 'tap_reward'
+          AND ($2::timestamptz IS NULL OR created_at <= $2::timestamptz)
+        UNION ALL
+        SELECT 'tap_hour' AS kind, MAX(id) AS entry_id, date_trunc('hour', created_at) AS ts,
+               SUM(delta) AS delta, 'tap_reward' AS reason, 'tap' AS ref_type, NULL AS ref_id,
+               SUM(COALESCE((meta->>'tap_count')::int, 1)) AS tap_count
+        FROM public.user_balance_ledger
+        WHERE user_id = $1
+          AND reason = 'tap_reward'
+          AND ($2::timestamptz IS NULL OR created_at < $2::timestamptz + INTERVAL '1 hour')
+        GROUP BY date_trunc('hour', created_at)
+      )
+      SELECT *, to_char(ts AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS ts_cursor
+      FROM entries
+      WHERE $2::timestamptz IS NULL OR (ts, entry_id) < ($2::timestamptz, $3::bigint)
+      ORDER BY ts DESC, entry_id DESC
+      LIMIT $4;
+      `,
+      [user.id, cursor ? cursor.ts : null, cursor ? cursor.id : 0, limit + 1]
+    );
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    const entries = page.map((r) => ({
+      id: r.kind === "tap_hour" ? `tap_hour:${new Date(r.ts).toISOString()}` : String(r.entry_id),
+      kind: r.kind,
+      at: new Date(r.ts).toISOString(),
+      delta: Number(r.delta || 0),
+      reason: r.reason,
+      label: walletReasonLabel(r.reason),
+      ref_type: r.ref_type || null,
+      ref_id: r.ref_id == null ? null : r.ref_id,
+      tap_count: r.kind === "tap_hour" ? Number(r.tap_count || 0) : null,
+    }));
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore && last ? encodeWalletCursor(last.ts_cursor, last.entry_id) : null;
+
+    return res.json({
+      ok: true,
+      balance: Number(user.balance || 0),
+      entries,
+      next_cursor: nextCursor,
+    });
+  } catch (err) {
+    console.error("Error /api/wallet/history:", err);
+    return res.status(500).json({ ok: false, error: "WALLET_HISTORY_ERROR" });
+  }
+});
+
 // Withdraw/Vault status + trust data (readiness checklist + recent payouts)
 async function withdrawStatusHandler(req, res) {
   try {
     const user = await getOrCreateUserFromInitData(req);
     const balance = Number(user.balance || 0);
 
+    const config = await loadConfig();
+    const eligibility = await evaluateWithdrawEligibility(pool, { user, config });
+    const { checks } = eligibility;
+
     const rules = {
       min_withdraw: WITHDRAW_MIN,
-      min_account_age_hours: Number(process.env.WITHDRAW_MIN_ACCOUNT_AGE_HOURS || 24),
-      min_sponsor_claims_7d: Number(process.env.WITHDRAW_MIN_SPONSOR_CLAIMS_7D || 2),
+      ...eligibility.rules,
     };
 
-    const ageOk = (() => {
-      const created = user.created_at ? new Date(user.created_at) : null;
-      if (!created || isNaN(created)) return true;
-      const hours = (Date.now() - created.getTime()) / 3600000;
-      return hours >= rules.min_account_age_hours;
-    })();
-
-    let sponsorClaims7d = 0;
-    try {
-      const q = await pool.query(
-        `
-        SELECT COUNT(*)::int AS c
-        FROM public.user_missions um
-        JOIN public.missions m ON m.id = um.mission_id
-        WHERE um.user_id = $1
-          AND m.code like 'sp_%'
-          AND um.reward_applied = TRUE
-          AND um.claimed_at IS NOT NULL
-          AND um.claimed_at > (NOW() - INTERVAL '7 days');
-        `,
-        [user.id]
-      );
-      sponsorClaims7d = q.rows[0]?.c || 0;
-    } catch (e) {}
-
     const readiness = {
       has_min_balance: balance >= rules.min_withdraw,
-      account_age_ok: ageOk,
-      sponsor_ok: sponsorClaims7d >= rules.min_sponsor_claims_7d,
-      sponsor_claims_7d: sponsorClaims7d,
+      account_age_ok: checks.account_age.ok,
+      sponsor_ok: checks.sponsor_claims_7d.ok,
+      sponsor_claims_7d: checks.sponsor_claims_7d.count,
+      fraud_ok: checks.fraud_score.ok,
+      kyc_ok: checks.kyc_tier.ok,
+      kyc_tier: checks.kyc_tier.tier,
+      daily_cap: checks.daily_cap,
+      weekly_cap: checks.weekly_cap,
+      eligible: eligibility.eligible && balance >= rules.min_withdraw,
+      reasons: eligibility.reasons,
     };
 
     let recent = [];
@@ -5105,7 +4854,7 @@ async function withdrawStatusHandler(req, res) {
         SELECT wr.amount, wr.paid_at, u.username
         FROM public.withdraw_requests wr
         JOIN public.users u ON u.id = wr.user_id
-        WHERE wr.status = 'paid'
+        WHERE wr.status IN ('paid', 'confirmed')
         ORDER BY wr.paid_at DESC NULLS LAST
         LIMIT 20;
         `
@@ -5120,7 +4869,7 @@ async function withdrawStatusHandler(req, res) {
     let mine = [];
     try {
       const q = await pool.query(
-        `SELECT id, amount, status, created_at, reviewed_at, paid_at
+        `SELECT id, amount, fee, net_amount, token, token_amount, status, created_at, reviewed_at, paid_at
          FROM public.withdraw_requests
          WHERE user_id=$1
          ORDER BY created_at DESC
@@ -5130,6 +4879,10 @@ async function withdrawStatusHandler(req, res) {
       mine = q.rows.map(x => ({
         id: x.id,
         amount: Number(x.amount || 0),
+        fee: Number(x.fee || 0),
+        net_amount: x.net_amount == null ? null : Number(x.net_amount),
+        token: x.token,
+        token_amount: x.token_amount,
         status: x.status,
         created_at: x.created_at,
         reviewed_at: x.reviewed_at,
@@ -5146,14 +4899,49 @@ async function withdrawStatusHandler(req, res) {
 
 app.post("/api/withdraw/status", withdrawStatusHandler);
 app.post("/api/vault/status", withdrawStatusHandler);
-// Withdraw info (placeholder)
+// Withdraw info: rails and a fee/rate quote (lib/withdrawFees.js) for `amount`
+// (default: whole balance) on `rail` or the rail of saved wallet `wallet_id`.
 app.post("/api/withdraw/info", async (req, res) => {
   try {
-    let user = await getOrCreateUserFromInitData(req);
+    const user = await getOrCreateUserFromInitData(req);
+    const balance = Number(user.balance || 0);
+    const config = await loadConfig();
+
+    let rail = String(req.body.rail || "").trim().toLowerCase();
+    const walletId = Number(req.body.wallet_id || 0);
+    if (walletId) {
+      const w = await pool.query(
+        `SELECT rail FROM public.user_wallets WHERE id=$1 AND user_id=$2 AND status='active'`,
+        [walletId, user.id]
+      );
+      if (!w.rows.length) return res.status(404).json({ ok: false, error: "WALLET_NOT_FOUND" });
+      rail = w.rows[0].rail;
+    }
+    rail = rail || WITHDRAW_RAILS[0];
+    if (!WITHDRAW_RAILS.includes(rail)) {
+      return res.status(400).json({ ok: false, error: "UNSUPPORTED_RAIL", rails: WITHDRAW_RAILS });
+    }
+
+    const amount = Math.floor(Number(req.body.amount != null ? req.body.amount : balance));
+    let quote = null;
+    let quoteError = null;
+    if (Number.isFinite(amount) && amount > 0) {
+      try {
+        quote = quoteWithdraw({ config, rail, amount });
+      } catch (err) {
+        if (err.code !== "FEE_EXCEEDS_AMOUNT") throw err;
+        quoteError = err.code;
+      }
+    }
+
     res.json({
       ok: true,
-      balance: Number(user.balance || 0),
-      note: "Withdrawals not live yet; follow our Telegram channel.",
+      balance,
+      min_withdraw: WITHDRAW_MIN,
+      rails: WITHDRAW_RAILS,
+      rail,
+      quote,
+      quote_error: quoteError,
     });
   } catch (err) {
     console.error("Error /api/withdraw/info:", err);
@@ -5161,12 +4949,176 @@ app.post("/api/withdraw/info", async (req, res) => {
   }
 });
 
+// ------------ Withdraw wallet book ------------
+
+function shortAddress(address) {
+  const s = String(address || "");
+  return s.length > 14 ? `${s.slice(0, 6)}…${s.slice(-4)}` : s;
+}
+
+function walletBookRow(w) {
+  return {
+    id: Number(w.id),
+    rail: w.rail,
+    address: w.address,
+    label: w.label,
+    created_at: w.created_at,
+    usable_after: w.usable_after,
+    usable: new Date(w.usable_after).getTime() <= Date.now(),
+  };
+}
+
+app.post("/api/withdraw/wallets/list", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const { rows } = await pool.query(
+      `SELECT * FROM public.user_wallets
+       WHERE user_id=$1 AND status='active'
+       ORDER BY created_at DESC`,
+      [user.id]
+    );
+    res.json({
+      ok: true,
+      wallets: rows.map(walletBookRow),
+      rails: WITHDRAW_RAILS,
+      cooldown_hours: WALLET_CHANGE_COOLDOWN_HOURS,
+      max_wallets: WALLET_BOOK_MAX,
+    });
+  } catch (e) {
+    console.error("Error /api/withdraw/wallets/list:", e);
+    res.status(500).json({ ok: false, error: "WALLET_LIST_ERROR" });
+  }
+});
+
+app.post("/api/withdraw/wallets/add", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const address = String(req.body.address || req.body.wallet || "").trim();
+    const label = String(req.body.label || "").trim().slice(0, 40) || null;
+
+    if (!hit(`wbadd:${user.id}`, 5, 60 * 60 * 1000)) {
+      return res.status(429).json({ ok: false, error: "RATE_LIMIT" });
+    }
+    if (!address) return res.status(400).json({ ok: false, error: "MISSING_WALLET" });
+
+    // Rail: explicit, else inferred from the address shape, else the default.
+    const rail =
+      String(req.body.rail || "").trim().toLowerCase() ||
+      detectWalletRail(address) ||
+      WITHDRAW_RAILS[0];
+    if (!WITHDRAW_RAILS.includes(rail)) {
+      return res.status(400).json({ ok: false, error: "UNSUPPORTED_RAIL", rails: WITHDRAW_RAILS });
+    }
+    let normalized;
+    try {
+      normalized = validateWalletAddress(rail, address).address;
+    } catch (err) {
+      if (err instanceof WalletAddressError) {
+        return res.status(400).json({ ok: false, error: err.code, rail });
+      }
+      throw err;
+    }
+
+    const result = await withTransaction(async (client) => {
+      // Serialize wallet-book changes per user.
+      await client.query(`SELECT id FROM public.users WHERE id=$1 FOR UPDATE`, [user.id]);
+
+      const existing = await client.query(
+        `SELECT * FROM public.user_wallets
+         WHERE user_id=$1 AND rail=$2 AND address=$3 AND status='active'`,
+        [user.id, rail, normalized]
+      );
+      if (existing.rowCount) return { wallet: existing.rows[0], created: false };
+
+      const countRes = await client.query(
+        `SELECT COUNT(*)::int AS c FROM public.user_wallets WHERE user_id=$1 AND status='active'`,
+        [user.id]
+      );
+      if (countRes.rows[0].c >= WALLET_BOOK_MAX) return { error: "TOO_MANY_WALLETS" };
+
+      // The very first payout address is usable right away; any later change
+      // (including users who withdrew before the wallet book existed) waits.
+      const historyRes = await client.query(
+        `SELECT
+           EXISTS (SELECT 1 FROM public.user_wallets WHERE user_id=$1) AS had_wallet,
+           EXISTS (SELECT 1 FROM public.withdraw_requests WHERE user_id=$1) AS had_withdraw`,
+        [user.id]
+      );
+      const { had_wallet: hadWallet, had_withdraw: hadWithdraw } = historyRes.rows[0];
+      const cooldownHours = hadWallet || hadWithdraw ? WALLET_CHANGE_COOLDOWN_HOURS : 0;
+
+      const ins = await client.query(
+        `INSERT INTO public.user_wallets (user_id, rail, address, label, usable_after)
+         VALUES ($1,$2,$3,$4, NOW() + make_interval(secs => $5))
+         RETURNING *`,
+        [user.id, rail, normalized, label, cooldownHours * 3600]
+      );
+      return { wallet: ins.rows[0], created: true, cooldownHours };
+    });
+
+    if (result.error) {
+      return res.status(409).json({ ok: false, error: result.error, max: WALLET_BOOK_MAX });
+    }
+
+    if (result.created) {
+      await logEvent(user.id, "withdraw_wallet_added", {
+        wallet_id: Number(result.wallet.id),
+        rail,
+        address: normalized,
+        cooldown_hours: result.cooldownHours,
+      });
+      await notifyUser(
+        user.telegram_id,
+        `🔐 A new ${rail.toUpperCase()} payout wallet (${shortAddress(normalized)}) was added to your JigCoin account.` +
+          (result.cooldownHours
+            ? `\nWithdrawals to it unlock in ${result.cooldownHours}h.`
+            : "") +
+          "\n\nIf this wasn't you, contact support right away."
+      );
+    }
+
+    res.json({ ok: true, wallet: walletBookRow(result.wallet), created: result.created });
+  } catch (e) {
+    console.error("Error /api/withdraw/wallets/add:", e);
+    res.status(500).json({ ok: false, error: "WALLET_ADD_ERROR" });
+  }
+});
+
+app.post("/api/withdraw/wallets/remove", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const walletId = Number(req.body.wallet_id || req.body.id || 0);
+    if (!walletId) return res.status(400).json({ ok: false, error: "MISSING_WALLET_ID" });
+
+    const { rows } = await pool.query(
+      `UPDATE public.user_wallets
+       SET status='removed', removed_at=NOW()
+       WHERE id=$1 AND user_id=$2 AND status='active'
+       RETURNING *`,
+      [walletId, user.id]
+    );
+    if (!rows.length) return res.status(404).json({ ok: false, error: "WALLET_NOT_FOUND" });
+    const w = rows[0];
+
+    await logEvent(user.id, "withdraw_wallet_removed", { wallet_id: walletId, rail: w.rail, address: w.address });
+    await notifyUser(
+      user.telegram_id,
+      `🔐 The ${w.rail.toUpperCase()} payout wallet ${shortAddress(w.address)} was removed from your JigCoin account.` +
+        "\n\nIf this wasn't you, contact support right away."
+    );
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error /api/withdraw/wallets/remove:", e);
+    res.status(500).json({ ok: false, error: "WALLET_REMOVE_ERROR" });
+  }
+});
 
 app.post("/api/withdraw/request", async (req, res) => {
   try {
     const user = await getOrCreateUserFromInitData(req);
     const amount = Number(req.body.amount || 0);
-    const wallet = String(req.body.wallet || "").trim();
+    const walletId = Number(req.body.wallet_id || 0);
     if (DISABLE_WITHDRAWALS) {
       return res.status(503).json({ ok: false, error: "WITHDRAWALS_DISABLED" });
     }
@@ -5178,7 +5130,25 @@ app.post("/api/withdraw/request", async (req, res) => {
     }
 
 
-    if (!wallet) return res.status(400).json({ ok: false, error: "MISSING_WALLET" });
+    // Payouts only go to a saved wallet-book entry whose change cooldown is over.
+    if (!walletId) return res.status(400).json({ ok: false, error: "MISSING_WALLET" });
+    const walletRes = await pool.query(
+      `SELECT * FROM public.user_wallets WHERE id=$1 AND user_id=$2 AND status='active'`,
+      [walletId, user.id]
+    );
+    const savedWallet = walletRes.rows[0];
+    if (!savedWallet) return res.status(404).json({ ok: false, error: "WALLET_NOT_FOUND" });
+    if (new Date(savedWallet.usable_after).getTime() > Date.now()) {
+      return res.status(403).json({
+        ok: false,
+        error: "WALLET_COOLDOWN",
+        usable_after: savedWallet.usable_after,
+      });
+    }
+    const { rail, address: wallet } = savedWallet;
+    if (!WITHDRAW_RAILS.includes(rail)) {
+      return res.status(400).json({ ok: false, error: "UNSUPPORTED_RAIL", rails: WITHDRAW_RAILS });
+    }
     if (!Number.isFinite(amount) || amount < WITHDRAW_MIN) {
       return res.status(400).json({ ok: false, error: "AMOUNT_TOO_LOW", min: WITHDRAW_MIN });
     }
@@ -5196,9 +5166,22 @@ app.post("/api/withdraw/request", async (req, res) => {
     }
 
 
+    const config = await loadConfig();
+
+    // Fee and rate are quoted now and locked onto the request.
+    let quote;
+    try {
+      quote = quoteWithdraw({ config, rail, amount });
+    } catch (err) {
+      if (err.code === "FEE_EXCEEDS_AMOUNT") {
+        return res.status(400).json({ ok: false, error: "FEE_EXCEEDS_AMOUNT" });
+      }
+      throw err;
+    }
+
     const endpoint = "/api/withdraw/request";
     const context = "withdraw";
-    const requestId = `${user.id}:${amount}:${wallet}`;
+    const requestId = `${user.id}:${amount}:w${walletId}`;
 
     const payload = await withTransaction(async (client) => {
       // Idempotency: ensure we have a single canonical record for this request
@@ -5210,20 +5193,57 @@ app.post("/api/withdraw/request", async (req, res) => {
       });
 
       if (idemRow.status === "completed" && idemRow.response) {
-        try {
-          // If we stored a JSON response previously, reuse it.
+        // The key outlives the request it created: once that request was
+        // cancelled, rejected or failed on chain the same amount/wallet is a new
+        // withdrawal, not a retry.
+        const cachedId = idemRow.response.request && idemRow.response.request.id;
+        const cached = cachedId
+          ? await client.query(`SELECT status FROM public.withdraw_requests WHERE id=$1`, [cachedId])
+          : { rows: [] };
+        const cachedStatus = cached.rows[0] && cached.rows[0].status;
+        if (!cachedId || (cachedStatus && !RELEASED_WITHDRAW_STATUSES.includes(cachedStatus))) {
           return idemRow.response;
-        } catch (e) {
-          // If parsing fails for some reason, fall through and re-run once.
         }
       }
 
+      // Eligibility is enforced under the user row lock so concurrent requests
+      // cannot both fit under the daily/weekly caps.
+      const lockedUser = await client.query(`SELECT * FROM public.users WHERE id=$1 FOR UPDATE`, [user.id]);
+      const eligibility = await evaluateWithdrawEligibility(client, {
+        user: lockedUser.rows[0] || user,
+        amount,
+        config,
+      });
+      if (!eligibility.eligible) {
+        return {
+          ok: false,
+          error: eligibility.reasons[0],
+          reasons: eligibility.reasons,
+          checks: eligibility.checks,
+        };
+      }
+
       // 1) Insert the withdraw request row (pending) so we have a stable ID
       const wrRes = await client.query(
-        `INSERT INTO public.withdraw_requests (user_id, amount, wallet, status)
-         VALUES ($1,$2,$3,'pending')
-         RETURNING id, amount, wallet, status, created_at`,
-        [user.id, amount, wallet]
+        `INSERT INTO public.withdraw_requests
+           (user_id, amount, wallet, rail, wallet_id, status,
+            fee, net_amount, rate, token, token_amount, quote)
+         VALUES ($1,$2,$3,$4,$5,'pending',$6,$7,$8,$9,$10,$11)
+         RETURNING id, amount, wallet, rail, wallet_id, status,
+                   fee, net_amount, rate, token, token_amount, created_at`,
+        [
+          user.id,
+          amount,
+          wallet,
+          rail,
+          walletId,
+          quote.fee,
+          quote.net_amount,
+          quote.rate,
+          quote.token,
+          quote.token_amount,
+          JSON.stringify(quote),
+        ]
       );
       const wrRow = wrRes.rows[0];
 
@@ -5237,6 +5257,9 @@ app.post("/api/withdraw/request", async (req, res) => {
         eventType: "withdraw_reserve",
       });
 
+      // 3) Risk review: auto-approves low-risk requests, flags the rest for admins
+      await enqueueJobTx(client, "withdraw_risk_review", { withdraw_id: wrRow.id });
+
       const responsePayload = { ok: true, request: wrRow };
 
       await completeIdempotencyKeyTx(client, {
@@ -5249,15 +5272,91 @@ app.post("/api/withdraw/request", async (req, res) => {
       return responsePayload;
     });
 
-    await logEvent(user.id, "withdraw_requested", { amount, wallet });
+    if (!payload.ok) {
+      await logEvent(user.id, "withdraw_ineligible", { amount, reasons: payload.reasons });
+      return res.status(403).json(payload);
+    }
+
+    await logEvent(user.id, "withdraw_requested", { amount, wallet, rail, wallet_id: walletId });
 
     res.json(payload);
   } catch (e) {
+    // Balance was spent concurrently after the pre-check above; nothing was reserved.
+    if (e instanceof InsufficientBalanceError) {
+      return res.status(400).json({ ok: false, error: "INSUFFICIENT_BALANCE" });
+    }
     console.error("Error /api/withdraw/request:", e);
     res.status(500).json({ ok: false, error: "WITHDRAW_REQUEST_ERROR" });
   }
 });
 
+// User cancels their own withdrawal while it is still pending review.
+// Idempotent: cancelling an already cancelled request returns it unchanged.
+app.post("/api/withdraw/cancel", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const id = Number(req.body.id || req.body.withdraw_id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "MISSING_WITHDRAW_ID" });
+
+    if (!hit(`wdcancel:${user.id}`, 10, 60 * 60 * 1000)) {
+      return res.status(429).json({ ok: false, error: "RATE_LIMIT" });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM public.withdraw_requests WHERE id=$1 AND user_id=$2 FOR UPDATE`,
+        [id, user.id]
+      );
+      const wr = rows[0];
+      if (!wr) return { error: "NOT_FOUND" };
+      if (wr.status === "cancelled") return { request: wr, cancelled: false };
+      if (wr.status !== "pending") return { error: "WITHDRAW_NOT_CANCELLABLE", status: wr.status };
+
+      const amount = Number(wr.amount || 0);
+      if (amount > 0) {
+        await applyBalanceChangeTx(client, {
+          userId: user.id,
+          delta: amount,
+          reason: "withdraw_cancel_refund",
+          refType: "withdraw_request",
+          refId: wr.id,
+          eventType: "withdraw_refund",
+        });
+      }
+
+      const upd = await client.query(
+        `UPDATE public.withdraw_requests
+         SET status='cancelled', reviewed_at=NOW()
+         WHERE id=$1
+         RETURNING *`,
+        [wr.id]
+      );
+      return { request: upd.rows[0], cancelled: true };
+    });
+
+    if (result.error === "NOT_FOUND") {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    if (result.error) {
+      return res.status(409).json({ ok: false, error: result.error, status: result.status });
+    }
+
+    if (result.cancelled) {
+      await logEvent(user.id, "withdraw_cancelled", { id, amount: Number(result.request.amount || 0) });
+    }
+
+    const wr = result.request;
+    res.json({
+      ok: true,
+      request: { id: wr.id, amount: Number(wr.amount || 0), status: wr.status, reviewed_at: wr.reviewed_at },
+      already_cancelled: !result.cancelled,
+    });
+  } catch (e) {
+    console.error("Error /api/withdraw/cancel:", e);
+    res.status(500).json({ ok: false, error: "WITHDRAW_CANCEL_ERROR" });
+  }
+});
+
 // Admin: list withdrawals
 app.post("/api/admin/withdraw/list", async (req, res) => {
   try {
@@ -5295,8 +5394,29 @@ app.post("/api/admin/withdraw/update", async (req, res) => {
     if (!wrRes.rows.length) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
     const wr = wrRes.rows[0];
 
+    // Once a transfer is signed or on chain, only the payout jobs move the request
+    // on (a stuck 'broadcast' one can be polled again: /api/admin/withdraw/recheck).
+    if (["sending", "broadcast", "confirmed", "failed_onchain"].includes(wr.status)) {
+      return res.status(409).json({ ok: false, error: "WITHDRAW_ONCHAIN", status: wr.status });
+    }
+    // Cancelled by the user: coins are already refunded.
+    if (wr.status === "cancelled") {
+      return res.status(409).json({ ok: false, error: "WITHDRAW_CANCELLED" });
+    }
+
     let upd;
+    let statusChanged = false;
     await withTransaction(async (client) => {
+      // A payout job may have picked the request up since we read it.
+      const lockRes = await client.query(
+        `SELECT status FROM public.withdraw_requests WHERE id=$1 FOR UPDATE`,
+        [id]
+      );
+      if (lockRes.rows[0]?.status !== wr.status) {
+        statusChanged = true;
+        return;
+      }
+
       if (status === "rejected") {
         const delta = Number(wr.amount || 0);
         if (delta > 0) {
@@ -5311,6 +5431,11 @@ app.post("/api/admin/withdraw/update", async (req, res) => {
         }
       }
 
+      // Marking paid by hand: coins leave withdrawal escrow (the payout job does the same).
+      if (status === "paid" && wr.status !== "paid") {
+        await settleWithdrawEscrowTx(client, wr);
+      }
+
       const updRes = await client.query(
         `UPDATE public.withdraw_requests
          SET status=$2, note=$3, reviewed_at=NOW(), paid_at = CASE WHEN $2='paid' THEN NOW() ELSE paid_at END
@@ -5319,21 +5444,14 @@ app.post("/api/admin/withdraw/update", async (req, res) => {
         [id, status, note || null]
       );
       upd = updRes;
-    });
 
-    // If admin approved the withdraw, enqueue an async payout job.
-    if (status === "approved") {
-      try {
-        await enqueueJob("withdraw_payout", {
-          withdraw_id: wr.id,
-          user_id: wr.user_id,
-          amount: Number(wr.amount || 0),
-          wallet: wr.wallet,
-        });
-      } catch (e) {
-        // Non-fatal: the withdraw stays approved, admin can retry or handle manually.
-        console.error("Failed to enqueue withdraw_payout job:", e);
+      // Approved => payout job, committed atomically with the status change.
+      if (status === "approved") {
+        await enqueueApprovedPayoutTx(client, wr);
       }
+    });
+    if (statusChanged) {
+      return res.status(409).json({ ok: false, error: "WITHDRAW_STATUS_CHANGED" });
     }
 
     await logEvent(wr.user_id, "withdraw_updated", { id, status });
@@ -5344,6 +5462,607 @@ app.post("/api/admin/withdraw/update", async (req, res) => {
     res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_UPDATE_ERROR" });
   }
 });
+// Admin: poll a 'broadcast' withdrawal again. Its withdraw_confirm job may have
+// dead-lettered (no answer within WITHDRAW_CONFIRM_TIMEOUT_MS); the new one
+// gets a full polling window and settles the request (confirmed, or
+// failed_onchain with a refund) once the chain shows where the transfer stands.
+app.post("/api/admin/withdraw/recheck", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT id, user_id, status FROM public.withdraw_requests WHERE id=$1 FOR UPDATE`,
+        [id]
+      );
+      const wr = rows[0];
+      if (!wr) return { error: "NOT_FOUND" };
+      if (wr.status !== "broadcast") return { error: "WITHDRAW_NOT_BROADCAST", status: wr.status };
+
+      // A live withdraw_confirm job for the request is reused (dedupe key).
+      const jobId = await enqueueJobTx(client, "withdraw_confirm", {
+        withdraw_id: wr.id,
+        since: new Date().toISOString(),
+      });
+      return { wr, jobId };
+    });
+
+    if (result.error === "NOT_FOUND") {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    if (result.error) {
+      return res.status(409).json({ ok: false, error: result.error, status: result.status });
+    }
+
+    await logEvent(result.wr.user_id, "withdraw_recheck", { id, job_id: result.jobId, admin: adminActor(req).admin });
+
+    res.json({ ok: true, id, job_id: result.jobId });
+  } catch (e) {
+    console.error("Error /api/admin/withdraw/recheck:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_RECHECK_ERROR" });
+  }
+});
+
+// Admin: withdrawal fee schedule and coin -> token rate history (app_settings)
+app.post("/api/admin/withdraw/rates", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const config = await loadConfig(true);
+    const rates = {};
+    for (const rail of WITHDRAW_RAILS) rates[rail] = resolveRateTable(config, rail);
+    res.json({ ok: true, fees: config.withdraw_fees || {}, rates });
+  } catch (e) {
+    console.error("Error /api/admin/withdraw/rates:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_RATES_ERROR" });
+  }
+});
+
+// Append a rate to a rail's history. Past entries are kept so locked quotes
+// stay explainable; effective_from defaults to now and may be in the future.
+app.post("/api/admin/withdraw/rates/add", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const rail = String(req.body.rail || "").trim().toLowerCase();
+    const rate = req.body.rate == null ? "" : normalizeRate(req.body.rate);
+    const effectiveFrom = req.body.effective_from ? new Date(req.body.effective_from) : new Date();
+    if (!WALLET_RAILS.includes(rail) || isNaN(effectiveFrom)) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+    try {
+      if (parseDecimalUnits(rate, 18) <= 0n) throw new Error("rate must be positive");
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: "BAD_RATE" });
+    }
+    const decimals = req.body.decimals == null ? null : Number(req.body.decimals);
+    if (decimals != null && !isValidTokenDecimals(rail, decimals)) {
+      return res.status(400).json({
+        ok: false,
+        error: "BAD_DECIMALS",
+        expected: RAIL_TOKEN_DECIMALS[rail] != null ? RAIL_TOKEN_DECIMALS[rail] : "0..18",
+      });
+    }
+
+    const table = await withTransaction(async (client) => {
+      const cur = await client.query(
+        `SELECT value FROM public.app_settings WHERE key='withdraw_rates' FOR UPDATE`
+      );
+      const all = cur.rows[0]?.value || {};
+      const entry = all[rail] || {};
+      if (req.body.token) entry.token = String(req.body.token).trim().toUpperCase();
+      if (decimals != null) entry.decimals = decimals;
+      entry.history = [
+        ...(Array.isArray(entry.history) ? entry.history : []),
+        { rate, effective_from: effectiveFrom.toISOString(), created_at: new Date().toISOString() },
+      ];
+      all[rail] = entry;
+      await client.query(
+        `INSERT INTO public.app_settings (key, value) VALUES ('withdraw_rates', $1::jsonb)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+        [JSON.stringify(all)]
+      );
+      return entry;
+    });
+    await loadConfig(true);
+
+    await logEvent(null, "withdraw_rate_added", { rail, rate, effective_from: effectiveFrom.toISOString() });
+
+    res.json({ ok: true, rail, table });
+  } catch (e) {
+    console.error("Error /api/admin/withdraw/rates/add:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_RATES_ADD_ERROR" });
+  }
+});
+
+// Who is acting in the admin API. There is a single ADMIN_KEY, so admins
+// identify themselves with x-admin-user (the /admin page sends its "Admin name").
+function adminActor(req) {
+  const admin = String(req.headers["x-admin-user"] || req.body?.admin || "").trim().slice(0, 64) || "admin";
+  const ip = (req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").toString().split(",")[0].trim();
+  return { admin, ip: ip || null };
+}
+
+// Admin: record provider + tx hash (+ proof note) on a paid withdrawal
+app.post("/api/admin/withdraw/payout-record", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const id = Number(req.body.id || 0);
+    const provider = String(req.body.provider || "").trim().toLowerCase();
+    const txId = String(req.body.tx_id || "").trim();
+    const proofNote = req.body.proof_note == null ? undefined : String(req.body.proof_note).trim().slice(0, 2000);
+
+    if (!id || !/^[a-z0-9_-]{1,32}$/.test(provider) || !/^[A-Za-z0-9:_+/=.-]{1,200}$/.test(txId)) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+    const { admin, ip } = adminActor(req);
+
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM public.withdraw_requests WHERE id=$1 FOR UPDATE`,
+        [id]
+      );
+      const wr = rows[0];
+      if (!wr) return { error: "NOT_FOUND" };
+      if (!["paid", "confirmed"].includes(wr.status)) return { error: "WITHDRAW_NOT_PAID", status: wr.status };
+
+      const next = {
+        payout_provider: provider,
+        payout_tx_id: txId,
+        payout_proof_note: proofNote === undefined ? wr.payout_proof_note : proofNote || null,
+      };
+      const changes = {};
+      for (const [field, to] of Object.entries(next)) {
+        const from = wr[field] == null ? null : wr[field];
+        if (from !== to) changes[field] = { from, to };
+      }
+      if (!Object.keys(changes).length) return { request: wr, changed: false };
+
+      const upd = await client.query(
+        `UPDATE public.withdraw_requests
+         SET payout_provider=$2, payout_tx_id=$3, payout_proof_note=$4,
+             payout_recorded_by=$5, payout_recorded_at=NOW()
+         WHERE id=$1
+         RETURNING *`,
+        [id, next.payout_provider, next.payout_tx_id, next.payout_proof_note, admin]
+      );
+      await client.query(
+        `INSERT INTO public.withdraw_payout_audit (withdraw_id, admin, ip, changes)
+         VALUES ($1,$2,$3,$4)`,
+        [id, admin, ip, JSON.stringify(changes)]
+      );
+      return { request: upd.rows[0], changed: true, changes };
+    });
+
+    if (result.error === "NOT_FOUND") return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    if (result.error) return res.status(409).json({ ok: false, error: result.error, status: result.status });
+
+    if (result.changed) {
+      await logEvent(result.request.user_id, "withdraw_payout_recorded", {
+        id,
+        admin,
+        fields: Object.keys(result.changes),
+      });
+    }
+
+    res.json({ ok: true, request: result.request, changed: result.changed });
+  } catch (e) {
+    console.error("Error /api/admin/withdraw/payout-record:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_PAYOUT_RECORD_ERROR" });
+  }
+});
+
+// Admin: audit trail of payout record changes for one withdrawal
+app.post("/api/admin/withdraw/payout-audit", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const wr = await pool.query(
+      `SELECT id, status, amount, wallet, payout_provider, payout_tx_id, payout_proof_note,
+              payout_recorded_by, payout_recorded_at, paid_at
+       FROM public.withdraw_requests WHERE id=$1`,
+      [id]
+    );
+    if (!wr.rows.length) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    const audit = await pool.query(
+      `SELECT * FROM public.withdraw_payout_audit WHERE withdraw_id=$1 ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+    res.json({ ok: true, request: wr.rows[0], audit: audit.rows });
+  } catch (e) {
+    console.error("Error /api/admin/withdraw/payout-audit:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_PAYOUT_AUDIT_ERROR" });
+  }
+});
+
+// Admin: set a user's KYC tier (withdrawal eligibility, see lib/withdrawEligibility.js)
+app.post("/api/admin/users/kyc", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const userId = Number(req.body.user_id || 0);
+    const tier = Number(req.body.tier);
+    const note = String(req.body.note || "").trim();
+    if (!userId || !Number.isInteger(tier) || tier < 0) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE public.users SET kyc_tier=$2 WHERE id=$1 RETURNING id, telegram_id, username, kyc_tier`,
+      [userId, tier]
+    );
+    if (!rows.length) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    await logEvent(userId, "kyc_tier_updated", { tier, note: note || null });
+
+    res.json({ ok: true, user: rows[0] });
+  } catch (e) {
+    console.error("Error /api/admin/users/kyc:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_KYC_UPDATE_ERROR" });
+  }
+});
+
+// ------------ Admin: ledger reconciliation ------------
+// Reports written by the reconcile_ledger worker job (users.balance vs SUM(ledger delta)).
+app.post("/api/admin/ledger/reconciliation", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const limit = Math.max(1, Math.min(1000, Number(req.body.limit || 200)));
+
+    let runId = Number(req.body.run_id || 0);
+    const runs = await pool.query(
+      `SELECT * FROM public.ledger_reconciliation_runs ORDER BY started_at DESC LIMIT 20`
+    );
+    if (!runId && runs.rows.length) runId = Number(runs.rows[0].id);
+
+    let drift = [];
+    if (runId) {
+      const d = await pool.query(
+        `SELECT d.*, u.telegram_id, u.username
+         FROM public.ledger_reconciliation_drift d
+         JOIN public.users u ON u.id = d.user_id
+         WHERE d.run_id = $1
+         ORDER BY ABS(d.drift) DESC, d.id ASC
+         LIMIT $2`,
+        [runId, limit]
+      );
+      drift = d.rows;
+    }
+
+    res.json({ ok: true, run_id: runId || null, runs: runs.rows, drift });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/reconciliation:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RECONCILIATION_ERROR" });
+  }
+});
+
+// Admin: start a reconciliation run now (optionally queueing sync_user for each drifted user)
+app.post("/api/admin/ledger/reconciliation/run", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const enqueueSync = req.body.enqueue_sync === true;
+    const batchSize = Math.max(1, Math.min(5000, Number(req.body.batch_size || 500)));
+
+    const jobId = await enqueueJob("reconcile_ledger", {
+      batch_size: batchSize,
+      enqueue_sync: enqueueSync,
+    });
+    if (!jobId) return res.status(500).json({ ok: false, error: "ENQUEUE_FAILED" });
+
+    res.json({ ok: true, job_id: jobId });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/reconciliation/run:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RECONCILIATION_RUN_ERROR" });
+  }
+});
+
+// ------------ Admin: balance snapshots / point-in-time balance ------------
+// Body: { user_id | telegram_id, at: ISO timestamp or epoch ms }
+app.post("/api/admin/ledger/balance-at", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const atRaw = req.body.at;
+    const at = atRaw == null || atRaw === "" ? new Date() : new Date(Number.isFinite(Number(atRaw)) ? Number(atRaw) : String(atRaw));
+    if (isNaN(at)) return res.status(400).json({ ok: false, error: "BAD_TIMESTAMP" });
+
+    let userId = Number(req.body.user_id || 0);
+    const telegramId = Number(req.body.telegram_id || 0);
+    if (!userId && telegramId) {
+      const u = await pool.query(`SELECT id FROM public.users WHERE telegram_id = $1 LIMIT 1`, [telegramId]);
+      userId = Number(u.rows[0]?.id || 0);
+    }
+    if (!userId) return res.status(400).json({ ok: false, error: "MISSING_USER" });
+
+    const result = await getBalanceAt(pool, userId, at);
+    res.json({ ok: true, user_id: userId, ...result });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/balance-at:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_BALANCE_AT_ERROR" });
+  }
+});
+
+// Admin: checkpoint all balances now (e.g. before a prize audit)
+app.post("/api/admin/ledger/snapshots/run", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const created = await withTransaction((client) =>
+      createSnapshotRunTx(client, { kind: "manual", snapshotAt: new Date() })
+    );
+    if (!created) return res.status(409).json({ ok: false, error: "SNAPSHOT_RUN_EXISTS" });
+    res.json({ ok: true, run: created.run, job_id: created.jobId });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/snapshots/run:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SNAPSHOT_RUN_ERROR" });
+  }
+});
+
+// ------------ Admin: jobs ------------
+// Body: { status?, type?, queue?, limit?, before_id? }
+app.post("/api/admin/jobs/list", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const limit = Math.max(1, Math.min(500, Number(req.body.limit || 100)));
+    const status = req.body.status ? String(req.body.status) : null;
+    const type = req.body.type ? String(req.body.type) : null;
+    const queue = req.body.queue ? String(req.body.queue) : null;
+    const beforeId = Number(req.body.before_id || 0) || null;
+
+    const { rows } = await pool.query(
+      `SELECT id, type, status, queue, priority, attempts, run_at, last_error,
+              locked_by, locked_at, dedupe_key, created_at, updated_at
+       FROM public.jobs
+       WHERE ($1::text IS NULL OR status = $1)
+         AND ($2::text IS NULL OR type = $2)
+         AND ($3::text IS NULL OR queue = $3)
+         AND ($4::bigint IS NULL OR id < $4)
+       ORDER BY id DESC
+       LIMIT $5`,
+      [status, type, queue, beforeId, limit]
+    );
+
+    res.json({
+      ok: true,
+      jobs: rows,
+      next_before_id: rows.length === limit ? rows[rows.length - 1].id : null,
+    });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/list:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_JOBS_LIST_ERROR" });
+  }
+});
+
+// Body: { id } -> full job row incl. payload_json and error_history
+app.post("/api/admin/jobs/get", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "MISSING_ID" });
+
+    const { rows } = await pool.query(`SELECT * FROM public.jobs WHERE id = $1`, [id]);
+    if (!rows.length) {
+      // Exhausted jobs are moved to the dead-letter table.
+      const dl = await pool.query(
+        `SELECT * FROM public.jobs_dead_letter WHERE job_id = $1 ORDER BY id DESC LIMIT 1`,
+        [id]
+      );
+      if (!dl.rows.length) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+      return res.json({ ok: true, job: null, dead_letter: dl.rows[0] });
+    }
+
+    res.json({ ok: true, job: rows[0], dead_letter: null });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/get:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_JOBS_GET_ERROR" });
+  }
+});
+
+// Retry a failed or cancelled job, or run a pending (backing off) job now.
+// Dead-lettered jobs go through /api/admin/jobs/dead-letter/requeue.
+// Body: { id }
+app.post("/api/admin/jobs/retry", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "MISSING_ID" });
+
+    let upd;
+    try {
+      upd = await pool.query(
+        `UPDATE public.jobs
+         SET status = 'pending',
+             run_at = NOW(),
+             attempts = CASE WHEN status = 'pending' THEN attempts ELSE 0 END,
+             locked_by = NULL,
+             locked_at = NULL,
+             updated_at = NOW()
+         WHERE id = $1
+           AND status IN ('pending', 'failed', 'cancelled')
+         RETURNING *`,
+        [id]
+      );
+    } catch (err) {
+      // Unique live dedupe_key: an equivalent job is already queued.
+      if (err && err.code === "23505") {
+        return res.status(409).json({ ok: false, error: "DUPLICATE_LIVE_JOB" });
+      }
+      throw err;
+    }
+    if (!upd.rowCount) {
+      return res.status(409).json({ ok: false, error: "JOB_NOT_RETRYABLE" });
+    }
+
+    await logEvent(null, "admin_job_retry", { job_id: id, type: upd.rows[0].type });
+    res.json({ ok: true, job: upd.rows[0] });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/retry:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_JOBS_RETRY_ERROR" });
+  }
+});
+
+// Cancel a pending job (jobs already picked up by a worker cannot be cancelled).
+// Body: { id }
+app.post("/api/admin/jobs/cancel", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "MISSING_ID" });
+
+    const upd = await pool.query(
+      `UPDATE public.jobs
+       SET status = 'cancelled',
+           last_error = COALESCE(last_error, 'cancelled by admin'),
+           updated_at = NOW()
+       WHERE id = $1
+         AND status = 'pending'
+       RETURNING *`,
+      [id]
+    );
+    if (!upd.rowCount) {
+      return res.status(409).json({ ok: false, error: "JOB_NOT_PENDING" });
+    }
+
+    await logEvent(null, "admin_job_cancel", { job_id: id, type: upd.rows[0].type });
+    res.json({ ok: true, job: upd.rows[0] });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/cancel:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_JOBS_CANCEL_ERROR" });
+  }
+});
+
+// Queue depth + throughput per job type.
+app.post("/api/admin/jobs/stats", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const byType = await pool.query(
+      `SELECT type,
+              COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+              COUNT(*) FILTER (WHERE status = 'pending' AND run_at <= NOW())::int AS due,
+              COUNT(*) FILTER (WHERE status = 'processing')::int AS processing,
+              COUNT(*) FILTER (WHERE status = 'completed' AND updated_at > NOW() - INTERVAL '1 hour')::int AS completed_1h,
+              COUNT(*) FILTER (WHERE status = 'completed')::int AS completed_24h,
+              COUNT(*) FILTER (WHERE status = 'cancelled')::int AS cancelled_24h,
+              EXTRACT(EPOCH FROM NOW() - MIN(run_at) FILTER (WHERE status = 'pending' AND run_at <= NOW()))::int AS oldest_due_age_sec
+       FROM public.jobs
+       WHERE status IN ('pending', 'processing')
+          OR updated_at > NOW() - INTERVAL '24 hours'
+       GROUP BY type
+       ORDER BY type`
+    );
+
+    const byQueue = await pool.query(
+      `SELECT queue,
+              COUNT(*) FILTER (WHERE status = 'pending' AND run_at <= NOW())::int AS due,
+              COUNT(*) FILTER (WHERE status = 'processing')::int AS processing
+       FROM public.jobs
+       WHERE status IN ('pending', 'processing')
+       GROUP BY queue
+       ORDER BY queue`
+    );
+
+    const dead = await pool.query(
+      `SELECT type,
+              COUNT(*) FILTER (WHERE requeued_at IS NULL)::int AS open,
+              COUNT(*) FILTER (WHERE dead_at > NOW() - INTERVAL '24 hours')::int AS dead_24h
+       FROM public.jobs_dead_letter
+       GROUP BY type`
+    );
+    const deadByType = new Map(dead.rows.map((r) => [r.type, r]));
+
+    const stuck = await pool.query(`SELECT COUNT(*)::int AS c FROM public.jobs_stuck`);
+
+    const types = byType.rows.map((r) => ({
+      ...r,
+      dead_letter_open: deadByType.get(r.type)?.open || 0,
+      dead_24h: deadByType.get(r.type)?.dead_24h || 0,
+    }));
+    for (const d of dead.rows) {
+      if (!byType.rows.some((r) => r.type === d.type) && d.open > 0) {
+        types.push({ type: d.type, pending: 0, due: 0, processing: 0, completed_1h: 0, completed_24h: 0,
+          cancelled_24h: 0, oldest_due_age_sec: null, dead_letter_open: d.open, dead_24h: d.dead_24h });
+      }
+    }
+
+    res.json({ ok: true, types, queues: byQueue.rows, stuck: stuck.rows[0].c });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/stats:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_JOBS_STATS_ERROR" });
+  }
+});
+
+// ------------ Admin: dead-letter jobs ------------
+// Body: { type?, include_requeued?, limit?, before_id? }
+app.post("/api/admin/jobs/dead-letter", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const limit = Math.max(1, Math.min(500, Number(req.body.limit || 100)));
+    const type = req.body.type ? String(req.body.type) : null;
+    const includeRequeued = req.body.include_requeued === true;
+    const beforeId = Number(req.body.before_id || 0) || null;
+
+    const { rows } = await pool.query(
+      `SELECT *
+       FROM public.jobs_dead_letter
+       WHERE ($1::text IS NULL OR type = $1)
+         AND ($2::boolean OR requeued_at IS NULL)
+         AND ($3::bigint IS NULL OR id < $3)
+       ORDER BY id DESC
+       LIMIT $4`,
+      [type, includeRequeued, beforeId, limit]
+    );
+
+    const counts = await pool.query(
+      `SELECT type, COUNT(*)::int AS count
+       FROM public.jobs_dead_letter
+       WHERE requeued_at IS NULL
+       GROUP BY type
+       ORDER BY count DESC`
+    );
+
+    res.json({
+      ok: true,
+      jobs: rows,
+      open_by_type: counts.rows,
+      next_before_id: rows.length === limit ? rows[rows.length - 1].id : null,
+    });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/dead-letter:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_DEAD_LETTER_ERROR" });
+  }
+});
+
+// Body: { id } or { ids: [...] } (max 200)
+app.post("/api/admin/jobs/dead-letter/requeue", async (req, res) => {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const rawIds = Array.isArray(req.body.ids) ? req.body.ids : [req.body.id];
+    const ids = [...new Set(rawIds.map((x) => Number(x)).filter((x) => Number.isInteger(x) && x > 0))];
+    if (!ids.length) return res.status(400).json({ ok: false, error: "MISSING_ID" });
+    if (ids.length > 200) return res.status(400).json({ ok: false, error: "TOO_MANY_IDS" });
+
+    const results = await withTransaction(async (client) => {
+      const out = [];
+      for (const id of ids) {
+        const r = await requeueDeadLetterJobTx(client, id, { requeuedBy: "admin" });
+        out.push(r ? { id, job_id: r.jobId } : { id, error: "NOT_FOUND_OR_ALREADY_REQUEUED" });
+      }
+      return out;
+    });
+
+    res.json({
+      ok: true,
+      requeued: results.filter((r) => r.job_id).length,
+      results,
+    });
+  } catch (e) {
+    console.error("Error /api/admin/jobs/dead-letter/requeue:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_DEAD_LETTER_REQUEUE_ERROR" });
+  }
+});
+
 // ------------ Global leaderboard ------------
 app.post("/api/leaderboard/global", async (req, res) => {
   try {
@@ -5818,6 +6537,107 @@ bot.start(async (ctx) => {
   }
 });
 
+// ------------ Telegram Stars payments ------------
+// Invoices come from /api/payments/create-checkout (provider "telegram_stars").
+// Telegram asks us to confirm every checkout (pre_checkout_query, answer within
+// 10s) and then sends successful_payment, which is fulfilled like the Stripe /
+// Coinbase webhooks (idempotent on telegram_payment_charge_id).
+const starsProvider = createTelegramStarsProvider({ telegram: bot.telegram });
+registerPaymentProvider("telegram_stars", starsProvider);
+
+const STARS_PRECHECKOUT_ERRORS = {
+  PRODUCT_NOT_FOUND: "This item is no longer available.",
+  PRICE_MISMATCH: "The price of this item has changed. Please reopen the shop and try again.",
+  PAYER_MISMATCH: "This invoice was created for another account.",
+  USER_NOT_FOUND: "Please open JigCoin once before buying.",
+  RESTORE_NOT_AVAILABLE: "Your streak can no longer be restored.",
+  SKU_MISMATCH: "This restore no longer matches your streak. Please reopen the shop and try again.",
+};
+
+bot.on("pre_checkout_query", async (ctx) => {
+  const query = ctx.preCheckoutQuery;
+  try {
+    let check = await starsProvider.validatePreCheckout(pool, query);
+
+    if (check.ok) {
+      const { rows } = await pool.query(
+        "SELECT * FROM public.users WHERE telegram_id = $1::bigint LIMIT 1;",
+        [String(query.from.id)]
+      );
+      if (!rows.length) {
+        check = { ok: false, error: "USER_NOT_FOUND" };
+      } else if (skuKind(check.sku) === "streak_restore") {
+        // Refuse a restore that would fail after the Stars were taken.
+        const meta = getStreakMetaFromUser(rows[0]);
+        if (!meta.restore_available) {
+          check = { ok: false, error: "RESTORE_NOT_AVAILABLE" };
+        } else if (String(meta.restore_pack_sku || "").toUpperCase() !== check.sku.toUpperCase()) {
+          check = { ok: false, error: "SKU_MISMATCH" };
+        }
+      }
+    }
+
+    if (!check.ok) {
+      console.warn("Stars pre-checkout rejected:", { from: query.from.id, payload: query.invoice_payload, error: check.error });
+      return await ctx.answerPreCheckoutQuery(
+        false,
+        STARS_PRECHECKOUT_ERRORS[check.error] || "This payment cannot be processed."
+      );
+    }
+    return await ctx.answerPreCheckoutQuery(true);
+  } catch (err) {
+    console.error("Error in pre_checkout_query handler:", err);
+    try {
+      await ctx.answerPreCheckoutQuery(false, "Payment could not be processed. Please try again later.");
+    } catch (e) {}
+  }
+});
+
+// What the payer is told, by settleUnfulfilledPayment outcome.
+const STARS_UNFULFILLED_REPLIES = {
+  refunded: () => "⚠️ We couldn't deliver your purchase, so your Stars have been refunded. Please try again later.",
+  // Delivered after all (e.g. the commit landed before the error reached us).
+  fulfilled: () => "✅ Payment received! Your purchase is now active in JigCoin.",
+  alerted: () => "⚠️ We received your payment but couldn't deliver it. Our team has been notified and will sort it out.",
+  unresolved: (payment) =>
+    `⚠️ We received your payment but couldn't deliver it. Please contact support with this payment id: ${payment.paymentId}`,
+};
+
+bot.on("successful_payment", async (ctx) => {
+  let payment = null;
+  try {
+    payment = starsProvider.normalizeEvent(starsProvider.verifyWebhook(ctx.update));
+  } catch (err) {
+    console.error("Error in successful_payment handler:", err, {
+      chargeId: ctx.message?.successful_payment?.telegram_payment_charge_id,
+    });
+    return;
+  }
+
+  // Telegram does not redeliver successful_payment, so anything not delivered
+  // now is refunded (or escalated to admins).
+  let reason;
+  try {
+    const result = await fulfillPayment(payment);
+    if (result.ok) {
+      if (!result.duplicate) await ctx.reply("✅ Payment received! Your purchase is now active in JigCoin.");
+      return;
+    }
+    console.error("telegram_stars payment not fulfilled:", { paymentId: payment.paymentId, ...result });
+    reason = result.error || "NOT_FULFILLED";
+  } catch (err) {
+    console.error("Error in successful_payment handler:", err, { chargeId: payment.paymentId });
+    reason = "FULFILLMENT_ERROR";
+  }
+
+  try {
+    const outcome = await settleUnfulfilledPayment(payment, reason);
+    await ctx.reply(STARS_UNFULFILLED_REPLIES[outcome](payment));
+  } catch (err) {
+    console.error("Error handling unfulfilled Stars payment:", err, { chargeId: payment.paymentId });
+  }
+});
+
 // Simple commands for debugging
 bot.command("tasks", async (ctx) => {
   await ctx.reply(
@@ -10,7 +10,30 @@
 // - For permanent errors (e.g. bad payload), throw NonRetryableJobError so the
 //   worker can stop retrying the job early.
 
-const { sendPayout } = require("./payoutProvider");
+const {
+  WITHDRAW_PAYOUT_MODE,
+  preparePayout,
+  broadcastPayout,
+  reconcilePayout,
+  prepareBatchPayout,
+  broadcastBatchPayout,
+  getBatchLimit,
+  getSigningWallet,
+  checkPayout,
+} = require("./payoutProvider");
+const { withTransaction } = require("./db");
+const { applyBalanceChangeTx } = require("./ledger");
+const { enqueueJobTx } = require("./jobs");
+const { loadConfig } = require("./config");
+const { settleWithdrawEscrowTx } = require("./withdrawFees");
+const { scoreWithdrawRiskTx, enqueueApprovedPayoutTx } = require("./withdrawReview");
+
+const WITHDRAW_CONFIRM_POLL_MS = Number(process.env.WITHDRAW_CONFIRM_POLL_MS || 20000);
+const WITHDRAW_CONFIRM_TIMEOUT_MS = Number(
+  process.env.WITHDRAW_CONFIRM_TIMEOUT_MS || 60 * 60 * 1000
+);
+// How long a payout waits for another transfer from the hot wallet to settle.
+const WITHDRAW_WALLET_BUSY_RETRY_MS = Number(process.env.WITHDRAW_WALLET_BUSY_RETRY_MS || 20000);
 
 class NonRetryableJobError extends Error {
   constructor(message) {
@@ -58,12 +81,14 @@ async function handleSyncUser(client, job) {
 
   const user = userRes.rows[0];
 
-  // Recompute the authoritative balance from the ledger.
+  // Recompute the authoritative balance from the ledger, plus tap rewards that
+  // are already credited but still waiting in tap_reward_buffer.
   const ledgerRes = await client.query(
     `
-    SELECT COALESCE(SUM(delta), 0) AS balance_from_ledger
-    FROM public.user_balance_ledger
-    WHERE user_id = $1
+    SELECT
+      COALESCE((SELECT SUM(delta) FROM public.user_balance_ledger WHERE user_id = $1), 0)
+      + COALESCE((SELECT pending_delta FROM public.tap_reward_buffer WHERE user_id = $1), 0)
+        AS balance_from_ledger
     `,
     [userId]
   );
@@ -103,18 +128,171 @@ async function handleSyncUser(client, job) {
   }
 }
 
+/**
+ * withdraw_risk_review
+ *
+ * Scores a new withdraw request (see lib/withdrawReview.js) and stores the
+ * score, decision and reasons on the row. Low-risk requests are approved and
+ * handed to the payout queue in the same transaction; the rest stay 'pending'
+ * for manual review. Requests that are no longer pending or were already
+ * scored are skipped.
+ *
+ * Payload: { withdraw_id }
+ */
+async function handleWithdrawRiskReview(client, job) {
+  const payload = job.payload_json || {};
+  const withdrawId = Number(payload.withdraw_id || 0);
+
+  if (!withdrawId) {
+    console.warn("withdraw_risk_review job missing withdraw_id", payload);
+    throw new NonRetryableJobError("withdraw_risk_review job missing withdraw_id");
+  }
+
+  const { rows } = await client.query(
+    `SELECT * FROM public.withdraw_requests WHERE id = $1 FOR UPDATE`,
+    [withdrawId]
+  );
+  if (!rows.length) {
+    throw new NonRetryableJobError("withdraw_risk_review: withdraw request not found");
+  }
+  const wr = rows[0];
+  if (wr.status !== "pending" || wr.risk_scored_at) {
+    console.log("withdraw_risk_review: already reviewed, skipping", { id: wr.id, status: wr.status });
+    return;
+  }
+
+  const userRes = await client.query(`SELECT * FROM public.users WHERE id = $1`, [wr.user_id]);
+  if (!userRes.rows.length) {
+    throw new NonRetryableJobError("withdraw_risk_review: user not found");
+  }
+
+  const config = await loadConfig();
+  const { score, decision, reasons, signals } = await scoreWithdrawRiskTx(client, {
+    withdraw: wr,
+    user: userRes.rows[0],
+    config,
+  });
+
+  const autoApprove = decision === "auto_approve";
+  await client.query(
+    `
+    UPDATE public.withdraw_requests
+    SET risk_score = $2,
+        risk_decision = $3,
+        risk_reasons = $4,
+        risk_signals = $5,
+        risk_scored_at = NOW(),
+        status = CASE WHEN $6 THEN 'approved' ELSE status END,
+        reviewed_at = CASE WHEN $6 THEN NOW() ELSE reviewed_at END,
+        note = CASE WHEN $6 THEN 'auto-approved' ELSE note END
+    WHERE id = $1;
+    `,
+    [wr.id, score, decision, JSON.stringify(reasons), JSON.stringify(signals), autoApprove]
+  );
+
+  if (autoApprove) {
+    await enqueueApprovedPayoutTx(client, wr);
+  }
+
+  console.log("withdraw_risk_review: scored", {
+    id: wr.id,
+    score,
+    decision,
+    reasons: reasons.map((r) => r.code),
+  });
+}
+
+// ------------ Hot wallet signing ------------
+// The hot wallet applies one transfer per seqno: two transfers signed with the
+// same seqno cannot both land. Signing is serialized per wallet with a
+// transaction-level advisory lock, and refused while another signed transfer
+// from the wallet is still 'sending' or 'broadcast' (it could still take the
+// seqno we would read).
+
+// Take the signing lock for the hot wallet (released when `tx` ends). Call it
+// after locking the rows to sign, so lock holders never wait on row locks.
+// Returns { busy: [withdraw ids] } when another transfer is in flight
+// (ignoring the request / batch being re-signed), else { minSeqno } for
+// preparePayout: one past the highest seqno this wallet is known to have
+// used (null when payouts are not signed by us or nothing was sent yet).
+async function lockPayoutWalletTx(tx, { withdrawId = null, batchId = null } = {}) {
+  const wallet = getSigningWallet();
+  if (!wallet) return { busy: null, minSeqno: null };
+
+  await tx.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`payout_wallet:${wallet}`]);
+
+  const inFlight = await tx.query(
+    `
+    SELECT id
+    FROM public.withdraw_requests
+    WHERE status IN ('sending', 'broadcast')
+      AND payout_meta->>'wallet' = $1
+      AND ($2::bigint IS NULL OR id <> $2)
+      AND ($3::bigint IS NULL OR payout_batch_id IS DISTINCT FROM $3)
+    ORDER BY id ASC
+    LIMIT 20
+    `,
+    [wallet, withdrawId, batchId]
+  );
+  if (inFlight.rows.length) {
+    return { busy: inFlight.rows.map((r) => Number(r.id)), minSeqno: null };
+  }
+
+  // Applied transfers: confirmed, or reverted on chain (a failure with a
+  // transaction hash). Expired ones never used their seqno.
+  const used = await tx.query(
+    `
+    SELECT MAX((payout_meta->>'seqno')::bigint) AS seqno
+    FROM public.withdraw_requests
+    WHERE payout_meta->>'wallet' = $1
+      AND payout_meta ? 'seqno'
+      AND (
+        status = 'confirmed'
+        OR (status = 'failed_onchain' AND payout_meta->'failure'->>'tx_hash' IS NOT NULL)
+      )
+    `,
+    [wallet]
+  );
+  const last = used.rows[0] && used.rows[0].seqno;
+  return { busy: null, minSeqno: last != null ? Number(last) + 1 : null };
+}
+
+// The wallet is busy: run this withdraw_payout again later. No dedupe key,
+// since this job still holds withdraw_payout:<id> while it runs.
+async function retryWhenWalletFreeTx(client, job, withdrawId, busy) {
+  console.log("withdraw_payout: hot wallet has a transfer in flight, retrying later", {
+    id: withdrawId,
+    in_flight: busy,
+  });
+  await enqueueJobTx(client, "withdraw_payout", job.payload_json || { withdraw_id: withdrawId }, {
+    queue: job.queue,
+    priority: job.priority,
+    runAt: new Date(Date.now() + WITHDRAW_WALLET_BUSY_RETRY_MS),
+    dedupeKey: null,
+  });
+}
+
 /**
  * withdraw_payout
  *
- * Handler moved from worker.js unchanged. It is responsible for:
- * - Loading the withdraw_requests row.
- * - Skipping if already in a final state.
- * - Marking the request as paid (coins were reserved at request time).
+ * - Signs the transfer for an 'approved' request through lib/payoutProvider.js
+ *   and COMMITS it as status 'sending' (payout_meta holds the seqno,
+ *   valid_until, message hash and signed BOC) on its own connection, before
+ *   anything is broadcast.
+ * - Broadcasts it and marks the request 'broadcast'. Coins stay in withdrawal
+ *   escrow until withdraw_confirm sees the transfer confirmed on chain.
  *
- * NOTE: The actual external payout provider integration will be added later.
+ * A retry that finds the request still 'sending' (job failed or crashed after
+ * signing) never signs a second transfer while the first could land: it asks
+ * reconcilePayout where the signed one stands and either marks it broadcast
+ * (already on chain), re-sends the same BOC (may still land; the seqno lets it
+ * apply once) or, only once it expired unapplied, signs a new one.
+ *
+ * Signing waits for the hot wallet (lockPayoutWalletTx): while another transfer
+ * from it is in flight the job re-enqueues itself after
+ * WITHDRAW_WALLET_BUSY_RETRY_MS instead of signing.
  */
 async function handleWithdrawPayout(client, job) {
-  // Basic shape: external payout should be implemented here.
   const payload = job.payload_json || {};
   const withdrawId = Number(payload.withdraw_id || 0);
 
@@ -123,10 +301,66 @@ async function handleWithdrawPayout(client, job) {
     throw new NonRetryableJobError("withdraw_payout job missing withdraw_id");
   }
 
-  const { rows } = await client.query(
+  let claim = await withTransaction((tx) => claimWithdrawPayoutTx(tx, withdrawId));
+  if (!claim) return;
+  if (claim.busy) {
+    await retryWhenWalletFreeTx(client, job, withdrawId, claim.busy);
+    return;
+  }
+
+  if (!claim.signed) {
+    const { state, detail } = await reconcilePayout(claim.wr);
+    console.log("withdraw_payout: resuming signed payout", { id: withdrawId, state, detail });
+
+    if (state === "sent") {
+      await markWithdrawBroadcastTx(client, withdrawId, {
+        provider: claim.wr.payout_provider,
+        txId: claim.wr.payout_tx_id,
+        meta: claim.wr.payout_meta,
+      });
+      return;
+    }
+    if (state === "unsent") {
+      claim = await withTransaction((tx) =>
+        claimWithdrawPayoutTx(tx, withdrawId, { resignMsgHash: (claim.wr.payout_meta || {}).msg_hash || null })
+      );
+      if (!claim) return;
+      if (claim.busy) {
+        await retryWhenWalletFreeTx(client, job, withdrawId, claim.busy);
+        return;
+      }
+    }
+  }
+
+  const wr = claim.wr;
+  await broadcastPayout(wr);
+
+  console.log("withdraw_payout: external payout sent", {
+    id: wr.id,
+    user_id: wr.user_id,
+    amount: wr.amount,
+    wallet: wr.wallet,
+    provider: wr.payout_provider,
+    msg_hash: (wr.payout_meta || {}).msg_hash,
+  });
+
+  await markWithdrawBroadcastTx(client, wr.id, {
+    provider: wr.payout_provider,
+    txId: wr.payout_tx_id,
+    meta: wr.payout_meta,
+  });
+}
+
+// approved -> sending: sign the payout and record it (committed by the caller).
+// Returns { wr, signed } with signed = false when the request was already
+// 'sending', { busy } when the hot wallet has another transfer in flight, or
+// null when there is nothing to pay out. With resignMsgHash, a 'sending'
+// request still holding that (expired, unapplied) transfer is signed again.
+async function claimWithdrawPayoutTx(tx, withdrawId, { resignMsgHash = null } = {}) {
+  const { rows } = await tx.query(
     `
-    SELECT id, user_id, amount, wallet, status, paid_at,
-           payout_provider, payout_tx_id, payout_error
+    SELECT id, user_id, amount, net_amount, token_amount, quote, wallet, rail, status, paid_at,
+           payout_provider, payout_tx_id, payout_meta, payout_error, payout_batch_id
     FROM public.withdraw_requests
     WHERE id = $1
     FOR UPDATE
@@ -137,59 +371,925 @@ async function handleWithdrawPayout(client, job) {
     console.warn("withdraw_payout: withdraw request not found", { withdrawId });
     throw new NonRetryableJobError("withdraw_payout: withdraw request not found");
   }
-
   const wr = rows[0];
 
-  // If already paid or rejected, nothing to do.
-  if (wr.status === "paid" || wr.status === "rejected") {
-    console.log("withdraw_payout: already final state, skipping", {
+  // Signed as part of a batch: withdraw_batch_payout resumes it.
+  if (wr.status === "sending" && wr.payout_batch_id) {
+    console.log("withdraw_payout: withdraw is sending in a batch, skipping", {
+      id: wr.id,
+      batch_id: wr.payout_batch_id,
+    });
+    return null;
+  }
+
+  const resign = resignMsgHash != null && wr.status === "sending" && (wr.payout_meta || {}).msg_hash === resignMsgHash;
+  if (wr.status === "sending" && !resign) {
+    return { wr, signed: false };
+  }
+  if (wr.status !== "approved" && !resign) {
+    console.log("withdraw_payout: withdraw not approved, skipping", {
       id: wr.id,
       status: wr.status,
     });
+    return null;
+  }
+
+  const wallet = await lockPayoutWalletTx(tx, { withdrawId: wr.id });
+  if (wallet.busy) return { busy: wallet.busy };
+
+  const { provider, txId, meta } = await preparePayout(wr, { minSeqno: wallet.minSeqno });
+  const upd = await tx.query(
+    `
+    UPDATE public.withdraw_requests
+    SET status = 'sending',
+        reviewed_at = COALESCE(reviewed_at, NOW()),
+        payout_provider = $2,
+        payout_tx_id = $3,
+        payout_meta = $4,
+        payout_error = NULL
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [wr.id, provider || null, txId || null, meta ? JSON.stringify(meta) : null]
+  );
+  return { wr: upd.rows[0], signed: true };
+}
+
+// approved/sending -> broadcast, then poll for confirmation.
+async function markWithdrawBroadcastTx(client, withdrawId, { provider, txId, meta, batchId = null }) {
+  await client.query(
+    `
+    UPDATE public.withdraw_requests
+    SET status = 'broadcast',
+        broadcast_at = NOW(),
+        reviewed_at = COALESCE(reviewed_at, NOW()),
+        payout_provider = COALESCE($2, payout_provider),
+        payout_tx_id = COALESCE($3, payout_tx_id),
+        payout_meta = $4,
+        payout_batch_id = COALESCE($5, payout_batch_id),
+        payout_error = NULL
+    WHERE id = $1;
+    `,
+    [withdrawId, provider || null, txId || null, meta ? JSON.stringify(meta) : null, batchId]
+  );
+
+  await enqueueJobTx(
+    client,
+    "withdraw_confirm",
+    { withdraw_id: withdrawId },
+    { runAt: new Date(Date.now() + WITHDRAW_CONFIRM_POLL_MS) }
+  );
+}
+
+/**
+ * withdraw_batch_payout
+ *
+ * Batch payout mode (WITHDRAW_PAYOUT_MODE=batch): groups approved withdrawals
+ * into one multi-recipient transfer recorded in public.payout_batches.
+ * - Picks up to getBatchLimit() approved, unbatched requests (oldest first).
+ * - Items the provider rejects (e.g. invalid wallet) are split back out: they
+ *   keep status 'approved', get payout_error set and a single withdraw_payout
+ *   job, which surfaces the error per request.
+ * - The signed transfer is committed first (batch and items 'sending'), on its
+ *   own connection, then broadcast; sent items become 'broadcast' with their
+ *   own withdraw_confirm job and the batch status is rolled up as they settle
+ *   (see rollUpPayoutBatchTx).
+ * - Batches left 'sending' by an earlier run are resumed first, the same way
+ *   withdraw_payout resumes a single request: never a second transfer while
+ *   the signed one could still land.
+ * - Signing waits for the hot wallet (lockPayoutWalletTx): while another
+ *   transfer from it is in flight nothing is signed, and withdraw_confirm
+ *   queues this job again once a transfer settles (wakeBatchPayoutTx).
+ * - A full batch re-enqueues the job so a backlog drains batch by batch (a run
+ *   that finds the wallet busy leaves the rest to that wake-up).
+ *
+ * Payload: {}
+ */
+async function handleWithdrawBatchPayout(client, job) {
+  const stuck = await client.query(
+    `SELECT id FROM public.payout_batches WHERE status = 'sending' ORDER BY id ASC`
+  );
+  for (const { id } of stuck.rows) {
+    await resumePayoutBatch(client, id);
+  }
+
+  const limit = getBatchLimit();
+  const claim = await withTransaction((tx) => claimPayoutBatchTx(tx, limit));
+  if (!claim) {
+    console.log("withdraw_batch_payout: nothing to pay out");
+    return;
+  }
+  if (claim.busy) {
+    console.log("withdraw_batch_payout: hot wallet has a transfer in flight, waiting for it to settle", {
+      in_flight: claim.busy,
+    });
     return;
   }
 
-  if (wr.status !== "approved") {
-    console.log("withdraw_payout: withdraw not approved, skipping", {
+  if (claim.batch) {
+    await broadcastBatchPayout(claim.batch);
+    await markPayoutBatchBroadcastTx(client, claim.batch.id);
+  }
+
+  console.log("withdraw_batch_payout: batch sent", {
+    batch_id: claim.batch && claim.batch.id,
+    provider: claim.batch && claim.batch.provider,
+    msg_hash: claim.batch && claim.batch.meta && claim.batch.meta.msg_hash,
+    sent: claim.sent,
+    split_out: claim.picked - claim.sent,
+  });
+
+  if (claim.picked >= limit) {
+    await enqueueJobTx(client, "withdraw_batch_payout", {}, {
+      queue: job.queue,
+      priority: job.priority,
+      dedupeKey: null,
+    });
+  }
+}
+
+// Pick approved requests into a new batch and sign it (committed by the
+// caller). Returns { batch, sent, picked } (batch = null when every item was
+// split out), { busy } when the hot wallet has another transfer in flight, or
+// null when nothing is waiting.
+async function claimPayoutBatchTx(tx, limit) {
+  const { rows } = await tx.query(
+    `
+    SELECT *
+    FROM public.withdraw_requests
+    WHERE status = 'approved'
+      AND payout_batch_id IS NULL
+      AND payout_error IS NULL
+    ORDER BY reviewed_at ASC NULLS FIRST, id ASC
+    LIMIT $1
+    FOR UPDATE SKIP LOCKED
+    `,
+    [limit]
+  );
+  if (!rows.length) return null;
+
+  const wallet = await lockPayoutWalletTx(tx);
+  if (wallet.busy) return { busy: wallet.busy };
+
+  const batchRes = await tx.query(
+    `
+    INSERT INTO public.payout_batches (status, item_count, total_amount)
+    VALUES ('building', $1, $2)
+    RETURNING id;
+    `,
+    [rows.length, rows.reduce((sum, r) => sum + Number(r.amount || 0), 0)]
+  );
+  const batchId = batchRes.rows[0].id;
+
+  const { batch, sent } = await signPayoutBatchTx(tx, batchId, rows, { minSeqno: wallet.minSeqno });
+  return { batch, sent, picked: rows.length };
+}
+
+// Sign one transfer for `rows` and record it: items in it become 'sending'
+// under the batch, items the provider rejects are split out to withdraw_payout.
+// The batch becomes 'sending', or 'failed' when nothing is left to send.
+// The caller holds the wallet lock (lockPayoutWalletTx) and passes its minSeqno.
+async function signPayoutBatchTx(tx, batchId, rows, { minSeqno = null } = {}) {
+  const { provider, txId, meta, results } = await prepareBatchPayout(rows, { minSeqno });
+  const byId = new Map(results.map((r) => [Number(r.withdraw_id), r]));
+
+  let sent = 0;
+  let sentAmount = 0;
+  for (const wr of rows) {
+    const r = byId.get(Number(wr.id));
+    if (r && r.ok) {
+      await tx.query(
+        `
+        UPDATE public.withdraw_requests
+        SET status = 'sending',
+            reviewed_at = COALESCE(reviewed_at, NOW()),
+            payout_batch_id = $2,
+            payout_provider = $3,
+            payout_tx_id = $4,
+            payout_meta = $5,
+            payout_error = NULL
+        WHERE id = $1;
+        `,
+        [wr.id, batchId, provider || null, txId || null, r.meta ? JSON.stringify(r.meta) : null]
+      );
+      sent += 1;
+      sentAmount += Number(wr.amount || 0);
+      continue;
+    }
+
+    const error = (r && r.error) || "not sent in batch";
+    await tx.query(
+      `
+      UPDATE public.withdraw_requests
+      SET status = 'approved', payout_batch_id = NULL, payout_meta = NULL, payout_error = $2
+      WHERE id = $1;
+      `,
+      [wr.id, String(error).slice(0, 500)]
+    );
+    await enqueueJobTx(tx, "withdraw_payout", {
+      withdraw_id: wr.id,
+      user_id: wr.user_id,
+      amount: Number(wr.amount || 0),
+      wallet: wr.wallet,
+      split_from_batch: batchId,
+    });
+  }
+
+  const upd = await tx.query(
+    `
+    UPDATE public.payout_batches
+    SET status = CASE WHEN $2 > 0 THEN 'sending' ELSE 'failed' END,
+        provider = $3,
+        tx_id = $4,
+        meta = $5,
+        item_count = $2,
+        total_amount = $6,
+        failed_count = failed_count + $7,
+        finished_at = CASE WHEN $2 > 0 THEN NULL ELSE NOW() END
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [batchId, sent, provider || null, txId || null, meta ? JSON.stringify(meta) : null, sentAmount, rows.length - sent]
+  );
+  return { batch: sent > 0 ? upd.rows[0] : null, sent };
+}
+
+// sending -> broadcast for a batch and its items.
+async function markPayoutBatchBroadcastTx(client, batchId) {
+  const items = await client.query(
+    `
+    SELECT id, payout_provider, payout_tx_id, payout_meta
+    FROM public.withdraw_requests
+    WHERE payout_batch_id = $1 AND status = 'sending'
+    `,
+    [batchId]
+  );
+  for (const wr of items.rows) {
+    await markWithdrawBroadcastTx(client, wr.id, {
+      provider: wr.payout_provider,
+      txId: wr.payout_tx_id,
+      meta: wr.payout_meta,
+      batchId,
+    });
+  }
+  await client.query(
+    `
+    UPDATE public.payout_batches
+    SET status = 'broadcast', broadcast_at = NOW()
+    WHERE id = $1 AND status = 'sending';
+    `,
+    [batchId]
+  );
+}
+
+// A batch an earlier run signed but did not mark broadcast: see where its
+// transfer stands (reconcilePayout on any item, they share it) and mark it
+// broadcast, send the same BOC again, or re-sign it once it expired unapplied.
+async function resumePayoutBatch(client, batchId) {
+  const batchRes = await client.query(`SELECT * FROM public.payout_batches WHERE id = $1`, [batchId]);
+  let batch = batchRes.rows[0];
+  const items = await client.query(
+    `SELECT * FROM public.withdraw_requests WHERE payout_batch_id = $1 AND status = 'sending' ORDER BY id ASC`,
+    [batchId]
+  );
+  if (!batch || !items.rows.length) return;
+
+  const { state, detail } = await reconcilePayout(items.rows[0]);
+  console.log("withdraw_batch_payout: resuming signed batch", { batch_id: batchId, state, detail });
+
+  if (state === "unsent") {
+    const msgHash = (batch.meta || {}).msg_hash || null;
+    batch = await withTransaction(async (tx) => {
+      const locked = await tx.query(
+        `SELECT * FROM public.payout_batches WHERE id = $1 FOR UPDATE`,
+        [batchId]
+      );
+      const current = locked.rows[0];
+      if (!current || current.status !== "sending" || (current.meta || {}).msg_hash !== msgHash) {
+        return current && current.status === "sending" ? current : null;
+      }
+      const rows = await tx.query(
+        `
+        SELECT * FROM public.withdraw_requests
+        WHERE payout_batch_id = $1 AND status = 'sending'
+        ORDER BY id ASC
+        FOR UPDATE
+        `,
+        [batchId]
+      );
+      const wallet = await lockPayoutWalletTx(tx, { batchId });
+      if (wallet.busy) {
+        console.log("withdraw_batch_payout: hot wallet has a transfer in flight, batch waits", {
+          batch_id: batchId,
+          in_flight: wallet.busy,
+        });
+        return null;
+      }
+      return (await signPayoutBatchTx(tx, batchId, rows.rows, { minSeqno: wallet.minSeqno })).batch;
+    });
+    if (!batch) return;
+  }
+
+  if (state !== "sent") {
+    await broadcastBatchPayout(batch);
+  }
+  await markPayoutBatchBroadcastTx(client, batchId);
+}
+
+// Settle a batch once none of its withdrawals is still in flight.
+async function rollUpPayoutBatchTx(client, batchId) {
+  if (!batchId) return;
+  await client.query(
+    `
+    WITH items AS (
+      SELECT
+        COUNT(*) FILTER (WHERE status IN ('sending', 'broadcast')) AS in_flight,
+        COUNT(*) FILTER (WHERE status = 'confirmed') AS confirmed,
+        COUNT(*) FILTER (WHERE status = 'failed_onchain') AS failed
+      FROM public.withdraw_requests
+      WHERE payout_batch_id = $1
+    )
+    UPDATE public.payout_batches b
+    SET status = CASE
+                   WHEN items.failed = 0 THEN 'confirmed'
+                   WHEN items.confirmed = 0 THEN 'failed'
+                   ELSE 'partially_failed'
+                 END,
+        failed_count = b.failed_count + items.failed,
+        finished_at = NOW()
+    FROM items
+    WHERE b.id = $1
+      AND b.status = 'broadcast'
+      AND items.in_flight = 0;
+    `,
+    [batchId]
+  );
+}
+
+// All items of a batch share one on-chain transaction; the first one checked
+// records its hash on the batch.
+async function recordBatchTxHashTx(client, batchId, detail) {
+  if (!batchId || !detail || !detail.tx_hash) return;
+  await client.query(
+    `UPDATE public.payout_batches SET tx_id = $2 WHERE id = $1 AND tx_id IS NULL`,
+    [batchId, detail.tx_hash]
+  );
+}
+
+// Batch mode: a settled transfer frees the hot wallet, so run
+// withdraw_batch_payout now if requests (or a signed batch) are waiting
+// (deduplicated).
+async function wakeBatchPayoutTx(client) {
+  if (WITHDRAW_PAYOUT_MODE !== "batch") return;
+  const waiting = await client.query(
+    `
+    SELECT 1
+    FROM public.withdraw_requests
+    WHERE (status = 'approved' AND payout_batch_id IS NULL AND payout_error IS NULL)
+       OR status = 'sending'
+    LIMIT 1
+    `
+  );
+  if (waiting.rows.length) await enqueueJobTx(client, "withdraw_batch_payout", {});
+}
+
+/**
+ * withdraw_confirm
+ *
+ * Polls the payout provider for a 'broadcast' withdrawal. Once the transfer
+ * shows up on chain its transaction hash (detail.tx_hash) becomes payout_tx_id.
+ * - confirmed -> status 'confirmed' (paid_at set); coins leave escrow
+ *   (escrow:withdrawals -> burn:withdrawals).
+ * - failed    -> status 'failed_onchain'; the reserved coins are refunded to
+ *   the user through the ledger (reason withdraw_onchain_refund).
+ * - pending   -> re-enqueued after WITHDRAW_CONFIRM_POLL_MS until
+ *   WITHDRAW_CONFIRM_TIMEOUT_MS, then dead-lettered for manual review (the
+ *   withdrawal stays 'broadcast').
+ * The timeout runs from broadcast_at, or from `since` when an admin asked for
+ * a recheck (/api/admin/withdraw/recheck) or from `requeued_at` when the dead
+ * letter was requeued, so those get a full polling window again.
+ *
+ * Payload: { withdraw_id, since?, requeued_at? }
+ */
+async function handleWithdrawConfirm(client, job) {
+  const payload = job.payload_json || {};
+  const withdrawId = Number(payload.withdraw_id || 0);
+  if (!withdrawId) {
+    throw new NonRetryableJobError("withdraw_confirm job missing withdraw_id");
+  }
+
+  const { rows } = await client.query(
+    `SELECT * FROM public.withdraw_requests WHERE id = $1 FOR UPDATE`,
+    [withdrawId]
+  );
+  if (!rows.length) {
+    throw new NonRetryableJobError("withdraw_confirm: withdraw request not found");
+  }
+  const wr = rows[0];
+
+  if (wr.status !== "broadcast") {
+    console.log("withdraw_confirm: withdraw not broadcast, skipping", {
       id: wr.id,
       status: wr.status,
     });
     return;
   }
 
-  // Delegate to payout provider abstraction. The default implementation just
-// returns a dummy tx id; replace it with your real TON/USDT integration.
-const { provider, txId } = await sendPayout(wr);
-
-console.log("withdraw_payout: external payout sent", {
-  id: wr.id,
-  user_id: wr.user_id,
-  amount: wr.amount,
-  wallet: wr.wallet,
-  provider,
-  txId,
-});
-
-// Mark as paid (coins were already reserved at request time) and store
-  // provider metadata for reconciliation.
-await client.query(
-  `
-  UPDATE public.withdraw_requests
-  SET status = 'paid',
-      paid_at = NOW(),
-      reviewed_at = COALESCE(reviewed_at, NOW()),
-      payout_provider = COALESCE($2, payout_provider),
-      payout_tx_id = COALESCE($3, payout_tx_id),
-      payout_error = NULL
-  WHERE id = $1;
-  `,
-  [wr.id, provider || null, txId || null]
-);
+  const { state, detail } = await checkPayout(wr);
+  const amount = Number(wr.amount || 0);
+
+  if (state === "confirmed") {
+    await client.query(
+      `
+      UPDATE public.withdraw_requests
+      SET status = 'confirmed',
+          confirmed_at = NOW(),
+          paid_at = COALESCE(paid_at, NOW()),
+          payout_tx_id = COALESCE($3, payout_tx_id),
+          payout_meta = COALESCE(payout_meta, '{}'::jsonb) || $2::jsonb
+      WHERE id = $1;
+      `,
+      [wr.id, JSON.stringify({ confirmation: detail || {} }), (detail && detail.tx_hash) || null]
+    );
+    await recordBatchTxHashTx(client, wr.payout_batch_id, detail);
+
+    // Coins leave the system: release them from withdrawal escrow (net burned, fee kept).
+    await settleWithdrawEscrowTx(client, wr);
+
+    await rollUpPayoutBatchTx(client, wr.payout_batch_id);
+    await wakeBatchPayoutTx(client);
+    console.log("withdraw_confirm: payout confirmed", { id: wr.id, detail });
+    return;
+  }
+
+  if (state === "failed") {
+    const reason = (detail && detail.reason) || "transfer failed on chain";
+    await client.query(
+      `
+      UPDATE public.withdraw_requests
+      SET status = 'failed_onchain',
+          payout_error = $2,
+          payout_tx_id = COALESCE($4, payout_tx_id),
+          payout_meta = COALESCE(payout_meta, '{}'::jsonb) || $3::jsonb
+      WHERE id = $1;
+      `,
+      [wr.id, String(reason).slice(0, 500), JSON.stringify({ failure: detail || {} }), (detail && detail.tx_hash) || null]
+    );
+    await recordBatchTxHashTx(client, wr.payout_batch_id, detail);
+
+    if (amount > 0) {
+      await applyBalanceChangeTx(client, {
+        userId: wr.user_id,
+        delta: amount,
+        reason: "withdraw_onchain_refund",
+        refType: "withdraw_request",
+        refId: wr.id,
+        eventType: "withdraw_refund",
+      });
+    }
+
+    await rollUpPayoutBatchTx(client, wr.payout_batch_id);
+    await wakeBatchPayoutTx(client);
+    console.warn("withdraw_confirm: payout failed on chain, refunded", { id: wr.id, detail });
+    return;
+  }
+
+  const since = payload.requeued_at || payload.since || wr.broadcast_at;
+  const sinceMs = since && !isNaN(new Date(since)) ? new Date(since).getTime() : Date.now();
+  if (Date.now() - sinceMs > WITHDRAW_CONFIRM_TIMEOUT_MS) {
+    throw new NonRetryableJobError(
+      `withdraw_confirm: no confirmation after ${Math.round(WITHDRAW_CONFIRM_TIMEOUT_MS / 60000)} min, needs manual review`
+    );
+  }
+
+  // Still in flight: poll again later. No dedupe key, since this job still
+  // holds withdraw_confirm:<id> while it runs.
+  await enqueueJobTx(
+    client,
+    "withdraw_confirm",
+    { withdraw_id: wr.id, since: new Date(sinceMs).toISOString() },
+    { runAt: new Date(Date.now() + WITHDRAW_CONFIRM_POLL_MS), dedupeKey: null }
+  );
+}
+
+/**
+ * reconcile_ledger
+ *
+ * Global drift scan: compares users.balance with SUM(user_balance_ledger.delta)
+ * (plus buffered tap rewards, see lib/tapBuffer.js) for every user, one batch of users per job run. Mismatches are written to
+ * public.ledger_reconciliation_drift and, when enqueue_sync is set, a sync_user
+ * job is queued for each drifted account.
+ *
+ * Payload: { run_id?, after_user_id?, batch_size?, enqueue_sync? }
+ * - Without run_id a new ledger_reconciliation_runs row is created.
+ * - Each run re-enqueues itself with the next cursor until all users are checked.
+ */
+async function handleReconcileLedger(client, job) {
+  const payload = job.payload_json || {};
+  const batchSize = Math.max(1, Math.min(5000, Number(payload.batch_size || 500)));
+  const afterUserId = Number(payload.after_user_id || 0);
+  const enqueueSync = payload.enqueue_sync === true;
+
+  let runId = Number(payload.run_id || 0);
+  if (!runId) {
+    const runRes = await client.query(
+      `
+      INSERT INTO public.ledger_reconciliation_runs (enqueue_sync, batch_size)
+      VALUES ($1, $2)
+      RETURNING id;
+      `,
+      [enqueueSync, batchSize]
+    );
+    runId = Number(runRes.rows[0].id);
+  }
+
+  const { rows } = await client.query(
+    `
+    SELECT u.id, COALESCE(u.balance, 0) AS balance,
+           COALESCE(l.ledger_balance, 0) + COALESCE(b.pending_delta, 0) AS ledger_balance
+    FROM (
+      SELECT id, balance
+      FROM public.users
+      WHERE id > $1
+      ORDER BY id ASC
+      LIMIT $2
+    ) u
+    LEFT JOIN LATERAL (
+      SELECT SUM(delta) AS ledger_balance
+      FROM public.user_balance_ledger
+      WHERE user_id = u.id
+    ) l ON TRUE
+    LEFT JOIN public.tap_reward_buffer b ON b.user_id = u.id
+    ORDER BY u.id ASC;
+    `,
+    [afterUserId, batchSize]
+  );
+
+  let drifted = 0;
+  let absDrift = 0;
+  for (const row of rows) {
+    const balance = Number(row.balance);
+    const ledgerBalance = Number(row.ledger_balance);
+    if (balance === ledgerBalance) continue;
+
+    drifted += 1;
+    absDrift += Math.abs(balance - ledgerBalance);
+
+    let syncJobId = null;
+    if (enqueueSync) {
+      // Deduplicated per user: an already queued sync is reused.
+      syncJobId = await enqueueJobTx(client, "sync_user", {
+        user_id: row.id,
+        source: "reconcile_ledger",
+        run_id: runId,
+      });
+    }
+
+    await client.query(
+      `
+      INSERT INTO public.ledger_reconciliation_drift
+        (run_id, user_id, balance, ledger_balance, drift, sync_job_id)
+      VALUES ($1, $2, $3, $4, $5, $6);
+      `,
+      [runId, row.id, balance, ledgerBalance, balance - ledgerBalance, syncJobId]
+    );
+  }
+
+  const finished = rows.length < batchSize;
+  await client.query(
+    `
+    UPDATE public.ledger_reconciliation_runs
+    SET users_checked = users_checked + $2,
+        drifted_count = drifted_count + $3,
+        total_abs_drift = total_abs_drift + $4,
+        status = CASE WHEN $5 THEN 'completed' ELSE status END,
+        finished_at = CASE WHEN $5 THEN NOW() ELSE finished_at END
+    WHERE id = $1;
+    `,
+    [runId, rows.length, drifted, absDrift, finished]
+  );
+
+  if (!finished) {
+    const lastUserId = rows[rows.length - 1].id;
+    await enqueueJobTx(
+      client,
+      "reconcile_ledger",
+      {
+        run_id: runId,
+        after_user_id: lastUserId,
+        batch_size: batchSize,
+        enqueue_sync: enqueueSync,
+      },
+      { queue: job.queue, priority: job.priority }
+    );
+  }
+
+  console.log("reconcile_ledger: batch checked", {
+    run_id: runId,
+    after_user_id: afterUserId,
+    checked: rows.length,
+    drifted,
+    finished,
+  });
+}
+
+const SNAPSHOT_SETTLE_MS = Number(process.env.SNAPSHOT_SETTLE_SECONDS || 120) * 1000;
+const SNAPSHOT_SETTLE_MAX_WAIT_MS = Number(process.env.SNAPSHOT_SETTLE_MAX_WAIT_SECONDS || 1800) * 1000;
+const SNAPSHOT_SETTLE_POLL_MS = 30000;
+
+// True once every ledger row dated <= snapshotAt is committed (see below).
+async function snapshotSettledTx(client, snapshotAt) {
+  const age = Date.now() - new Date(snapshotAt).getTime();
+  if (age < SNAPSHOT_SETTLE_MS) return false;
+
+  const { rows } = await client.query(
+    `
+    SELECT COUNT(*)::int AS open
+    FROM pg_stat_activity
+    WHERE datname = current_database()
+      AND pid <> pg_backend_pid()
+      AND xact_start IS NOT NULL
+      AND xact_start <= $1;
+    `,
+    [snapshotAt]
+  );
+  if (rows[0].open === 0) return true;
+
+  // A session left idle in transaction must not hold snapshots back forever.
+  if (age >= SNAPSHOT_SETTLE_MAX_WAIT_MS) {
+    console.warn("snapshot_balances: transactions older than snapshot_at still open, snapshotting anyway", {
+      snapshot_at: snapshotAt,
+      open: rows[0].open,
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * snapshot_balances
+ *
+ * Checkpoints each user's ledger balance at run.snapshot_at into
+ * public.balance_snapshots, one batch of users per job run (re-enqueues itself
+ * with the next cursor until done).
+ *
+ * Each snapshot is incremental: previous snapshot + ledger deltas since then.
+ * Daily runs only write rows for users whose ledger moved since their last
+ * snapshot; season (and manual) runs write a row for every user so prize
+ * audits have an explicit checkpoint.
+ *
+ * NOTE: buffered taps land in the ledger when flushed (see lib/tapBuffer.js),
+ * so a snapshot can trail real tap activity by up to one flush interval.
+ *
+ * Ledger rows take created_at from the start of their transaction, so one that
+ * began before snapshot_at can commit rows dated before it after we read the
+ * ledger. Later snapshots only add rows dated after this one, so those rows
+ * would never be counted. The first batch therefore waits (re-enqueued) until
+ * SNAPSHOT_SETTLE_SECONDS have passed and no transaction started at or before
+ * snapshot_at is still open, for at most SNAPSHOT_SETTLE_MAX_WAIT_SECONDS.
+ *
+ * Payload: { run_id, after_user_id?, batch_size? }
+ */
+async function handleSnapshotBalances(client, job) {
+  const payload = job.payload_json || {};
+  const runId = Number(payload.run_id || 0);
+  const batchSize = Math.max(1, Math.min(5000, Number(payload.batch_size || 1000)));
+  const afterUserId = Number(payload.after_user_id || 0);
+
+  if (!runId) {
+    throw new NonRetryableJobError("snapshot_balances job missing run_id");
+  }
+
+  const runRes = await client.query(
+    `SELECT * FROM public.balance_snapshot_runs WHERE id = $1 FOR UPDATE`,
+    [runId]
+  );
+  if (!runRes.rows.length) {
+    throw new NonRetryableJobError("snapshot_balances: run not found");
+  }
+  const run = runRes.rows[0];
+  if (run.status === "completed") {
+    console.log("snapshot_balances: run already completed, skipping", { run_id: runId });
+    return;
+  }
+
+  if (!afterUserId) {
+    const settled = await snapshotSettledTx(client, run.snapshot_at);
+    if (!settled) {
+      await enqueueJobTx(client, "snapshot_balances", payload, {
+        queue: job.queue,
+        priority: job.priority,
+        runAt: new Date(Date.now() + SNAPSHOT_SETTLE_POLL_MS),
+      });
+      console.log("snapshot_balances: waiting for transactions before snapshot_at", {
+        run_id: runId,
+        snapshot_at: run.snapshot_at,
+      });
+      return;
+    }
+  }
+
+  const batchRes = await client.query(
+    `SELECT id FROM public.users WHERE id > $1 ORDER BY id ASC LIMIT $2`,
+    [afterUserId, batchSize]
+  );
+  const userIds = batchRes.rows.map((r) => r.id);
+
+  let written = 0;
+  if (userIds.length) {
+    const insRes = await client.query(
+      `
+      WITH prev AS (
+        SELECT DISTINCT ON (s.user_id) s.user_id, s.balance, s.snapshot_at
+        FROM public.balance_snapshots s
+        WHERE s.user_id = ANY($1::int[])
+          AND s.snapshot_at < $2
+        ORDER BY s.user_id, s.snapshot_at DESC
+      ),
+      moves AS (
+        SELECT u.id AS user_id,
+               COALESCE(p.balance, 0) + COALESCE(SUM(l.delta), 0) AS balance,
+               COUNT(l.id) AS moves,
+               p.snapshot_at AS prev_at
+        FROM unnest($1::int[]) AS u(id)
+        LEFT JOIN prev p ON p.user_id = u.id
+        LEFT JOIN public.user_balance_ledger l
+          ON l.user_id = u.id
+         AND l.created_at <= $2
+         AND (p.snapshot_at IS NULL OR l.created_at > p.snapshot_at)
+        GROUP BY u.id, p.balance, p.snapshot_at
+      )
+      INSERT INTO public.balance_snapshots (run_id, user_id, balance, snapshot_at, kind, season_id)
+      SELECT $3, user_id, balance, $2, $4, $5
+      FROM moves
+      WHERE $6::boolean OR moves > 0
+      ON CONFLICT (user_id, snapshot_at) DO NOTHING;
+      `,
+      [userIds, run.snapshot_at, runId, run.kind, run.season_id, run.kind !== "daily"]
+    );
+    written = insRes.rowCount || 0;
+  }
+
+  const finished = userIds.length < batchSize;
+  await client.query(
+    `
+    UPDATE public.balance_snapshot_runs
+    SET users_written = users_written + $2,
+        status = CASE WHEN $3 THEN 'completed' ELSE status END,
+        finished_at = CASE WHEN $3 THEN NOW() ELSE finished_at END
+    WHERE id = $1;
+    `,
+    [runId, written, finished]
+  );
+
+  if (!finished) {
+    await enqueueJobTx(
+      client,
+      "snapshot_balances",
+      {
+        run_id: runId,
+        after_user_id: userIds[userIds.length - 1],
+        batch_size: batchSize,
+      },
+      { queue: job.queue, priority: job.priority }
+    );
+  }
+
+  console.log("snapshot_balances: batch written", {
+    run_id: runId,
+    kind: run.kind,
+    after_user_id: afterUserId,
+    users: userIds.length,
+    written,
+    finished,
+  });
+}
+
+// ------------ Housekeeping (scheduled by lib/scheduler.js) ------------
+// Each run deletes/updates at most batch_size rows; a full batch re-enqueues the
+// same job so large backlogs drain without one long transaction.
+
+async function enqueueContinuationTx(client, job) {
+  await enqueueJobTx(client, job.type, job.payload_json || {}, {
+    queue: job.queue,
+    priority: job.priority,
+  });
+}
+
+function housekeepingBatchSize(payload) {
+  return Math.max(1, Math.min(50000, Number(payload.batch_size || 5000)));
+}
+
+/**
+ * cleanup_tap_packets
+ *
+ * Prunes tap packet idempotency rows older than retention_hours. Clients only
+ * retry a packet for a few minutes, so old rows are dead weight.
+ *
+ * Payload: { retention_hours?, batch_size? }
+ */
+async function handleCleanupTapPackets(client, job) {
+  const payload = job.payload_json || {};
+  const retentionHours = Math.max(1, Number(payload.retention_hours || 48));
+  const batchSize = housekeepingBatchSize(payload);
+
+  const res = await client.query(
+    `
+    DELETE FROM public.tap_packets
+    WHERE packet_id IN (
+      SELECT packet_id
+      FROM public.tap_packets
+      WHERE created_at < NOW() - make_interval(hours => $1)
+      LIMIT $2
+    );
+    `,
+    [retentionHours, batchSize]
+  );
+  const deleted = res.rowCount || 0;
+  if (deleted >= batchSize) await enqueueContinuationTx(client, job);
+
+  console.log("cleanup_tap_packets: done", { deleted, retention_hours: retentionHours });
+}
+
+/**
+ * expire_idempotency_keys
+ *
+ * Deletes finished idempotency keys older than retention_hours, and keys left
+ * in 'pending' (request crashed mid-way) older than pending_retention_hours.
+ *
+ * Payload: { retention_hours?, pending_retention_hours?, batch_size? }
+ */
+async function handleExpireIdempotencyKeys(client, job) {
+  const payload = job.payload_json || {};
+  const retentionHours = Math.max(1, Number(payload.retention_hours || 24 * 7));
+  const pendingRetentionHours = Math.max(1, Number(payload.pending_retention_hours || 24));
+  const batchSize = housekeepingBatchSize(payload);
+
+  const res = await client.query(
+    `
+    DELETE FROM public.idempotency_keys
+    WHERE ctid IN (
+      SELECT ctid
+      FROM public.idempotency_keys
+      WHERE (status <> 'pending' AND updated_at < NOW() - make_interval(hours => $1))
+         OR (status = 'pending' AND updated_at < NOW() - make_interval(hours => $2))
+      LIMIT $3
+    );
+    `,
+    [retentionHours, pendingRetentionHours, batchSize]
+  );
+  const deleted = res.rowCount || 0;
+  if (deleted >= batchSize) await enqueueContinuationTx(client, job);
+
+  console.log("expire_idempotency_keys: done", { deleted });
+}
+
+/**
+ * expire_ad_sessions
+ *
+ * Marks ad sessions that were started but never completed within ttl_minutes
+ * as 'expired', so they can no longer be redeemed.
+ *
+ * Payload: { ttl_minutes?, batch_size? }
+ */
+async function handleExpireAdSessions(client, job) {
+  const payload = job.payload_json || {};
+  const ttlMinutes = Math.max(1, Number(payload.ttl_minutes || 60));
+  const batchSize = housekeepingBatchSize(payload);
+
+  const res = await client.query(
+    `
+    UPDATE public.ad_sessions
+    SET status = 'expired'
+    WHERE id IN (
+      SELECT id
+      FROM public.ad_sessions
+      WHERE status = 'pending'
+        AND created_at < NOW() - make_interval(mins => $1)
+      ORDER BY id ASC
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    );
+    `,
+    [ttlMinutes, batchSize]
+  );
+  const expired = res.rowCount || 0;
+  if (expired >= batchSize) await enqueueContinuationTx(client, job);
+
+  console.log("expire_ad_sessions: done", { expired, ttl_minutes: ttlMinutes });
 }
 
 const handlers = {
   sync_user: handleSyncUser,
+  withdraw_risk_review: handleWithdrawRiskReview,
   withdraw_payout: handleWithdrawPayout,
+  withdraw_confirm: handleWithdrawConfirm,
+  withdraw_batch_payout: handleWithdrawBatchPayout,
+  reconcile_ledger: handleReconcileLedger,
+  snapshot_balances: handleSnapshotBalances,
+  cleanup_tap_packets: handleCleanupTapPackets,
+  expire_idempotency_keys: handleExpireIdempotencyKeys,
+  expire_ad_sessions: handleExpireAdSessions,
 };
 
 async function runJobHandler(client, job) {
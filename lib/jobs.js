@@ -7,10 +7,16 @@
 //   id           bigserial PRIMARY KEY,
 //   type         text NOT NULL,
 //   payload_json jsonb NOT NULL,
-//   status       text NOT NULL DEFAULT 'pending', -- pending | processing | completed | failed
+//   status       text NOT NULL DEFAULT 'pending', -- pending | processing | completed | failed | cancelled
+//   queue        text NOT NULL DEFAULT 'default',
+//   priority     integer NOT NULL DEFAULT 0,       -- higher runs first within a queue
 //   run_at       timestamptz NOT NULL DEFAULT NOW(),
 //   attempts     integer NOT NULL DEFAULT 0,
 //   last_error   text,
+//   error_history jsonb NOT NULL DEFAULT '[]',     -- one entry per failed attempt
+//   locked_by    text,                             -- WORKER_NAME of the claiming worker
+//   locked_at    timestamptz,
+//   dedupe_key   text,                             -- unique among pending/processing jobs
 //   created_at   timestamptz NOT NULL DEFAULT NOW(),
 //   updated_at   timestamptz NOT NULL DEFAULT NOW()
 // );
@@ -18,25 +24,153 @@
 // CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at
 //   ON public.jobs (status, run_at);
 //
-// This helper is deliberately tolerant: if the jobs table is missing or
-// unavailable, enqueueJob will log and fail silently so your main flows
-// (e.g. withdraw approval) are not blocked.
+// (see sql/migrations/011_jobs_priority_queues.sql for queue/priority columns
+// 012_jobs_backoff_dead_letter.sql for error_history + jobs_dead_letter, and
+// 014_jobs_dedupe_key.sql for dedupe_key, 016_worker_heartbeats.sql for workers)
+//
+// enqueueJob is deliberately tolerant: if the jobs table is missing or
+// unavailable, it logs and returns null so best-effort callers are not blocked.
+// When a job must exist iff the business write commits (e.g. the payout for
+// an approved withdrawal), use enqueueJobTx inside that transaction instead.
 
 const { pool } = require("./db");
 
-async function enqueueJob(type, payload, options = {}) {
+// Default queue + priority per job type. Each queue is polled by its own worker
+// slots (JOBS_QUEUES in worker.js), so payouts never wait behind housekeeping.
+const JOB_TYPE_DEFAULTS = {
+  withdraw_payout: { queue: "payouts", priority: 100 },
+  withdraw_risk_review: { queue: "payouts", priority: 95 },
+  withdraw_confirm: { queue: "payouts", priority: 90 },
+  withdraw_batch_payout: { queue: "payouts", priority: 80 },
+  sync_user: { queue: "housekeeping", priority: 0 },
+  reconcile_ledger: { queue: "housekeeping", priority: -10 },
+  snapshot_balances: { queue: "housekeeping", priority: -10 },
+  cleanup_tap_packets: { queue: "housekeeping", priority: -20 },
+  expire_idempotency_keys: { queue: "housekeeping", priority: -20 },
+  expire_ad_sessions: { queue: "housekeeping", priority: -20 },
+};
+
+// Retry policy per job type. Failed attempts are retried after
+// min(maxDelayMs, baseDelayMs * 2^(attempt-1)), randomised between 50% and 100%
+// of that value so a burst of failures does not retry in lockstep.
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.JOBS_MAX_ATTEMPTS || 8);
+
+const JOB_RETRY_DEFAULTS = {
+  withdraw_payout: { maxAttempts: DEFAULT_MAX_ATTEMPTS, baseDelayMs: 30000, maxDelayMs: 30 * 60 * 1000 },
+  withdraw_confirm: { maxAttempts: 10, baseDelayMs: 15000, maxDelayMs: 10 * 60 * 1000 },
+  sync_user: { maxAttempts: 5, baseDelayMs: 10000, maxDelayMs: 10 * 60 * 1000 },
+  reconcile_ledger: { maxAttempts: 5, baseDelayMs: 60000, maxDelayMs: 60 * 60 * 1000 },
+  snapshot_balances: { maxAttempts: 5, baseDelayMs: 60000, maxDelayMs: 60 * 60 * 1000 },
+};
+
+function getRetryPolicy(type) {
+  return (
+    JOB_RETRY_DEFAULTS[type] || {
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      baseDelayMs: 5000,
+      maxDelayMs: 15 * 60 * 1000,
+    }
+  );
+}
+
+function computeRetryDelayMs(type, attempts) {
+  const { baseDelayMs, maxDelayMs } = getRetryPolicy(type);
+  const exp = Math.max(0, Number(attempts || 1) - 1);
+  const capped = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.min(exp, 30)));
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
+
+function resolveJobRouting(type, options = {}) {
+  const defaults = JOB_TYPE_DEFAULTS[type] || { queue: "default", priority: 0 };
+  const queue = options.queue ? String(options.queue) : defaults.queue;
+  const priority = options.priority != null && Number.isFinite(Number(options.priority))
+    ? Math.trunc(Number(options.priority))
+    : defaults.priority;
+  return { queue, priority };
+}
+
+// Job types that get a dedupe key by default, so API retries or double clicks
+// cannot queue the same payout / sync twice.
+const DEFAULT_DEDUPE_KEYS = {
+  withdraw_payout: (p) => (p && p.withdraw_id ? `withdraw_payout:${p.withdraw_id}` : null),
+  withdraw_confirm: (p) => (p && p.withdraw_id ? `withdraw_confirm:${p.withdraw_id}` : null),
+  withdraw_risk_review: (p) => (p && p.withdraw_id ? `withdraw_risk_review:${p.withdraw_id}` : null),
+  withdraw_batch_payout: () => "withdraw_batch_payout",
+  sync_user: (p) => (p && p.user_id ? `sync_user:${p.user_id}` : null),
+};
+
+function resolveDedupeKey(type, payload, options = {}) {
+  if (options.dedupeKey !== undefined) {
+    return options.dedupeKey == null ? null : String(options.dedupeKey);
+  }
+  const fn = DEFAULT_DEDUPE_KEYS[type];
+  return fn ? fn(payload) : null;
+}
+
+// Insert a job through `db` (pool or transaction client). With a dedupe key,
+// an existing pending/processing job with the same key wins and its id is
+// returned instead. The live-job check can race with that job finishing, so
+// the insert is retried a couple of times.
+async function insertJob(db, type, payload, options = {}) {
   const runAt = options.runAt ? new Date(options.runAt) : new Date();
+  const { queue, priority } = resolveJobRouting(type, options);
+  const dedupeKey = resolveDedupeKey(type, payload, options);
+  const errorHistory = JSON.stringify(options.errorHistory || []);
+  const values = [type, JSON.stringify(payload || {}), runAt.toISOString(), queue, priority, dedupeKey, errorHistory];
 
-  try {
-    const res = await pool.query(
+  if (!dedupeKey) {
+    const res = await db.query(
       `
-      INSERT INTO public.jobs (type, payload_json, status, run_at)
-      VALUES ($1, $2, 'pending', $3)
+      INSERT INTO public.jobs (type, payload_json, status, run_at, queue, priority, dedupe_key, error_history)
+      VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7)
       RETURNING id;
       `,
-      [type, JSON.stringify(payload || {}), runAt.toISOString()]
+      values
     );
-    return res.rows[0].id;
+    return { id: res.rows[0].id, deduped: false };
+  }
+
+  for (let i = 0; i < 3; i += 1) {
+    const res = await db.query(
+      `
+      INSERT INTO public.jobs (type, payload_json, status, run_at, queue, priority, dedupe_key, error_history)
+      VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7)
+      ON CONFLICT (dedupe_key) WHERE status IN ('pending', 'processing') DO NOTHING
+      RETURNING id;
+      `,
+      values
+    );
+    if (res.rowCount) return { id: res.rows[0].id, deduped: false };
+
+    const existing = await db.query(
+      `
+      SELECT id
+      FROM public.jobs
+      WHERE dedupe_key = $1
+        AND status IN ('pending', 'processing')
+      LIMIT 1;
+      `,
+      [dedupeKey]
+    );
+    if (existing.rowCount) return { id: existing.rows[0].id, deduped: true };
+  }
+  throw new Error(`insertJob: could not enqueue or find live job for dedupe_key ${dedupeKey}`);
+}
+
+/**
+ * Enqueue a job outside any transaction.
+ * options: { runAt, queue, priority, dedupeKey }
+ * - dedupeKey: if a pending/processing job already has this key, its id is
+ *   returned instead of inserting a duplicate. Defaults per type (see
+ *   DEFAULT_DEDUPE_KEYS); pass null to opt out.
+ */
+async function enqueueJob(type, payload, options = {}) {
+  try {
+    const { id, deduped } = await insertJob(pool, type, payload, options);
+    if (deduped) {
+      console.log("enqueueJob: live job with same dedupe key exists", { type, id });
+    }
+    return id;
   } catch (err) {
     console.error("Failed to enqueue job", { type, err: err.message || err });
     // Do not throw: we don't want to block the main request path.
@@ -44,6 +178,167 @@ async function enqueueJob(type, payload, options = {}) {
   }
 }
 
+// A job 'processing' for longer than this that no open transaction holds is
+// lost (dead worker, or a run that failed without recording it), and
+// reapStaleJobsTx hands it back to pending.
+const WORKER_LEASE_TIMEOUT_MS = Number(process.env.WORKER_LEASE_TIMEOUT_MS || 2 * 60 * 1000);
+
+/**
+ * Enqueue a job WITHIN an existing transaction using the passed `client`, so
+ * the job commits or rolls back together with the caller's writes.
+ * Same options as enqueueJob, but errors are thrown, never swallowed.
+ * Returns the job id (or the live job's id when deduplicated).
+ */
+async function enqueueJobTx(client, type, payload, options = {}) {
+  if (!type) {
+    throw new Error("enqueueJobTx: type is required");
+  }
+  const { id } = await insertJob(client, type, payload, options);
+  return id;
+}
+
+/**
+ * Move an exhausted (or permanently failed) job out of public.jobs into
+ * public.jobs_dead_letter, keeping its payload and full error history.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ * Returns the dead-letter row id, or null if the job no longer exists.
+ */
+async function moveJobToDeadLetterTx(client, jobId, { permanent = false } = {}) {
+  const { rows } = await client.query(
+    `
+    WITH dead AS (
+      DELETE FROM public.jobs
+      WHERE id = $1
+      RETURNING *
+    )
+    INSERT INTO public.jobs_dead_letter (
+      job_id, type, payload_json, queue, priority, attempts,
+      last_error, error_history, permanent, job_created_at, dedupe_key
+    )
+    SELECT id, type, payload_json, queue, priority, attempts,
+           last_error, error_history, $2, created_at, dedupe_key
+    FROM dead
+    RETURNING id;
+    `,
+    [jobId, permanent === true]
+  );
+  return rows[0]?.id || null;
+}
+
+/**
+ * Put a dead-letter job back on its queue as a fresh job (attempts reset,
+ * error history and dedupe key carried over) and mark the dead-letter row as
+ * requeued. The payload gets `requeued_at`, so handlers with a deadline
+ * (withdraw_confirm) count it from the requeue.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ * Returns { jobId, deadLetter } or null if the row is missing / already requeued.
+ */
+async function requeueDeadLetterJobTx(client, deadLetterId, { requeuedBy = null } = {}) {
+  const { rows } = await client.query(
+    `
+    SELECT *
+    FROM public.jobs_dead_letter
+    WHERE id = $1
+      AND requeued_at IS NULL
+    FOR UPDATE
+    `,
+    [deadLetterId]
+  );
+  if (!rows.length) return null;
+  const dl = rows[0];
+
+  // If a live job with the same dedupe key exists already, point at it.
+  const payload = { ...(dl.payload_json || {}), requeued_at: new Date().toISOString() };
+  const { id: jobId } = await insertJob(client, dl.type, payload, {
+    queue: dl.queue,
+    priority: dl.priority,
+    dedupeKey: dl.dedupe_key || null,
+    errorHistory: dl.error_history || [],
+  });
+
+  const updated = await client.query(
+    `
+    UPDATE public.jobs_dead_letter
+    SET requeued_at = NOW(),
+        requeued_job_id = $2,
+        requeued_by = $3
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [dl.id, jobId, requeuedBy]
+  );
+
+  return { jobId, deadLetter: updated.rows[0] };
+}
+
+/**
+ * Return lost 'processing' jobs to pending: those locked longer than leaseMs
+ * ago, whatever their worker's heartbeat says. A run in progress keeps its job
+ * row locked in the processing transaction (worker.js processJob), so it is
+ * skipped; a row nobody holds belongs to a worker that died, restarted, or
+ * failed to record the outcome.
+ * The lost run counts as an attempt; a job that exhausts its attempts this way
+ * (e.g. it keeps crashing the worker) goes to the dead-letter table.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function reapStaleJobsTx(client, { leaseMs = WORKER_LEASE_TIMEOUT_MS, limit = 100 } = {}) {
+  const { rows } = await client.query(
+    `
+    SELECT j.id, j.type, j.attempts, j.locked_by, j.locked_at
+    FROM public.jobs j
+    WHERE j.status = 'processing'
+      AND COALESCE(j.locked_at, j.updated_at) < NOW() - make_interval(secs => $1)
+    ORDER BY j.id ASC
+    LIMIT $2
+    FOR UPDATE OF j SKIP LOCKED
+    `,
+    [Math.max(1, Math.floor(leaseMs / 1000)), limit]
+  );
+
+  const reaped = [];
+  for (const job of rows) {
+    const attempts = Number(job.attempts || 0) + 1;
+    const errText = `lease expired: lost while processing on worker ${job.locked_by || "unknown"}`;
+    await client.query(
+      `
+      UPDATE public.jobs
+      SET status = 'pending',
+          attempts = $2,
+          last_error = $3,
+          error_history = COALESCE(error_history, '[]'::jsonb) || jsonb_build_array($4::jsonb),
+          run_at = NOW(),
+          locked_by = NULL,
+          locked_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1;
+      `,
+      [
+        job.id,
+        attempts,
+        errText,
+        JSON.stringify({ at: new Date().toISOString(), attempt: attempts, worker: job.locked_by, error: errText }),
+      ]
+    );
+
+    let deadLetterId = null;
+    if (attempts >= getRetryPolicy(job.type).maxAttempts) {
+      deadLetterId = await moveJobToDeadLetterTx(client, job.id);
+    }
+    reaped.push({ id: job.id, type: job.type, lockedBy: job.locked_by, deadLetterId });
+  }
+  return reaped;
+}
+
 module.exports = {
+  WORKER_LEASE_TIMEOUT_MS,
+  JOB_TYPE_DEFAULTS,
+  JOB_RETRY_DEFAULTS,
+  getRetryPolicy,
+  computeRetryDelayMs,
+  resolveJobRouting,
   enqueueJob,
+  enqueueJobTx,
+  moveJobToDeadLetterTx,
+  requeueDeadLetterJobTx,
+  reapStaleJobsTx,
 };
@@ -1,15 +1,92 @@
 // lib/ledger.js
 // Helper functions for working with the user_balance_ledger table.
+//
+// Double-entry model (see sql/migrations/006_double_entry_ledger.sql):
+// every user balance change is paired with an opposite entry on a named system
+// account (mint:*, escrow:*, sink:*, burn:*), sharing a txn_id so that each
+// transaction sums to zero.
 
+const crypto = require("crypto");
 const { withTransaction } = require("./db");
 
+// Counter account for each ledger reason. Coins credited to a user come out of
+// the mapped account; coins debited from a user go into it.
+const SYSTEM_ACCOUNT_BY_REASON = {
+  tap_reward: "mint:taps",
+  referral_reward: "mint:referrals",
+  early_access_starter_bonus: "mint:bonuses",
+  daily_bonus: "mint:bonuses",
+  mission_reward: "mint:missions",
+  generic_reward: "mint:rewards",
+  stripe_purchase: "mint:purchases",
+  coinbase_purchase: "mint:purchases",
+  telegram_stars_purchase: "mint:purchases",
+  withdraw_reserve: "escrow:withdrawals",
+  withdraw_rejected_refund: "escrow:withdrawals",
+  withdraw_onchain_refund: "escrow:withdrawals",
+  withdraw_cancel_refund: "escrow:withdrawals",
+  vip_purchase: "sink:vip",
+  energy_refill: "sink:boosts",
+  double_boost: "sink:boosts",
+  chargeback: "mint:purchases",
+};
+
+// Reasons that may take a balance below zero without passing allowOverdraft
+// explicitly (the user already spent coins that are being clawed back).
+const OVERDRAFT_ALLOWED_REASONS = new Set(["chargeback"]);
+
+class InsufficientBalanceError extends Error {
+  constructor(message, { userId = null, delta = null, balance = null } = {}) {
+    super(message);
+    this.name = "InsufficientBalanceError";
+    this.code = "INSUFFICIENT_BALANCE";
+    this.userId = userId;
+    this.delta = delta;
+    this.balance = balance;
+  }
+}
+
+const UNMAPPED_SYSTEM_ACCOUNT = "suspense:unmapped";
+
+function resolveSystemAccount(reason, counterAccount) {
+  if (counterAccount) return String(counterAccount);
+  const mapped = SYSTEM_ACCOUNT_BY_REASON[reason];
+  if (mapped) return mapped;
+  console.warn("ledger: no system account mapped for reason, using suspense", { reason });
+  return UNMAPPED_SYSTEM_ACCOUNT;
+}
+
+async function insertSystemEntryTx(
+  client,
+  { txnId, accountCode, delta, userId = null, userLedgerId = null, reason, refType = null, refId = null }
+) {
+  await client.query(
+    `
+      INSERT INTO public.ledger_system_entries (
+        txn_id,
+        account_code,
+        delta,
+        user_id,
+        user_ledger_id,
+        reason,
+        ref_type,
+        ref_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8);
+    `,
+    [txnId, accountCode, delta, userId, userLedgerId, reason, refType, refId]
+  );
+}
+
 /**
- * Core implementation that assumes a transaction is already open
- * on the provided `client`.
+ * Write both legs of a ledger transaction (user_balance_ledger row + opposite
+ * system account entry) WITHOUT touching users.balance. Used directly when the
+ * balance was already applied, e.g. flushing buffered tap rewards.
+ * Must be called WITHIN an existing transaction using the passed `client`.
  */
-async function applyBalanceChangeTx(
+async function recordLedgerEntryTx(
   client,
-  { userId, delta, reason, refType = null, refId = null, eventType = null }
+  { userId, delta, reason, refType = null, refId = null, eventType = null, counterAccount = null, meta = null }
 ) {
   if (!Number.isInteger(delta)) {
     throw new Error("applyBalanceChange: delta must be an integer (minor units)");
@@ -21,6 +98,9 @@ async function applyBalanceChangeTx(
     throw new Error("applyBalanceChange: reason is required");
   }
 
+  const txnId = crypto.randomUUID();
+  const accountCode = resolveSystemAccount(reason, counterAccount);
+
   const insertLedgerText = `
       INSERT INTO public.user_balance_ledger (
         user_id,
@@ -28,31 +108,97 @@ async function applyBalanceChangeTx(
         reason,
         ref_type,
         ref_id,
-        event_type
+        event_type,
+        txn_id,
+        counter_account,
+        meta
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING id;
     `;
-  const insertLedgerValues = [userId, delta, reason, refType, refId, eventType];
+  const insertLedgerValues = [
+    userId,
+    delta,
+    reason,
+    refType,
+    refId,
+    eventType,
+    txnId,
+    accountCode,
+    meta == null ? null : JSON.stringify(meta),
+  ];
   const ledgerRes = await client.query(insertLedgerText, insertLedgerValues);
   const ledgerId = ledgerRes.rows[0]?.id;
 
+  // Opposite leg on the system account so the transaction sums to zero.
+  await insertSystemEntryTx(client, {
+    txnId,
+    accountCode,
+    delta: -delta,
+    userId,
+    userLedgerId: ledgerId,
+    reason,
+    refType,
+    refId,
+  });
+
+  return { ledgerId, txnId };
+}
+
+/**
+ * Core implementation that assumes a transaction is already open
+ * on the provided `client`.
+ *
+ * `counterAccount` overrides the system account derived from `reason`.
+ *
+ * Debits never take the balance below zero: the check and the update are one
+ * atomic UPDATE, so concurrent spends cannot both pass. Throws
+ * InsufficientBalanceError (code 'INSUFFICIENT_BALANCE') instead. Pass
+ * `allowOverdraft: true` (or use a reason in OVERDRAFT_ALLOWED_REASONS) to skip
+ * the floor, e.g. for chargebacks.
+ */
+async function applyBalanceChangeTx(client, args) {
+  const { userId, delta, reason, allowOverdraft = false } = args;
+  if (!Number.isInteger(delta)) {
+    throw new Error("applyBalanceChange: delta must be an integer (minor units)");
+  }
+  if (!userId) {
+    throw new Error("applyBalanceChange: userId is required");
+  }
+
+  const overdraftOk = allowOverdraft === true || OVERDRAFT_ALLOWED_REASONS.has(reason);
+
   const updateUserText = `
       UPDATE public.users
       SET balance = balance + $1
       WHERE id = $2
+        AND ($3::boolean OR $1 >= 0 OR COALESCE(balance, 0) + $1 >= 0)
       RETURNING *;
     `;
-  const updateUserValues = [delta, userId];
+  const updateUserValues = [delta, userId, overdraftOk];
   const userRes = await client.query(updateUserText, updateUserValues);
 
   if (!userRes.rowCount) {
-    throw new Error("applyBalanceChange: user not found for id " + userId);
+    const existing = await client.query(
+      `SELECT balance FROM public.users WHERE id = $1`,
+      [userId]
+    );
+    if (!existing.rowCount) {
+      throw new Error("applyBalanceChange: user not found for id " + userId);
+    }
+    throw new InsufficientBalanceError("applyBalanceChange: insufficient balance", {
+      userId,
+      delta,
+      balance: Number(existing.rows[0].balance || 0),
+    });
   }
 
+  const { ledgerId, txnId } = await recordLedgerEntryTx(client, args);
+
   return {
     user: userRes.rows[0],
     ledgerId,
+    txnId,
   };
 }
 
@@ -64,7 +210,54 @@ async function applyBalanceChange(args) {
   return withTransaction((client) => applyBalanceChangeTx(client, args));
 }
 
+/**
+ * Move coins between two system accounts (no user balance involved), e.g.
+ * escrow:withdrawals -> burn:withdrawals once a payout has been sent.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function transferSystemBalanceTx(
+  client,
+  { fromAccount, toAccount, amount, reason, userId = null, refType = null, refId = null }
+) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error("transferSystemBalance: amount must be a positive integer (minor units)");
+  }
+  if (!fromAccount || !toAccount) {
+    throw new Error("transferSystemBalance: fromAccount and toAccount are required");
+  }
+  if (!reason) {
+    throw new Error("transferSystemBalance: reason is required");
+  }
+
+  const txnId = crypto.randomUUID();
+  await insertSystemEntryTx(client, {
+    txnId,
+    accountCode: fromAccount,
+    delta: -amount,
+    userId,
+    reason,
+    refType,
+    refId,
+  });
+  await insertSystemEntryTx(client, {
+    txnId,
+    accountCode: toAccount,
+    delta: amount,
+    userId,
+    reason,
+    refType,
+    refId,
+  });
+
+  return { txnId };
+}
+
 module.exports = {
+  SYSTEM_ACCOUNT_BY_REASON,
+  OVERDRAFT_ALLOWED_REASONS,
+  InsufficientBalanceError,
   applyBalanceChange,
   applyBalanceChangeTx,
+  recordLedgerEntryTx,
+  transferSystemBalanceTx,
 };
@@ -0,0 +1,836 @@
+// lib/payments.js
+//
+// Payment providers (card / crypto checkouts) and the single fulfillment
+// pipeline behind their webhooks.
+//
+// Provider interface:
+//   async createCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted, vipDays? })
+//     -> { url, ...provider ids }
+//     (vipDays: VIP duration for SKUs that do not spell it, e.g. vip_products rows)
+//   verifyWebhook(req) -> provider event (throws PaymentError with an HTTP status)
+//   normalizeEvent(event) -> payment | null (events that are not a completed payment)
+//   async refundPayment(payment) (optional) -> gives the money back; used by
+//     refundUnfulfilledPayment for payments that cannot be fulfilled
+//
+// A normalized payment is
+//   { provider, paymentId, eventId, telegramId, sku, amountMinor, currency,
+//     coinsGranted, vipDays }
+// where `sku` is what the checkout was created for (may be empty), and
+// `coinsGranted` / `vipDays` hints from the checkout metadata: coinsGranted is
+// used only when the product row has no coins_granted, vipDays is the VIP
+// duration the user was sold.
+//
+// fulfillPayment(payment) resolves the product (see resolvePaidProductTx),
+// records the payment in public.purchase_ledger and runs the fulfiller for the
+// SKU kind:
+//
+//   STREAK_RESTORE_*   streak_restore   (registered by index.js, needs the streak ladder)
+//   MOMENTUM_SHIELD_*  momentum_shield  MOMENTUM_SHIELD power-up
+//   vip_<n>d           vip              extends user_vip.vip_until by n days
+//   (vip_products sku) vip              /api/vip/create-checkout, duration_days
+//   anything else      coins            credits coins_granted through the ledger
+//
+// purchase_ledger (provider, provider_payment_id) is the idempotency key: a
+// payment is fulfilled at most once, however many webhook events mention it.
+// Events handled before this pipeline existed are only recorded by event id in
+// stripe_webhook_events / coinbase_webhook_events (legacyEventTable), which is
+// checked too.
+//
+// Providers (env):
+// - stripe:   STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, APP_BASE_URL
+// - coinbase: COINBASE_COMMERCE_API_KEY, COINBASE_COMMERCE_WEBHOOK_SECRET
+// - telegram_stars: no env; built with the bot's Telegram client
+//   (createTelegramStarsProvider). Priced by payment_products rows with
+//   provider = 'telegram_stars', currency = 'XTR', amount_minor = Stars.
+//   Payments arrive as bot updates (pre_checkout_query, successful_payment)
+//   instead of an HTTP webhook.
+
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+const Stripe = require("stripe");
+const { withTransaction } = require("./db");
+const { applyBalanceChangeTx } = require("./ledger");
+const powerups = require("./powerups");
+
+const STRIPE_SECRET_KEY = String(process.env.STRIPE_SECRET_KEY || "").trim();
+const STRIPE_WEBHOOK_SECRET = String(process.env.STRIPE_WEBHOOK_SECRET || "").trim();
+// Used for success/cancel redirects (e.g. your Cloudflare URL)
+const APP_BASE_URL = String(process.env.APP_BASE_URL || "").trim();
+const COINBASE_COMMERCE_API_KEY = String(process.env.COINBASE_COMMERCE_API_KEY || "").trim();
+const COINBASE_COMMERCE_WEBHOOK_SECRET = String(process.env.COINBASE_COMMERCE_WEBHOOK_SECRET || "").trim();
+const STARTER_PACK_SKU = (process.env.STARTER_PACK_SKU || "STARTER_1").toUpperCase();
+
+// Stripe client is optional in local/dev; required for card checkout/webhook.
+const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" }) : null;
+
+class PaymentError extends Error {
+  constructor(message, { status = 400 } = {}) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status; // HTTP status the webhook route answers with
+  }
+}
+
+function getStripeClient() {
+  return stripe;
+}
+
+// ------------ SKUs ------------
+
+function normalizeSku(sku) {
+  return String(sku || "").trim();
+}
+
+// vip_30d -> 30; null for non-VIP SKUs.
+function vipDaysForSku(sku) {
+  const m = /^vip_(\d+)d$/i.exec(normalizeSku(sku));
+  return m ? Math.max(1, Math.min(365, Number(m[1]))) : null;
+}
+
+function isVipSku(sku) {
+  return vipDaysForSku(sku) !== null;
+}
+
+// VIP duration from checkout metadata / vip_products, clamped like vipDaysForSku.
+function parseVipDays(value) {
+  const days = Math.floor(Number(value));
+  return Number.isFinite(days) && days > 0 ? Math.min(365, days) : null;
+}
+
+/**
+ * Fulfillment kind for a pack_sku: streak_restore | momentum_shield | vip | coins.
+ */
+function skuKind(sku) {
+  const s = normalizeSku(sku).toUpperCase();
+  if (s.startsWith("STREAK_RESTORE_")) return "streak_restore";
+  if (s.startsWith("MOMENTUM_SHIELD_")) return "momentum_shield";
+  if (isVipSku(s)) return "vip";
+  return "coins";
+}
+
+// Momentum Shield SKU mapping (insurance-style protection)
+// - 7D: 1 shield
+// - 30D: 5 shields (roughly weekly)
+const MOMENTUM_SHIELD_SKU_MAP = {
+  MOMENTUM_SHIELD_7D: { days: 7, quantity: 1 },
+  MOMENTUM_SHIELD_30D: { days: 30, quantity: 5 },
+};
+
+function getMomentumShieldGrantForSku(sku) {
+  const key = String(sku || "").toUpperCase();
+  if (MOMENTUM_SHIELD_SKU_MAP[key]) return { ...MOMENTUM_SHIELD_SKU_MAP[key], sku: key };
+  // Allow future SKUs like MOMENTUM_SHIELD_14D etc.
+  const m = key.match(/^MOMENTUM_SHIELD_(\d+)D$/);
+  if (!m) return null;
+  const days = Math.max(1, Math.min(365, Number(m[1])));
+  const quantity = Math.max(1, Math.ceil(days / 7));
+  return { sku: key, days, quantity };
+}
+
+function checkoutRedirectUrl(result, sku) {
+  return APP_BASE_URL ? `${APP_BASE_URL}?pay=${result}&sku=${encodeURIComponent(String(sku))}` : null;
+}
+
+// ------------ Stripe ------------
+
+const stripeProvider = {
+  name: "stripe",
+  ledgerReason: "stripe_purchase",
+  legacyEventTable: "stripe_webhook_events",
+
+  async createCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted, vipDays }) {
+    if (!stripe) throw new Error("STRIPE_NOT_CONFIGURED");
+    if (!APP_BASE_URL) throw new Error("APP_BASE_URL_MISSING");
+
+    const meta = {
+      telegram_id: String(telegramId),
+      sku: String(sku),
+    };
+    if (coinsGranted != null) meta.coins_granted = String(coinsGranted);
+    const days = parseVipDays(vipDays) || vipDaysForSku(sku);
+    if (days) meta.vip_days = String(days);
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      payment_method_types: ["card"],
+      line_items: [
+        {
+          price_data: {
+            currency: String(currency || "gbp").toLowerCase(),
+            product_data: { name: String(title || sku) },
+            unit_amount: Number(amountMinor),
+          },
+          quantity: 1,
+        },
+      ],
+      success_url: checkoutRedirectUrl("success", sku),
+      cancel_url: checkoutRedirectUrl("cancel", sku),
+      client_reference_id: String(telegramId),
+      metadata: meta,
+    });
+
+    return { url: session.url, session_id: session.id };
+  },
+
+  // Refund the checkout session's payment in full (idempotent per session).
+  async refundPayment(payment) {
+    if (!stripe) throw new Error("STRIPE_NOT_CONFIGURED");
+    const session = await stripe.checkout.sessions.retrieve(payment.paymentId);
+    if (!session.payment_intent) throw new Error("STRIPE_SESSION_WITHOUT_PAYMENT_INTENT");
+    await stripe.refunds.create(
+      {
+        payment_intent: typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent.id,
+        metadata: { telegram_id: String(payment.telegramId), sku: String(payment.sku || "") },
+      },
+      { idempotencyKey: `refund:${payment.paymentId}` }
+    );
+  },
+
+  verifyWebhook(req) {
+    if (!stripe) throw new PaymentError("Stripe not configured", { status: 500 });
+    if (!STRIPE_WEBHOOK_SECRET) throw new PaymentError("Webhook secret missing", { status: 500 });
+    try {
+      return stripe.webhooks.constructEvent(req.rawBody, req.headers["stripe-signature"], STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      console.error("Stripe webhook signature verification failed:", err.message);
+      throw new PaymentError(`Webhook Error: ${err.message}`);
+    }
+  },
+
+  normalizeEvent(event) {
+    if (!event || event.type !== "checkout.session.completed") return null;
+    const session = event.data.object;
+    const meta = session.metadata || {};
+    let sku = normalizeSku(meta.sku);
+    let coinsGranted = meta.coins_granted != null ? Number(meta.coins_granted) : null;
+
+    // Map known Payment Links (like the Starter Bundle) to a SKU and coin amount when metadata is not present.
+    const starterLinkId = process.env.STARTER_STRIPE_PAYMENT_LINK_ID || "plink_15m7OmJNksmNPDCyYQxFB3eH";
+    if (session.payment_link && session.payment_link === starterLinkId) {
+      if (!sku) sku = "starter_1";
+      if (!Number.isFinite(coinsGranted) || coinsGranted <= 0) coinsGranted = 25000;
+    }
+
+    return {
+      provider: "stripe",
+      paymentId: String(session.id),
+      eventId: String(event.id),
+      telegramId: String(session.client_reference_id || meta.telegram_id || "").trim() || null,
+      sku,
+      amountMinor: session.amount_total != null ? Number(session.amount_total) : null,
+      currency: session.currency ? String(session.currency).toUpperCase() : null,
+      coinsGranted,
+      // vip_days from createCheckout, duration_days from the legacy VIP checkout.
+      vipDays: parseVipDays(meta.vip_days != null ? meta.vip_days : meta.duration_days),
+    };
+  },
+};
+
+// ------------ Coinbase Commerce ------------
+
+function verifyCoinbaseSignature(rawBody, signature, sharedSecret) {
+  if (!sharedSecret || !signature || !rawBody) return false;
+  const expected = crypto.createHmac("sha256", sharedSecret).update(rawBody).digest("hex");
+  try {
+    return crypto.timingSafeEqual(Buffer.from(expected, "hex"), Buffer.from(String(signature), "hex"));
+  } catch (e) {
+    return false;
+  }
+}
+
+const coinbaseProvider = {
+  name: "coinbase",
+  ledgerReason: "coinbase_purchase",
+  legacyEventTable: "coinbase_webhook_events",
+
+  async createCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted, vipDays: days }) {
+    if (!COINBASE_COMMERCE_API_KEY) throw new Error("COINBASE_NOT_CONFIGURED");
+
+    const vipDays = parseVipDays(days) || vipDaysForSku(sku);
+    const payload = {
+      name: String(title || sku),
+      description: vipDays
+        ? `JigCoin VIP Pass (${vipDays} days)`
+        : (coinsGranted != null ? `${Number(coinsGranted).toLocaleString("en-GB")} JigCoin coins` : "JigCoin purchase"),
+      pricing_type: "fixed_price",
+      local_price: {
+        amount: (Number(amountMinor) / 100).toFixed(2),
+        currency: String(currency || "GBP").toUpperCase(),
+      },
+      metadata: {
+        telegram_id: String(telegramId),
+        sku: String(sku),
+        coins_granted: coinsGranted != null ? String(coinsGranted) : undefined,
+        vip_days: vipDays ? String(vipDays) : undefined,
+      },
+      redirect_url: checkoutRedirectUrl("success", sku),
+      cancel_url: checkoutRedirectUrl("cancel", sku),
+    };
+    // Remove undefined keys (Coinbase rejects them)
+    Object.keys(payload.metadata).forEach((k) => payload.metadata[k] == null && delete payload.metadata[k]);
+    if (!payload.redirect_url) delete payload.redirect_url;
+    if (!payload.cancel_url) delete payload.cancel_url;
+
+    const r = await fetch("https://api.commerce.coinbase.com/charges", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CC-Version": "2018-03-22",
+        "X-CC-Api-Key": COINBASE_COMMERCE_API_KEY,
+      },
+      body: JSON.stringify(payload),
+    });
+    const data = await r.json().catch(() => null);
+    if (!r.ok) {
+      const msg = (data && (data.error || data.message)) ? String(data.error || data.message) : `HTTP_${r.status}`;
+      throw new Error(`COINBASE_CREATE_CHARGE_FAILED:${msg}`);
+    }
+
+    const hostedUrl = data && data.data && data.data.hosted_url;
+    const chargeCode = data && data.data && data.data.code;
+    if (!hostedUrl) throw new Error("COINBASE_NO_HOSTED_URL");
+    return { url: hostedUrl, charge_code: chargeCode || null };
+  },
+
+  verifyWebhook(req) {
+    if (!COINBASE_COMMERCE_WEBHOOK_SECRET) throw new PaymentError("Webhook secret missing", { status: 500 });
+    const sig = req.headers["x-cc-webhook-signature"];
+    if (!verifyCoinbaseSignature(req.rawBody, sig, COINBASE_COMMERCE_WEBHOOK_SECRET)) {
+      throw new PaymentError("Bad signature");
+    }
+    // Coinbase Commerce can send events in two shapes depending on integration/version:
+    // A) { id, type, data, ... }
+    // B) { event: { id, type, data }, ... }
+    const body = req.body || {};
+    return body.event ? { id: body.id, ...body.event } : body;
+  },
+
+  normalizeEvent(event) {
+    // We fulfill only on final events.
+    if (!event || (event.type !== "charge:confirmed" && event.type !== "charge:resolved")) return null;
+    const charge = event.data || {};
+    const meta = charge.metadata || {};
+    const paymentId = charge.code || charge.id;
+
+    // If telegram_id is missing we cannot fulfill safely.
+    const telegramId = meta.telegram_id != null ? String(meta.telegram_id).trim() : "";
+    if (!/^\d+$/.test(telegramId) || Number(telegramId) <= 0) {
+      console.error("Coinbase webhook missing/invalid telegram_id in metadata", { paymentId, type: event.type });
+      throw new PaymentError("missing telegram_id");
+    }
+    if (!paymentId) throw new PaymentError("missing charge code");
+
+    // Amount/currency from charge pricing
+    const local = charge.pricing && charge.pricing.local ? charge.pricing.local : null;
+    return {
+      provider: "coinbase",
+      paymentId: String(paymentId),
+      eventId: event.id ? String(event.id) : null,
+      telegramId,
+      sku: normalizeSku(meta.sku),
+      amountMinor: local && local.amount != null ? Math.round(Number(local.amount) * 100) : null,
+      currency: local && local.currency ? String(local.currency).toUpperCase() : "GBP",
+      coinsGranted: meta.coins_granted != null ? Number(meta.coins_granted) : null,
+      vipDays: parseVipDays(meta.vip_days),
+    };
+  },
+};
+
+// ------------ Telegram Stars ------------
+
+const STARS_CURRENCY = "XTR";
+
+// Invoice payload (max 128 bytes): who the invoice was made for and the SKU.
+function encodeStarsPayload({ telegramId, sku }) {
+  return JSON.stringify({ tg: String(telegramId), sku: String(sku) });
+}
+
+function decodeStarsPayload(payload) {
+  try {
+    const p = JSON.parse(String(payload || ""));
+    return p && p.tg && p.sku ? { telegramId: String(p.tg), sku: normalizeSku(p.sku) } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Telegram Stars provider. `telegram` is a Telegraf Telegram client (bot.telegram).
+ * Besides the provider interface it has validatePreCheckout(db, query) for
+ * the bot's pre_checkout_query handler and refundPayment(payment) for
+ * payments that could not be fulfilled.
+ */
+function createTelegramStarsProvider({ telegram }) {
+  return {
+    name: "telegram_stars",
+    ledgerReason: "telegram_stars_purchase",
+    // createCheckout needs this provider's own payment_products row.
+    currency: STARS_CURRENCY,
+
+    async createCheckout({ telegramId, sku, title, amountMinor, currency, coinsGranted }) {
+      if (String(currency || "").toUpperCase() !== STARS_CURRENCY) throw new Error("STARS_PRICE_MISSING");
+
+      const vipDays = vipDaysForSku(sku);
+      const label = String(title || sku).slice(0, 32);
+      const url = await telegram.createInvoiceLink({
+        title: label,
+        description: (vipDays
+          ? `JigCoin VIP Pass (${vipDays} days)`
+          : (coinsGranted != null ? `${Number(coinsGranted).toLocaleString("en-GB")} JigCoin coins` : "JigCoin purchase")
+        ).slice(0, 255),
+        payload: encodeStarsPayload({ telegramId, sku }),
+        provider_token: "",
+        currency: STARS_CURRENCY,
+        prices: [{ label, amount: Number(amountMinor) }],
+      });
+      // Open with Telegram.WebApp.openInvoice(invoice_link) in the mini app.
+      return { url, invoice_link: url };
+    },
+
+    // `update` is the Telegram update; it reached us through the bot, so
+    // there is no signature to check, only the payment to pick out.
+    verifyWebhook(update) {
+      const msg = update && update.message;
+      const sp = msg && msg.successful_payment;
+      if (!sp) throw new PaymentError("not a successful_payment update");
+      if (sp.currency !== STARS_CURRENCY) throw new PaymentError(`unexpected currency ${sp.currency}`);
+      return { ...sp, from: msg.from };
+    },
+
+    normalizeEvent(event) {
+      const payload = decodeStarsPayload(event.invoice_payload);
+      return {
+        provider: "telegram_stars",
+        // Telegram's charge id is the payment id, so purchase_ledger keeps
+        // each Stars payment fulfilled once.
+        paymentId: String(event.telegram_payment_charge_id),
+        eventId: null,
+        telegramId: event.from && event.from.id ? String(event.from.id) : null,
+        sku: payload ? payload.sku : "",
+        amountMinor: Number(event.total_amount),
+        currency: STARS_CURRENCY,
+        coinsGranted: null,
+        vipDays: null,
+      };
+    },
+
+    /**
+     * Check a pre_checkout_query against payment_products before Telegram
+     * charges the user. Returns { ok: true, sku, product } or { ok: false, error }
+     * with BAD_PAYLOAD | BAD_CURRENCY | PAYER_MISMATCH | PRODUCT_NOT_FOUND | PRICE_MISMATCH.
+     */
+    async validatePreCheckout(db, query) {
+      const payload = decodeStarsPayload(query.invoice_payload);
+      if (!payload) return { ok: false, error: "BAD_PAYLOAD" };
+      if (query.currency !== STARS_CURRENCY) return { ok: false, error: "BAD_CURRENCY" };
+      // Invoice links can be forwarded; only the user it was made for may pay.
+      if (payload.telegramId !== String(query.from && query.from.id)) return { ok: false, error: "PAYER_MISMATCH" };
+
+      const rows = await getActivePaymentProductsBySku(db, payload.sku);
+      const product = rows.find((r) => r.provider === "telegram_stars");
+      if (!product || String(product.currency || "").toUpperCase() !== STARS_CURRENCY) {
+        return { ok: false, error: "PRODUCT_NOT_FOUND" };
+      }
+      if (Number(product.amount_minor) !== Number(query.total_amount)) {
+        return { ok: false, error: "PRICE_MISMATCH" };
+      }
+      return { ok: true, sku: payload.sku, product };
+    },
+
+    // Give the Stars back (see refundUnfulfilledPayment). Telegram never
+    // redelivers successful_payment, so this is the way out for a payment
+    // fulfillPayment could not deliver.
+    async refundPayment(payment) {
+      await telegram.callApi("refundStarPayment", {
+        user_id: Number(payment.telegramId),
+        telegram_payment_charge_id: payment.paymentId,
+      });
+    },
+  };
+}
+
+const PAYMENT_PROVIDERS = {
+  stripe: stripeProvider,
+  coinbase: coinbaseProvider,
+};
+
+/**
+ * Add a provider (same interface as above) under `name`.
+ */
+function registerPaymentProvider(name, provider) {
+  PAYMENT_PROVIDERS[name] = { name, ...provider };
+}
+
+function getPaymentProvider(name) {
+  return PAYMENT_PROVIDERS[String(name || "").toLowerCase()] || null;
+}
+
+// ------------ Products ------------
+
+/**
+ * Active payment_products rows for a SKU (one per provider).
+ */
+async function getActivePaymentProductsBySku(db, sku) {
+  const { rows } = await db.query(
+    `
+    SELECT provider, pack_sku, title, description, coins_granted, currency, amount_minor, active
+    FROM public.payment_products
+    WHERE active = TRUE AND pack_sku = $1
+    ORDER BY provider ASC;
+    `,
+    [normalizeSku(sku)]
+  );
+  return rows || [];
+}
+
+// The product a payment was for:
+// - with a SKU: its payment_products row (this provider's first), else its
+//   legacy vip_products row (vip_days = duration_days). Inactive rows still
+//   count: the product may have been retired after checkout.
+// - without one (hosted checkouts without our metadata): this provider's
+//   payment_products row with the paid price.
+// A SKU never falls back to the price, which could pick another product.
+async function resolvePaidProductTx(client, payment) {
+  if (payment.sku) {
+    const { rows } = await client.query(
+      `
+      SELECT provider, pack_sku, title, coins_granted, currency, amount_minor
+      FROM public.payment_products
+      WHERE lower(pack_sku) = lower($1)
+      ORDER BY (provider = $2) DESC, active DESC
+      LIMIT 1;
+      `,
+      [payment.sku, payment.provider]
+    );
+    if (rows.length) return rows[0];
+
+    // Older deployments have no vip_products table.
+    const { rows: reg } = await client.query(`SELECT to_regclass('public.vip_products') AS t;`);
+    if (!reg[0] || !reg[0].t) return null;
+    const { rows: vipRows } = await client.query(
+      `
+      SELECT sku, title, duration_days, price_gbp
+      FROM public.vip_products
+      WHERE lower(sku) = lower($1)
+      ORDER BY active DESC, id DESC
+      LIMIT 1;
+      `,
+      [payment.sku]
+    );
+    if (!vipRows.length) return null;
+    const v = vipRows[0];
+    return {
+      provider: payment.provider,
+      pack_sku: v.sku,
+      title: v.title,
+      coins_granted: null,
+      currency: "GBP",
+      amount_minor: v.price_gbp == null ? null : Math.round(Number(v.price_gbp) * 100),
+      vip_days: parseVipDays(v.duration_days) || 30,
+    };
+  }
+  if (payment.amountMinor != null && payment.currency) {
+    const { rows } = await client.query(
+      `
+      SELECT provider, pack_sku, title, coins_granted, currency, amount_minor
+      FROM public.payment_products
+      WHERE provider = $1
+        AND upper(currency) = $2
+        AND amount_minor = $3
+      ORDER BY active DESC
+      LIMIT 1;
+      `,
+      [payment.provider, payment.currency, payment.amountMinor]
+    );
+    if (rows.length) return rows[0];
+  }
+  return null;
+}
+
+// ------------ Fulfillment ------------
+
+/**
+ * Grant the Momentum Shield power-up for a MOMENTUM_SHIELD_* SKU.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function grantMomentumShieldTx(client, { user, sku, provider, providerPaymentId }) {
+  const grant = getMomentumShieldGrantForSku(sku);
+  if (!grant) return { ok: false, error: "BAD_SKU" };
+
+  const expiresAt = new Date(Date.now() + grant.days * 24 * 60 * 60 * 1000);
+  const row = await powerups.addPowerup(client, {
+    userId: user.id,
+    powerupCode: "MOMENTUM_SHIELD",
+    packSku: grant.sku,
+    provider: String(provider || ""),
+    providerPaymentId: providerPaymentId ? String(providerPaymentId) : null,
+    status: "active",
+    quantity: grant.quantity,
+    expiresAt,
+    metadata: { days: grant.days, kind: "momentum" },
+  });
+
+  // Audit
+  try {
+    await client.query(
+      `INSERT INTO public.streak_events (user_id, telegram_id, event, meta)
+       VALUES ($1, ($2)::bigint, 'momentum_shield_granted', $3::jsonb);`,
+      [user.id, String(user.telegram_id), JSON.stringify({ sku: grant.sku, qty: grant.quantity, days: grant.days, provider: String(provider || ""), provider_payment_id: providerPaymentId || null })]
+    );
+  } catch (e) {}
+
+  return { ok: true, granted: !!row, sku: grant.sku, quantity: grant.quantity, days: grant.days };
+}
+
+const SKU_FULFILLERS = {
+  momentum_shield: (client, { user, sku, payment }) =>
+    grantMomentumShieldTx(client, {
+      user,
+      sku: sku.toUpperCase(),
+      provider: payment.provider,
+      providerPaymentId: payment.paymentId,
+    }),
+
+  async vip(client, { user, sku, product, payment }) {
+    // What the checkout sold, then the product's duration, then the SKU name.
+    const days = payment.vipDays || product.vip_days || vipDaysForSku(sku);
+    if (!days) return { ok: false, error: "NO_VIP_DAYS" };
+    await client.query(
+      `
+      INSERT INTO public.user_vip (telegram_id, vip_until, updated_at)
+      VALUES (($1)::bigint, NOW() + make_interval(days => $2), NOW())
+      ON CONFLICT (telegram_id)
+      DO UPDATE SET
+        vip_until = (GREATEST(COALESCE(public.user_vip.vip_until, NOW()), NOW()) + make_interval(days => $2)),
+        updated_at = NOW();
+      `,
+      [String(user.telegram_id), days]
+    );
+    return { ok: true, vip_days: days };
+  },
+
+  async coins(client, { user, sku, product, payment, purchaseId }) {
+    const coins = Math.floor(Number(product.coins_granted || payment.coinsGranted || 0));
+    if (!Number.isFinite(coins) || coins <= 0) return { ok: false, error: "NO_COINS_FOR_SKU" };
+
+    await applyBalanceChangeTx(client, {
+      userId: user.id,
+      delta: coins,
+      reason: getPaymentProvider(payment.provider).ledgerReason || `${payment.provider}_purchase`,
+      refType: "purchase",
+      refId: purchaseId,
+      eventType: "purchase_credit",
+    });
+
+    if (sku.toUpperCase() === STARTER_PACK_SKU) {
+      await client.query("UPDATE public.users SET starter_offer_purchased = TRUE WHERE id = $1;", [user.id]);
+    }
+    return { ok: true, coins_granted: coins };
+  },
+};
+
+/**
+ * Set the fulfiller for a SKU kind: async (client, { user, sku, product,
+ * payment, purchaseId }) -> { ok, ... }, run inside the fulfillment transaction.
+ */
+function registerSkuFulfiller(kind, fn) {
+  SKU_FULFILLERS[kind] = fn;
+}
+
+/**
+ * Fulfill a normalized payment exactly once.
+ *
+ * Returns { ok, duplicate, kind, sku, result } or { ok: false, error } with
+ * PRODUCT_NOT_FOUND | USER_NOT_FOUND | NO_FULFILLER | REFUNDING | REFUNDED (or the fulfiller's own
+ * error). A failed fulfillment is recorded on purchase_ledger.fulfillment with
+ * fulfilled_at left NULL, so calling again for the same payment retries it;
+ * webhook callers answer non-2xx to get the event redelivered when a retry can
+ * help, and refund the rest (refundUnfulfilledPayment). Thrown errors roll
+ * everything back.
+ */
+async function fulfillPayment(payment) {
+  return await withTransaction(async (client) => {
+    const product = await resolvePaidProductTx(client, payment);
+    const sku = product ? normalizeSku(product.pack_sku) : payment.sku;
+
+    // Upsert locks the purchase row, so concurrent events for one payment queue here.
+    const { rows: plRows } = await client.query(
+      `
+      INSERT INTO public.purchase_ledger (
+        provider, provider_payment_id, telegram_id, amount_minor, currency, pack_sku, status, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, 'completed', NOW(), NOW())
+      ON CONFLICT (provider, provider_payment_id) DO UPDATE
+        SET status = CASE
+                       WHEN public.purchase_ledger.status IN ('refunding', 'refunded') THEN public.purchase_ledger.status
+                       ELSE EXCLUDED.status
+                     END,
+            amount_minor = COALESCE(EXCLUDED.amount_minor, public.purchase_ledger.amount_minor),
+            currency = COALESCE(EXCLUDED.currency, public.purchase_ledger.currency),
+            telegram_id = EXCLUDED.telegram_id,
+            updated_at = NOW()
+      RETURNING id, status, fulfilled_at, coins_granted;
+      `,
+      [
+        payment.provider,
+        payment.paymentId,
+        String(payment.telegramId),
+        payment.amountMinor ?? (product ? product.amount_minor : null),
+        payment.currency || (product ? product.currency : null),
+        sku || null,
+      ]
+    );
+    const purchase = plRows[0];
+    // Rows credited before fulfilled_at existed only carry coins_granted.
+    if (purchase.fulfilled_at || Number(purchase.coins_granted || 0) > 0) {
+      return { ok: true, duplicate: true, sku };
+    }
+    if (purchase.status === "refunding" || purchase.status === "refunded") {
+      return { ok: false, error: purchase.status.toUpperCase(), sku };
+    }
+
+    const finish = async (result, { fulfilled = result.ok, coins = 0 } = {}) => {
+      await client.query(
+        `
+        UPDATE public.purchase_ledger
+        SET pack_sku = COALESCE($2, pack_sku),
+            coins_granted = $3,
+            fulfillment = $4::jsonb,
+            fulfilled_at = CASE WHEN $5 THEN NOW() ELSE NULL END,
+            updated_at = NOW()
+        WHERE id = $1;
+        `,
+        [purchase.id, sku || null, coins, JSON.stringify(result), fulfilled]
+      );
+      return result;
+    };
+
+    // Fulfilled by the webhook handlers that predate purchase_ledger fulfillment
+    // (VIP and shield purchases have no purchase_ledger row from them).
+    const legacyTable = (getPaymentProvider(payment.provider) || {}).legacyEventTable;
+    if (legacyTable && payment.eventId) {
+      const { rows: seen } = await client.query(
+        `SELECT 1 FROM public.${legacyTable} WHERE event_id = $1 LIMIT 1;`,
+        [payment.eventId]
+      );
+      if (seen.length) {
+        return await finish({ ok: true, duplicate: true, legacy_event_id: payment.eventId, sku });
+      }
+    }
+
+    if (!product) return await finish({ ok: false, error: "PRODUCT_NOT_FOUND", sku });
+
+    const { rows: userRows } = await client.query(
+      "SELECT * FROM public.users WHERE telegram_id = ($1)::bigint LIMIT 1;",
+      [String(payment.telegramId)]
+    );
+    if (!userRows.length) return await finish({ ok: false, error: "USER_NOT_FOUND", sku });
+
+    // Legacy vip_products SKUs need not look like vip_<n>d.
+    const kind = product.vip_days ? "vip" : skuKind(sku);
+    const fulfiller = SKU_FULFILLERS[kind];
+    if (!fulfiller) return await finish({ ok: false, error: "NO_FULFILLER", kind, sku });
+
+    const result = await fulfiller(client, { user: userRows[0], sku, product, payment, purchaseId: purchase.id });
+    const out = { ok: !!(result && result.ok), duplicate: false, kind, sku, result };
+    return await finish(out, { coins: kind === "coins" && out.ok ? result.coins_granted : 0 });
+  });
+}
+
+/**
+ * Refund a payment fulfillPayment could not deliver, through the provider's
+ * refundPayment(payment). The provider call runs between two short
+ * transactions so no purchase_ledger lock is held across it:
+ * 1. the row is checked (never refund a fulfilled payment) and marked
+ *    'refunding', which fulfillPayment refuses;
+ * 2. after the call it becomes 'refunded', or goes back to 'completed' with
+ *    the error kept in fulfillment.refund_error when the provider refused.
+ * A row left 'refunding' (process died during the call) needs a look by hand.
+ *
+ * Returns { ok: true, duplicate } or { ok: false, error } with
+ * NOT_REFUNDABLE (provider cannot refund) | ALREADY_FULFILLED | REFUND_IN_PROGRESS.
+ * Throws when the provider call fails.
+ */
+async function refundUnfulfilledPayment(payment, reason) {
+  const provider = getPaymentProvider(payment.provider);
+  if (!provider || typeof provider.refundPayment !== "function") {
+    return { ok: false, error: "NOT_REFUNDABLE" };
+  }
+
+  const claim = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `
+      INSERT INTO public.purchase_ledger (
+        provider, provider_payment_id, telegram_id, amount_minor, currency, pack_sku, status, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, 'completed', NOW(), NOW())
+      ON CONFLICT (provider, provider_payment_id) DO UPDATE SET updated_at = NOW()
+      RETURNING id, status, fulfilled_at, coins_granted;
+      `,
+      [
+        payment.provider,
+        payment.paymentId,
+        String(payment.telegramId),
+        payment.amountMinor,
+        payment.currency || null,
+        payment.sku || null,
+      ]
+    );
+    const purchase = rows[0];
+    if (purchase.status === "refunded") return { ok: true, duplicate: true };
+    if (purchase.status === "refunding") return { ok: false, error: "REFUND_IN_PROGRESS" };
+    if (purchase.fulfilled_at || Number(purchase.coins_granted || 0) > 0) {
+      return { ok: false, error: "ALREADY_FULFILLED" };
+    }
+
+    await client.query(
+      `UPDATE public.purchase_ledger SET status = 'refunding', updated_at = NOW() WHERE id = $1;`,
+      [purchase.id]
+    );
+    return { ok: true, purchaseId: purchase.id };
+  });
+  if (!claim.ok || claim.duplicate) return claim;
+
+  const finish = (status, info) =>
+    withTransaction((client) =>
+      client.query(
+        `
+        UPDATE public.purchase_ledger
+        SET status = $2,
+            fulfillment = COALESCE(fulfillment, '{}'::jsonb) || $3::jsonb,
+            updated_at = NOW()
+        WHERE id = $1 AND status = 'refunding';
+        `,
+        [claim.purchaseId, status, JSON.stringify(info)]
+      )
+    );
+
+  try {
+    await provider.refundPayment(payment);
+  } catch (err) {
+    await finish("completed", { refund_error: String(err.message || err).slice(0, 500), refund_reason: reason || null })
+      .catch((dbErr) => console.error("refundUnfulfilledPayment: could not record the refund error", dbErr));
+    throw err;
+  }
+  await finish("refunded", { refunded_at: new Date().toISOString(), refund_reason: reason || null });
+  return { ok: true, duplicate: false };
+}
+
+module.exports = {
+  PaymentError,
+  getStripeClient,
+  normalizeSku,
+  vipDaysForSku,
+  isVipSku,
+  skuKind,
+  getMomentumShieldGrantForSku,
+  createTelegramStarsProvider,
+  registerPaymentProvider,
+  getPaymentProvider,
+  getActivePaymentProductsBySku,
+  resolvePaidProductTx,
+  grantMomentumShieldTx,
+  registerSkuFulfiller,
+  fulfillPayment,
+  refundUnfulfilledPayment,
+};
@@ -6,53 +6,608 @@
 // any other payout rail without touching business logic in job handlers.
 //
 // Interface:
-//   async sendPayout(withdrawRow) -> { provider, txId }
+//   async preparePayout(withdrawRow, { minSeqno }) -> { provider, txId, meta }
+//   async broadcastPayout(withdrawRow) -> sends what preparePayout signed
+//   async reconcilePayout(withdrawRow) -> { state: 'sent' | 'unsent' | 'unknown', detail }
+//   async checkPayout(withdrawRow) -> { state: 'pending' | 'confirmed' | 'failed', detail }
+//   async prepareBatchPayout(withdrawRows, { minSeqno }) / broadcastBatchPayout(batchRow)
+//     -> the same two steps for one multi-recipient transfer (see below,
+//        WITHDRAW_PAYOUT_MODE=batch)
+//
+// A payout is signed first and broadcast second, so the caller can commit the
+// signed transfer ('sending') before it can reach the chain. A retry then asks
+// reconcilePayout where that exact transfer stands instead of signing another
+// one (see withdraw_payout in lib/jobHandlers.js).
+//
+// A hot wallet applies one transfer per seqno, so two transfers signed with
+// the same seqno cannot both land. Callers sign under the wallet's lock
+// (getSigningWallet, lockPayoutWalletTx in lib/jobHandlers.js) and only while
+// no other transfer from it is in flight, passing `minSeqno` (one past the
+// last seqno known to be used) so a lagging RPC node cannot hand out a used one.
 //
 // - `withdrawRow` is the row from public.withdraw_requests.
 // - `provider` is a short identifier (e.g. 'ton', 'tron', 'manual').
-// - `txId` is the provider's transaction id / hash, or null if not available.
+// - `txId` is the provider's on-chain transaction id / hash, or null while it is
+//   not known yet. TON only learns it once the transfer is applied: preparePayout
+//   keeps the external message hash in meta.msg_hash and checkPayout reports
+//   the transaction hash as detail.tx_hash.
+// - `meta` is stored in withdraw_requests.payout_meta and handed back to
+//   broadcastPayout / reconcilePayout / checkPayout; withdraw_confirm polls
+//   checkPayout until the transfer is confirmed or definitely failed (never
+//   applied / reverted on chain). TON keeps the signed BOC in meta.boc.
+//
+// Providers (WITHDRAW_PROVIDER):
+// - manual (default): does NOT talk to any chain, returns `manual-<id>`; the
+//   payout is broadcast by hand.
+// - ton: signs a wallet v4r2 transfer from the hot wallet and submits it via a
+//   toncenter-compatible JSON-RPC/HTTP API. Env:
+//     TON_RPC_ENDPOINT    default https://toncenter.com/api/v2
+//     TON_API_KEY         optional, sent as X-API-Key
+//     TON_WALLET_ADDRESS  hot wallet (must be deployed, v4r2)
+//     TON_WALLET_SEED     64 hex chars, Ed25519 private key seed
+//     TON_WALLET_ID       optional subwallet id (default 698983191 + workchain)
+//     TON_NANO_PER_COIN   nanotons paid per coin of withdraw_requests.net_amount,
+//                         for requests without a locked token_amount quote
+//
+// Errors with `.permanent = true` (bad wallet, missing config) are not retried
+// by the worker.
 //
-// IMPORTANT:
-// - This default implementation does NOT talk to any real blockchain.
-// - It simply returns a dummy txId. Replace the relevant branch with your
-//   real provider integration (HTTP RPC, SDK, etc.) and keep the same return
-//   shape so the rest of the system stays unchanged.
+// All RPC traffic goes through an HTTP client with the shape
+//   async ({ url, method, headers, body }) -> { status, json }
+// which can be swapped (setPayoutHttpClient / createTonProvider) to run against
+// a local mock RPC server.
+
+const fetch = require("node-fetch");
+const { parseTonAddress, buildWalletV4Transfer, WALLET_V4_DEFAULT_ID } = require("./ton");
+const { parseDecimalUnits } = require("./withdrawFees");
 
 const PROVIDER = (process.env.WITHDRAW_PROVIDER || "manual").toLowerCase();
 
-async function sendPayout(withdraw) {
+// valid_until window of a signed TON transfer. After it passes the transfer can
+// no longer be applied.
+const TON_MESSAGE_TTL_SEC = Number(process.env.TON_MESSAGE_TTL_SEC || 300);
+
+// checkPayout pages back through the wallet's transactions this many at a time,
+// at most TON_TX_MAX_PAGES pages, to rule out that an expired message landed.
+const TON_TX_PAGE_SIZE = 50;
+const TON_TX_MAX_PAGES = Number(process.env.TON_TX_MAX_PAGES || 20);
+
+// 1 TON = 10^9 nanotons.
+const TON_DECIMALS = 9;
+
+// Wallet v4 carries at most 4 outgoing messages per external message.
+const TON_MAX_MESSAGES = 4;
+
+// 'single': one withdraw_payout job + transfer per approved withdrawal.
+// 'batch':  approved withdrawals are grouped by the withdraw_batch_payout job
+//           (scheduled, or once WITHDRAW_BATCH_THRESHOLD are waiting).
+const WITHDRAW_PAYOUT_MODE = (process.env.WITHDRAW_PAYOUT_MODE || "single").toLowerCase();
+const WITHDRAW_BATCH_THRESHOLD = Number(process.env.WITHDRAW_BATCH_THRESHOLD || 4);
+
+class PayoutError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = "PayoutError";
+    this.permanent = permanent;
+  }
+}
+
+async function defaultHttpClient({ url, method = "GET", headers = {}, body }) {
+  const r = await fetch(url, {
+    method,
+    headers: { "content-type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const json = await r.json().catch(() => null);
+  return { status: r.status, json };
+}
+
+let httpClient = defaultHttpClient;
+
+function setPayoutHttpClient(client) {
+  httpClient = client || defaultHttpClient;
+}
+
+/**
+ * Thin toncenter v2 client. Only the two calls a wallet transfer needs.
+ */
+function createTonRpc({ endpoint, apiKey, http }) {
+  const base = String(endpoint || "https://toncenter.com/api/v2").replace(/\/+$/, "");
+  const headers = apiKey ? { "X-API-Key": apiKey } : {};
+
+  async function call(path, body) {
+    const { status, json } = await (http || httpClient)({
+      url: `${base}/${path}`,
+      method: "POST",
+      headers,
+      body,
+    });
+    if (status >= 500 || status === 429) {
+      throw new PayoutError(`ton rpc ${path}: HTTP ${status}`);
+    }
+    if (!json || json.ok !== true) {
+      throw new PayoutError(`ton rpc ${path}: ${(json && (json.error || json.description)) || `HTTP ${status}`}`);
+    }
+    return json.result;
+  }
+
+  async function get(path, params) {
+    const qs = new URLSearchParams(params).toString();
+    const { status, json } = await (http || httpClient)({
+      url: `${base}/${path}?${qs}`,
+      method: "GET",
+      headers,
+    });
+    if (!json || json.ok !== true) {
+      throw new PayoutError(`ton rpc ${path}: ${(json && (json.error || json.description)) || `HTTP ${status}`}`);
+    }
+    return json.result;
+  }
+
+  return {
+    // Newest first. With `from` ({ lt, hash } of a transaction) the page
+    // starts at that transaction, inclusive.
+    async getTransactions(address, limit = 50, from = null) {
+      const params = { address, limit: String(limit), archival: "true" };
+      if (from) {
+        params.lt = String(from.lt);
+        params.hash = String(from.hash);
+      }
+      return (await get("getTransactions", params)) || [];
+    },
+
+    async getSeqno(address) {
+      const result = await call("runGetMethod", { address, method: "seqno", stack: [] });
+      if (!result || Number(result.exit_code) !== 0) {
+        // Exit code != 0 usually means the wallet is not deployed yet.
+        throw new PayoutError(`ton rpc seqno: exit_code ${result && result.exit_code}`);
+      }
+      const top = (result.stack || [])[0];
+      const raw = Array.isArray(top) ? top[1] : null;
+      if (raw == null) throw new PayoutError("ton rpc seqno: empty stack");
+      return Number(BigInt(raw));
+    },
+
+    async sendBoc(boc) {
+      return call("sendBocReturnHash", { boc: boc.toString("base64") });
+    },
+  };
+}
+
+/**
+ * Build a TON payout provider. All fields default to the TON_* env vars.
+ * Returns { preparePayout, prepareBatchPayout, broadcast(meta), sendPayout and
+ * sendBatchPayout (prepare + broadcast in one go), reconcilePayout, checkPayout,
+ * walletAddress() (raw hot wallet address), maxBatchSize }.
+ */
+function createTonProvider(options = {}) {
+  const cfg = {
+    endpoint: options.endpoint || process.env.TON_RPC_ENDPOINT,
+    apiKey: options.apiKey || process.env.TON_API_KEY,
+    walletAddress: options.walletAddress || process.env.TON_WALLET_ADDRESS,
+    walletSeed: options.walletSeed || process.env.TON_WALLET_SEED,
+    walletId: options.walletId != null ? options.walletId : process.env.TON_WALLET_ID,
+    nanoPerCoin: options.nanoPerCoin != null ? options.nanoPerCoin : process.env.TON_NANO_PER_COIN,
+  };
+  const rpc = createTonRpc({ endpoint: cfg.endpoint, apiKey: cfg.apiKey, http: options.httpClient });
+
+  function loadWallet() {
+    if (!cfg.walletAddress || !/^[0-9a-fA-F]{64}$/.test(String(cfg.walletSeed || ""))) {
+      throw new PayoutError("ton: TON_WALLET_ADDRESS / TON_WALLET_SEED not configured", { permanent: true });
+    }
+    try {
+      return parseTonAddress(cfg.walletAddress);
+    } catch (err) {
+      throw new PayoutError(`ton: bad TON_WALLET_ADDRESS (${err.message})`, { permanent: true });
+    }
+  }
+
+  // Validate one withdrawal and turn it into a wallet message.
+  function prepareMessage(withdraw) {
+    if (withdraw.rail && withdraw.rail !== "ton") {
+      throw new PayoutError(`ton: cannot pay out on rail "${withdraw.rail}"`, { permanent: true });
+    }
+    let to;
+    try {
+      to = parseTonAddress(withdraw.wallet);
+    } catch (err) {
+      throw new PayoutError(`ton: bad destination wallet (${err.message})`, { permanent: true });
+    }
+
+    let amountNano;
+    if (withdraw.token_amount != null) {
+      // Quote locked on the request (lib/withdrawFees.js), in its own precision.
+      const quoted = withdraw.quote && withdraw.quote.token_decimals;
+      const decimals = quoted != null ? Number(quoted) : TON_DECIMALS;
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > TON_DECIMALS) {
+        throw new PayoutError(`ton: quote has ${quoted} decimals, TON has ${TON_DECIMALS}`, { permanent: true });
+      }
+      amountNano = parseDecimalUnits(withdraw.token_amount, decimals) * 10n ** BigInt(TON_DECIMALS - decimals);
+    } else {
+      if (!cfg.nanoPerCoin || !/^\d+$/.test(String(cfg.nanoPerCoin))) {
+        throw new PayoutError("ton: TON_NANO_PER_COIN not configured", { permanent: true });
+      }
+      const coins = withdraw.net_amount != null ? withdraw.net_amount : withdraw.amount;
+      amountNano = BigInt(Math.floor(Number(coins || 0))) * BigInt(cfg.nanoPerCoin);
+    }
+    if (amountNano <= 0n) {
+      throw new PayoutError("ton: payout amount must be positive", { permanent: true });
+    }
+
+    return {
+      withdrawId: withdraw.id,
+      to,
+      amountNano,
+      comment: `withdraw:${withdraw.id}`,
+      // Non-bounceable (UQ.../raw) destinations may be undeployed wallets.
+      bounce: to.bounceable,
+    };
+  }
+
+  // Sign (without sending) up to TON_MAX_MESSAGES messages in one external
+  // message. The wallet seqno makes it apply at most once, however often the
+  // same BOC is broadcast. An RPC answer below minSeqno is stale: that seqno
+  // is known to be used already.
+  async function sign(wallet, messages, { minSeqno = null } = {}) {
+    const rpcSeqno = await rpc.getSeqno(wallet.raw);
+    const seqno = minSeqno != null && Number(minSeqno) > rpcSeqno ? Number(minSeqno) : rpcSeqno;
+    if (seqno !== rpcSeqno) {
+      console.warn("payoutProvider: ton rpc seqno behind the last used one", { rpc_seqno: rpcSeqno, seqno });
+    }
+    const signedAt = Math.floor(Date.now() / 1000);
+    const validUntil = signedAt + TON_MESSAGE_TTL_SEC;
+    const { boc, hash } = buildWalletV4Transfer({
+      wallet,
+      secretSeed: Buffer.from(cfg.walletSeed, "hex"),
+      seqno,
+      validUntil,
+      walletId: cfg.walletId != null && cfg.walletId !== "" ? Number(cfg.walletId) : WALLET_V4_DEFAULT_ID + wallet.workchain,
+      messages,
+    });
+
+    console.log("payoutProvider: ton transfer signed", {
+      withdraw_ids: messages.map((m) => m.withdrawId),
+      amount_nano: messages.map((m) => m.amountNano.toString()),
+      seqno,
+      valid_until: validUntil,
+      msg_hash: hash,
+    });
+
+    const metaFor = (m) => ({
+      wallet: wallet.raw,
+      msg_hash: hash,
+      to: m.to.raw,
+      comment: m.comment,
+      seqno,
+      signed_at: signedAt,
+      valid_until: validUntil,
+      amount_nano: m.amountNano.toString(),
+    });
+    return { boc, hash, metaFor };
+  }
+
+  // (Re)send a signed transfer kept in meta.boc.
+  async function broadcast(meta) {
+    if (!meta || !meta.boc) {
+      throw new PayoutError("ton: no signed transfer to broadcast", { permanent: true });
+    }
+    const result = await rpc.sendBoc(Buffer.from(meta.boc, "base64"));
+    console.log("payoutProvider: ton transfer submitted", {
+      seqno: meta.seqno,
+      msg_hash: meta.msg_hash,
+      rpc_hash: result && result.hash,
+    });
+  }
+
+  async function preparePayout(withdraw, { minSeqno = null } = {}) {
+    const wallet = loadWallet();
+    const message = prepareMessage(withdraw);
+    const { boc, metaFor } = await sign(wallet, [message], { minSeqno });
+    return { provider: "ton", txId: null, meta: { ...metaFor(message), boc: boc.toString("base64") } };
+  }
+
+  async function sendPayout(withdraw) {
+    const prepared = await preparePayout(withdraw);
+    await broadcast(prepared.meta);
+    return prepared;
+  }
+
+  // Invalid withdrawals are reported per item (ok: false) instead of failing
+  // the whole batch. The batch meta carries the signed BOC; item metas do not.
+  async function prepareBatchPayout(withdraws, { minSeqno = null } = {}) {
+    const wallet = loadWallet();
+    if (withdraws.length > TON_MAX_MESSAGES) {
+      throw new PayoutError(`ton: at most ${TON_MAX_MESSAGES} transfers per batch`, { permanent: true });
+    }
+
+    const results = [];
+    const messages = [];
+    for (const w of withdraws) {
+      try {
+        messages.push(prepareMessage(w));
+      } catch (err) {
+        results.push({ withdraw_id: w.id, ok: false, error: err.message });
+      }
+    }
+    if (!messages.length) return { provider: "ton", txId: null, meta: null, results };
+
+    const { boc, hash, metaFor } = await sign(wallet, messages, { minSeqno });
+    for (const m of messages) {
+      results.push({ withdraw_id: m.withdrawId, ok: true, meta: metaFor(m) });
+    }
+    const { seqno, signed_at: signedAt, valid_until: validUntil } = metaFor(messages[0]);
+    return {
+      provider: "ton",
+      txId: null,
+      meta: {
+        wallet: wallet.raw,
+        msg_hash: hash,
+        seqno,
+        signed_at: signedAt,
+        valid_until: validUntil,
+        count: messages.length,
+        boc: boc.toString("base64"),
+      },
+      results,
+    };
+  }
+
+  async function sendBatchPayout(withdraws) {
+    const prepared = await prepareBatchPayout(withdraws);
+    if (prepared.meta) await broadcast(prepared.meta);
+    return prepared;
+  }
+
+  // Find the hot wallet transaction that processed our external message:
+  // - found with our outgoing transfer    -> confirmed
+  // - found without any outgoing message  -> failed (action phase reverted,
+  //   e.g. not enough balance; the seqno is consumed but no coins left)
+  // - not found and the message expired, while either
+  //   - the seqno did not move past ours, or
+  //   - it did (another message used that seqno) and the wallet's
+  //     transactions back to when ours was signed do not include it
+  //   -> failed (can never be applied any more)
+  // Anything else stays pending; we never report failure while the transfer
+  // could still land, because failure triggers a refund.
+  async function checkPayout(withdraw) {
+    const meta = withdraw.payout_meta || {};
+    if (!meta.wallet || meta.seqno == null) {
+      throw new PayoutError("ton: withdraw has no payout_meta to check", { permanent: true });
+    }
+    // Rows sent before msg_hash was kept carry the message hash in payout_tx_id.
+    const msgHashHex = String(meta.msg_hash || withdraw.payout_tx_id || "").toLowerCase();
+    const msgHashB64 = msgHashHex ? Buffer.from(msgHashHex, "hex").toString("base64") : null;
+
+    const outcome = (tx) => {
+      const inHash = tx && tx.in_msg && tx.in_msg.hash;
+      if (!inHash || (inHash !== msgHashB64 && String(inHash).toLowerCase() !== msgHashHex)) return null;
+
+      const txHash = tx.transaction_id && tx.transaction_id.hash
+        ? Buffer.from(tx.transaction_id.hash, "base64").toString("hex")
+        : null;
+      // Batches carry several transfers; match ours by comment, then address.
+      const out = (tx.out_msgs || []).find((m) => {
+        if (meta.comment && m.message) return m.message === meta.comment;
+        try {
+          return parseTonAddress(m.destination).raw === meta.to;
+        } catch (_) {
+          return false;
+        }
+      });
+      if (out) {
+        return { state: "confirmed", detail: { tx_hash: txHash, lt: tx.transaction_id && tx.transaction_id.lt } };
+      }
+      return { state: "failed", detail: { tx_hash: txHash, reason: "no outgoing transfer (reverted)" } };
+    };
+
+    let page = await rpc.getTransactions(meta.wallet, TON_TX_PAGE_SIZE);
+    for (const tx of page) {
+      const found = outcome(tx);
+      if (found) return found;
+    }
+
+    const seqno = await rpc.getSeqno(meta.wallet);
+    const expired = Math.floor(Date.now() / 1000) > Number(meta.valid_until || 0) + 60;
+    if (!expired) return { state: "pending", detail: { seqno } };
+    if (seqno <= Number(meta.seqno)) {
+      return { state: "failed", detail: { reason: "message expired before being applied", seqno } };
+    }
+
+    // Our seqno is used. Ours cannot have been applied before it was signed,
+    // so page back until the listing reaches that point (or the wallet's
+    // first transaction) to tell whether the transaction that used it was ours.
+    const signedAt = Number(meta.signed_at || Number(meta.valid_until || 0) - TON_MESSAGE_TTL_SEC);
+    const lost = {
+      state: "failed",
+      detail: { reason: `seqno ${meta.seqno} used by another message; ours expired unapplied`, seqno },
+    };
+    let full = page.length >= TON_TX_PAGE_SIZE;
+    for (let pages = 1; ; pages += 1) {
+      const last = page[page.length - 1];
+      // A short page is the wallet's first transactions.
+      if (!full || !last || (last.utime != null && Number(last.utime) < signedAt)) return lost;
+      if (pages >= TON_TX_MAX_PAGES || !last.transaction_id) {
+        return { state: "pending", detail: { seqno, reason: "wallet history too long to rule the message out" } };
+      }
+
+      const next = await rpc.getTransactions(meta.wallet, TON_TX_PAGE_SIZE, last.transaction_id);
+      full = next.length >= TON_TX_PAGE_SIZE;
+      // The page starts at `last` again.
+      page = next.filter((tx) => !(tx.transaction_id && tx.transaction_id.lt === last.transaction_id.lt));
+      for (const tx of page) {
+        const found = outcome(tx);
+        if (found) return found;
+      }
+    }
+  }
+
+  // Where a signed transfer stands when its send may or may not have happened:
+  // - sent:    applied on chain (confirmed or reverted); withdraw_confirm decides
+  // - unsent:  expired without being applied, so it can never land; sign anew
+  // - unknown: may still land; only this same BOC may be broadcast again
+  async function reconcilePayout(withdraw) {
+    const { state, detail } = await checkPayout(withdraw);
+    if (state === "confirmed" || (detail && detail.tx_hash)) return { state: "sent", detail };
+    if (state === "failed") return { state: "unsent", detail };
+    return { state: "unknown", detail };
+  }
+
+  return {
+    preparePayout,
+    prepareBatchPayout,
+    broadcast,
+    sendPayout,
+    sendBatchPayout,
+    reconcilePayout,
+    checkPayout,
+    walletAddress: () => loadWallet().raw,
+    maxBatchSize: TON_MAX_MESSAGES,
+  };
+}
+
+let tonProvider = null;
+
+function getTonProvider() {
+  if (!tonProvider) tonProvider = createTonProvider();
+  return tonProvider;
+}
+
+// Sign the payout without sending it. The result is committed as the
+// 'sending' state before broadcastPayout is called.
+async function preparePayout(withdraw, options = {}) {
   // withdraw: { id, user_id, amount, wallet, ... }
 
   switch (PROVIDER) {
+    case "ton":
+      return getTonProvider().preparePayout(withdraw, options);
+
     case "manual":
-    default: {
-      // Default mode: mark as handled manually. You can later update the
-      // payout_tx_id column via an admin tool once you broadcast a real tx.
-      const txId = `manual-${withdraw.id}`;
+    default:
+      // Default mode: mark as handled manually. Once the real tx is broadcast,
+      // record its provider + hash via /api/admin/withdraw/payout-record.
+      return { provider: PROVIDER, txId: `manual-${withdraw.id}`, meta: null };
+  }
+}
+
+// Send what preparePayout signed (withdraw.payout_provider / payout_meta).
+async function broadcastPayout(withdraw) {
+  switch (String(withdraw.payout_provider || PROVIDER).toLowerCase()) {
+    case "ton":
+      return getTonProvider().broadcast(withdraw.payout_meta);
+
+    case "manual":
+    default:
       console.log("payoutProvider: manual payout placeholder", {
-        provider: PROVIDER,
+        provider: withdraw.payout_provider,
         withdraw_id: withdraw.id,
         user_id: withdraw.user_id,
         amount: withdraw.amount,
         wallet: withdraw.wallet,
-        txId,
+        txId: withdraw.payout_tx_id,
       });
-      return { provider: PROVIDER, txId };
+      return undefined;
+  }
+}
+
+// For a withdrawal left 'sending': did the signed transfer reach the chain?
+async function reconcilePayout(withdraw) {
+  switch (String(withdraw.payout_provider || PROVIDER).toLowerCase()) {
+    case "ton":
+      return getTonProvider().reconcilePayout(withdraw);
+
+    case "manual":
+    default:
+      // Nothing was sent by us; the placeholder counts as sent.
+      return { state: "sent", detail: null };
+  }
+}
+
+// Multi-recipient payout, signed without sending:
+//   async prepareBatchPayout(withdrawRows, { minSeqno }) -> { provider, txId, meta,
+//     results: [{ withdraw_id, ok, error?, meta? }] }
+// Items with ok: false are not in the transfer and must be handled
+// individually. Items share the batch's transfer, so reconcilePayout /
+// checkPayout work on any of them.
+async function prepareBatchPayout(withdraws, options = {}) {
+  switch (PROVIDER) {
+    case "ton":
+      return getTonProvider().prepareBatchPayout(withdraws, options);
+
+    case "manual":
+    default: {
+      const txId = `manual-batch-${withdraws.map((w) => w.id).join("-")}`.slice(0, 200);
+      return {
+        provider: PROVIDER,
+        txId,
+        meta: null,
+        results: withdraws.map((w) => ({ withdraw_id: w.id, ok: true, meta: null })),
+      };
     }
+  }
+}
+
+// Send what prepareBatchPayout signed (payout_batches row: provider, meta).
+async function broadcastBatchPayout(batch) {
+  switch (String(batch.provider || PROVIDER).toLowerCase()) {
+    case "ton":
+      return getTonProvider().broadcast(batch.meta);
 
-    // Example skeleton if you later add a real TON provider:
-    //
-    // case "ton": {
-    //   const result = await tonClient.sendTon({
-    //     toAddress: withdraw.wallet,
-    //     amount: withdraw.amount,
-    //     comment: `withdraw:${withdraw.id}`,
-    //   });
-    //   return { provider: "ton", txId: result.txHash };
-    // }
+    case "manual":
+    default:
+      console.log("payoutProvider: manual batch payout placeholder", {
+        batch_id: batch.id,
+        txId: batch.tx_id,
+      });
+      return undefined;
+  }
+}
+
+// Raw address of the hot wallet preparePayout / prepareBatchPayout sign with
+// (matches payout_meta.wallet), or null when payouts are not signed by us.
+function getSigningWallet() {
+  switch (PROVIDER) {
+    case "ton":
+      return getTonProvider().walletAddress();
+
+    case "manual":
+    default:
+      return null;
+  }
+}
+
+function getBatchLimit() {
+  const configured = Number(process.env.WITHDRAW_BATCH_MAX || 0);
+  const providerMax = PROVIDER === "ton" ? TON_MAX_MESSAGES : 100;
+  return configured > 0 ? Math.min(configured, providerMax) : providerMax;
+}
+
+// Checks by the provider that sent the payout (withdraw.payout_provider), so a
+// WITHDRAW_PROVIDER switch does not strand in-flight transfers.
+async function checkPayout(withdraw) {
+  switch (String(withdraw.payout_provider || PROVIDER).toLowerCase()) {
+    case "ton":
+      return getTonProvider().checkPayout(withdraw);
+
+    case "manual":
+    default:
+      // Manual payouts are sent by a human; nothing to poll.
+      return { state: "confirmed", detail: null };
   }
 }
 
 module.exports = {
-  sendPayout,
+  WITHDRAW_PAYOUT_MODE,
+  WITHDRAW_BATCH_THRESHOLD,
+  PayoutError,
+  preparePayout,
+  broadcastPayout,
+  reconcilePayout,
+  prepareBatchPayout,
+  broadcastBatchPayout,
+  getBatchLimit,
+  getSigningWallet,
+  checkPayout,
+  createTonProvider,
+  createTonRpc,
+  setPayoutHttpClient,
 };
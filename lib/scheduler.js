@@ -0,0 +1,263 @@
+// lib/scheduler.js
+// Cron-style recurring job registry used by worker.js.
+//
+// Schedules are defined in RECURRING_JOBS below and can be overridden or
+// extended at runtime through app_settings key "recurring_jobs", e.g.:
+//
+//   {
+//     "tap_packets_cleanup": { "cron": "*/30 * * * *", "payload": { "retention_hours": 24 } },
+//     "ad_sessions_expiry": { "enabled": false },
+//     "nightly_sync": { "cron": "15 3 * * *", "type": "sync_user", "payload": { "user_id": 1 } }
+//   }
+//
+// Cron expressions have 5 fields (minute hour day-of-month month day-of-week),
+// evaluated in UTC. Each field supports "*", "a", "a-b", "*/n", "a-b/n" and
+// comma-separated lists. Day-of-week is 0-6 (0 = Sunday, 7 is accepted too).
+//
+// Scheduling state lives in public.recurring_job_state (see
+// sql/migrations/013_recurring_jobs.sql). The tick runs under a transaction
+// level advisory lock, so with several worker instances only one of them
+// enqueues a given occurrence. Missed occurrences (worker down) collapse into a
+// single catch-up run.
+
+const { getConfigValue } = require("./config");
+const { resolveJobRouting, enqueueJobTx } = require("./jobs");
+const { WITHDRAW_PAYOUT_MODE } = require("./payoutProvider");
+
+const RECURRING_LOCK_KEY = 482914;
+
+const RECURRING_JOBS = {
+  tap_packets_cleanup: {
+    cron: "*/15 * * * *",
+    type: "cleanup_tap_packets",
+    payload: { retention_hours: 48, batch_size: 5000 },
+  },
+  idempotency_keys_expiry: {
+    cron: "20 * * * *",
+    type: "expire_idempotency_keys",
+    payload: { retention_hours: 24 * 7, pending_retention_hours: 24, batch_size: 5000 },
+  },
+  ad_sessions_expiry: {
+    cron: "*/10 * * * *",
+    type: "expire_ad_sessions",
+    payload: { ttl_minutes: 60, batch_size: 5000 },
+  },
+  // Batch payout mode only (WITHDRAW_PAYOUT_MODE=batch); see lib/payoutProvider.js.
+  withdraw_batch_payouts: {
+    cron: "*/15 * * * *",
+    type: "withdraw_batch_payout",
+    payload: {},
+    enabled: WITHDRAW_PAYOUT_MODE === "batch",
+  },
+};
+
+const FIELD_RANGES = [
+  { min: 0, max: 59 }, // minute
+  { min: 0, max: 23 }, // hour
+  { min: 1, max: 31 }, // day of month
+  { min: 1, max: 12 }, // month
+  { min: 0, max: 7 }, // day of week
+];
+
+function parseCronField(raw, { min, max }) {
+  const values = new Set();
+  for (const part of String(raw).split(",")) {
+    const [rangeRaw, stepRaw] = part.split("/");
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new Error(`cron: bad step "${part}"`);
+    }
+
+    let lo;
+    let hi;
+    if (rangeRaw === "*") {
+      lo = min;
+      hi = max;
+    } else if (rangeRaw.includes("-")) {
+      [lo, hi] = rangeRaw.split("-").map(Number);
+    } else {
+      lo = Number(rangeRaw);
+      hi = stepRaw === undefined ? lo : max;
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`cron: bad range "${part}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression. Throws on invalid input.
+ */
+function parseCron(expr) {
+  const fields = String(expr || "").trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`cron: expected 5 fields, got "${expr}"`);
+  }
+  const [minute, hour, dom, month, dow] = fields.map((f, i) => parseCronField(f, FIELD_RANGES[i]));
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute,
+    hour,
+    dom,
+    month,
+    dow,
+    // Standard cron: when both day fields are restricted, either may match.
+    domAny: fields[2] === "*",
+    dowAny: fields[4] === "*",
+  };
+}
+
+function dayMatches(cron, d) {
+  const domOk = cron.dom.has(d.getUTCDate());
+  const dowOk = cron.dow.has(d.getUTCDay());
+  if (cron.domAny && cron.dowAny) return true;
+  if (cron.domAny) return dowOk;
+  if (cron.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+/**
+ * First occurrence strictly after `from` (a Date), or null if none within ~5 years.
+ */
+function nextCronTime(cron, from) {
+  const d = new Date(from.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+/**
+ * Merge the code registry with app_settings.recurring_jobs overrides.
+ * Returns [{ name, cron, type, payload, queue, priority }] for enabled,
+ * valid schedules; invalid entries are logged and skipped.
+ */
+function resolveRecurringJobs(config) {
+  const overrides = getConfigValue(config, "recurring_jobs", {}) || {};
+  const names = new Set([...Object.keys(RECURRING_JOBS), ...Object.keys(overrides)]);
+
+  const out = [];
+  for (const name of names) {
+    const def = { ...(RECURRING_JOBS[name] || {}), ...(overrides[name] || {}) };
+    if (def.enabled === false) continue;
+    if (!def.type || !def.cron) {
+      console.warn("scheduler: recurring job missing type or cron, skipping", { name });
+      continue;
+    }
+    let cron;
+    try {
+      cron = parseCron(def.cron);
+    } catch (err) {
+      console.warn("scheduler: invalid cron, skipping", { name, cron: def.cron, err: err.message });
+      continue;
+    }
+    const routing = resolveJobRouting(def.type, def);
+    out.push({
+      name,
+      cron,
+      cronExpr: def.cron,
+      type: def.type,
+      payload: def.payload || {},
+      queue: routing.queue,
+      priority: routing.priority,
+    });
+  }
+  return out;
+}
+
+/**
+ * Enqueue every recurring job whose next occurrence is due.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ * Returns [{ name, jobId, scheduledFor }] for the jobs enqueued by this tick,
+ * or [] if another instance holds the scheduler lock.
+ */
+async function runSchedulerTickTx(client, { config = {}, now = new Date() } = {}) {
+  const lockRes = await client.query("SELECT pg_try_advisory_xact_lock($1) AS locked", [
+    RECURRING_LOCK_KEY,
+  ]);
+  if (!lockRes.rows[0]?.locked) return [];
+
+  const schedules = resolveRecurringJobs(config);
+  if (!schedules.length) return [];
+
+  const stateRes = await client.query(
+    `SELECT name, last_scheduled_for FROM public.recurring_job_state WHERE name = ANY($1::text[])`,
+    [schedules.map((s) => s.name)]
+  );
+  const lastByName = new Map(stateRes.rows.map((r) => [r.name, r.last_scheduled_for]));
+
+  const enqueued = [];
+  for (const s of schedules) {
+    const last = lastByName.get(s.name);
+    let due = null;
+    if (!last) {
+      // First time we see this schedule: run once now.
+      due = new Date(now.getTime());
+      due.setUTCSeconds(0, 0);
+    } else {
+      // Walk forward to the latest occurrence <= now (collapses missed runs).
+      let next = nextCronTime(s.cron, new Date(last));
+      for (let i = 0; next && next <= now && i < 10000; i += 1) {
+        due = next;
+        next = nextCronTime(s.cron, next);
+      }
+    }
+    if (!due) continue;
+
+    const jobId = await enqueueJobTx(
+      client,
+      s.type,
+      { ...s.payload, recurring: s.name, scheduled_for: due.toISOString() },
+      { queue: s.queue, priority: s.priority }
+    );
+
+    await client.query(
+      `
+      INSERT INTO public.recurring_job_state (name, cron, last_scheduled_for, last_job_id, updated_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (name) DO UPDATE
+      SET cron = EXCLUDED.cron,
+          last_scheduled_for = EXCLUDED.last_scheduled_for,
+          last_job_id = EXCLUDED.last_job_id,
+          updated_at = NOW();
+      `,
+      [s.name, s.cronExpr, due.toISOString(), jobId]
+    );
+
+    enqueued.push({ name: s.name, jobId, scheduledFor: due });
+  }
+
+  return enqueued;
+}
+
+module.exports = {
+  RECURRING_JOBS,
+  parseCron,
+  nextCronTime,
+  resolveRecurringJobs,
+  runSchedulerTickTx,
+};
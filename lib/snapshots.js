@@ -0,0 +1,94 @@
+// lib/snapshots.js
+// Balance snapshots (public.balance_snapshots) and point-in-time balance queries.
+//
+// Snapshots are written by the snapshot_balances worker job (lib/jobHandlers.js).
+// This module creates snapshot runs and answers "what was user X's balance at T".
+
+const { enqueueJobTx } = require("./jobs");
+
+/**
+ * Register a snapshot run and enqueue its first snapshot_balances batch.
+ * Idempotent on (kind, snapshotAt): returns null if that run already exists.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function createSnapshotRunTx(client, { kind, snapshotAt, seasonId = null, batchSize = 1000 }) {
+  if (!kind || !snapshotAt) {
+    throw new Error("createSnapshotRunTx: kind and snapshotAt are required");
+  }
+
+  const runRes = await client.query(
+    `
+    INSERT INTO public.balance_snapshot_runs (kind, snapshot_at, season_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (kind, snapshot_at) DO NOTHING
+    RETURNING *;
+    `,
+    [kind, new Date(snapshotAt).toISOString(), seasonId]
+  );
+  const run = runRes.rows[0];
+  if (!run) return null;
+
+  const jobId = await enqueueJobTx(client, "snapshot_balances", {
+    run_id: run.id,
+    batch_size: batchSize,
+  });
+
+  return { run, jobId };
+}
+
+/**
+ * Ledger balance of `userId` at time `at`: nearest snapshot at or before `at`
+ * plus ledger deltas recorded after it (up to and including `at`).
+ * `db` can be the pool or a transaction client.
+ */
+async function getBalanceAt(db, userId, at) {
+  const atIso = new Date(at).toISOString();
+
+  const snapRes = await db.query(
+    `
+    SELECT id, balance, snapshot_at, kind, season_id
+    FROM public.balance_snapshots
+    WHERE user_id = $1
+      AND snapshot_at <= $2
+    ORDER BY snapshot_at DESC
+    LIMIT 1;
+    `,
+    [userId, atIso]
+  );
+  const snapshot = snapRes.rows[0] || null;
+
+  const deltaRes = await db.query(
+    `
+    SELECT COALESCE(SUM(delta), 0) AS delta, COUNT(*)::int AS entries
+    FROM public.user_balance_ledger
+    WHERE user_id = $1
+      AND created_at <= $2
+      AND ($3::timestamptz IS NULL OR created_at > $3::timestamptz);
+    `,
+    [userId, atIso, snapshot ? snapshot.snapshot_at : null]
+  );
+
+  const base = snapshot ? Number(snapshot.balance) : 0;
+  const deltaSince = Number(deltaRes.rows[0]?.delta || 0);
+
+  return {
+    at: atIso,
+    balance: base + deltaSince,
+    snapshot: snapshot
+      ? {
+          id: snapshot.id,
+          balance: base,
+          snapshot_at: snapshot.snapshot_at,
+          kind: snapshot.kind,
+          season_id: snapshot.season_id,
+        }
+      : null,
+    delta_since_snapshot: deltaSince,
+    entries_since_snapshot: Number(deltaRes.rows[0]?.entries || 0),
+  };
+}
+
+module.exports = {
+  createSnapshotRunTx,
+  getBalanceAt,
+};
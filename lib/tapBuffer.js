@@ -0,0 +1,134 @@
+// lib/tapBuffer.js
+// Buffered tap rewards backed by public.tap_reward_buffer.
+//
+// Taps are our highest-volume balance change. Instead of one user_balance_ledger
+// row per tap, each tap:
+// - credits users.balance immediately (so the UI never lags), and
+// - adds its reward to the user's buffer row.
+//
+// The buffer is flushed into ONE ledger entry (reason 'tap_reward',
+// refType 'tap_batch', meta.tap_count) once it holds TAP_LEDGER_FLUSH_TAPS taps,
+// or by the worker once the oldest buffered tap is TAP_LEDGER_FLUSH_AGE_MS old.
+//
+// Invariant: users.balance = SUM(ledger delta) + tap_reward_buffer.pending_delta.
+// Reconciliation (sync_user / reconcile_ledger) must include the buffer.
+
+const { recordLedgerEntryTx } = require("./ledger");
+
+const TAP_LEDGER_FLUSH_TAPS = Number(process.env.TAP_LEDGER_FLUSH_TAPS || 200);
+const TAP_LEDGER_FLUSH_AGE_MS = Number(process.env.TAP_LEDGER_FLUSH_AGE_MS || 60000);
+
+/**
+ * Credit a tap reward: bump users.balance and the user's buffer row.
+ * Flushes inline when the buffer reaches TAP_LEDGER_FLUSH_TAPS.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function bufferTapRewardTx(client, { userId, delta, taps = 1 }) {
+  if (!Number.isInteger(delta) || delta <= 0) {
+    throw new Error("bufferTapReward: delta must be a positive integer (minor units)");
+  }
+  if (!userId) {
+    throw new Error("bufferTapReward: userId is required");
+  }
+
+  const bufRes = await client.query(
+    `
+    INSERT INTO public.tap_reward_buffer (user_id, pending_delta, pending_taps, first_tap_at, last_tap_at)
+    VALUES ($1, $2, $3, NOW(), NOW())
+    ON CONFLICT (user_id) DO UPDATE
+      SET pending_delta = public.tap_reward_buffer.pending_delta + EXCLUDED.pending_delta,
+          pending_taps = public.tap_reward_buffer.pending_taps + EXCLUDED.pending_taps,
+          last_tap_at = NOW()
+    RETURNING pending_taps;
+    `,
+    [userId, delta, Math.max(1, Math.floor(taps))]
+  );
+
+  const userRes = await client.query(
+    `
+    UPDATE public.users
+    SET balance = balance + $1
+    WHERE id = $2
+    RETURNING *;
+    `,
+    [delta, userId]
+  );
+  if (!userRes.rowCount) {
+    throw new Error("bufferTapReward: user not found for id " + userId);
+  }
+
+  let flushed = null;
+  if (Number(bufRes.rows[0]?.pending_taps || 0) >= TAP_LEDGER_FLUSH_TAPS) {
+    flushed = await flushTapBufferTx(client, userId);
+  }
+
+  return { user: userRes.rows[0], flushed };
+}
+
+/**
+ * Move one user's buffered taps into a single tap_batch ledger entry.
+ * Balance is NOT touched (it was credited when the taps happened).
+ * Returns null when there was nothing to flush.
+ */
+async function flushTapBufferTx(client, userId) {
+  const { rows } = await client.query(
+    `
+    DELETE FROM public.tap_reward_buffer
+    WHERE user_id = $1
+    RETURNING *;
+    `,
+    [userId]
+  );
+  const buf = rows[0];
+  if (!buf || Number(buf.pending_delta || 0) === 0) return null;
+
+  const tapCount = Number(buf.pending_taps || 0);
+  const { ledgerId } = await recordLedgerEntryTx(client, {
+    userId,
+    delta: Number(buf.pending_delta),
+    reason: "tap_reward",
+    refType: "tap_batch",
+    refId: null,
+    eventType: "tap",
+    meta: {
+      tap_count: tapCount,
+      first_tap_at: buf.first_tap_at,
+      last_tap_at: buf.last_tap_at,
+    },
+  });
+
+  return { ledgerId, delta: Number(buf.pending_delta), tapCount };
+}
+
+/**
+ * Flush buffers whose oldest tap is older than `olderThanMs`.
+ * Rows locked by concurrent taps/flushes are skipped and picked up next time.
+ */
+async function flushDueTapBuffersTx(client, { olderThanMs = TAP_LEDGER_FLUSH_AGE_MS, limit = 500 } = {}) {
+  const { rows } = await client.query(
+    `
+    SELECT user_id
+    FROM public.tap_reward_buffer
+    WHERE first_tap_at <= NOW() - make_interval(secs => $1)
+    ORDER BY first_tap_at ASC
+    FOR UPDATE SKIP LOCKED
+    LIMIT $2;
+    `,
+    [Math.max(0, olderThanMs) / 1000, limit]
+  );
+
+  let flushed = 0;
+  for (const row of rows) {
+    const out = await flushTapBufferTx(client, row.user_id);
+    if (out) flushed += 1;
+  }
+  return { flushed };
+}
+
+module.exports = {
+  TAP_LEDGER_FLUSH_TAPS,
+  TAP_LEDGER_FLUSH_AGE_MS,
+  bufferTapRewardTx,
+  flushTapBufferTx,
+  flushDueTapBuffersTx,
+};
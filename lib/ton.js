@@ -0,0 +1,350 @@
+// lib/ton.js
+// Minimal TON primitives for payouts, with no SDK dependency:
+// - address parsing (raw "0:<hex>" and user-friendly base64 with CRC16 check)
+// - cells + bag-of-cells (BOC) serialization and cell hashing
+// - wallet v4r2 external transfer messages signed with Ed25519
+//
+// Only what lib/payoutProvider.js needs is implemented. Reference:
+// https://docs.ton.org/develop/data-formats/cell-boc and the wallet v4r2 contract.
+
+const crypto = require("crypto");
+
+// ------------ Addresses ------------
+
+function crc16xmodem(buf) {
+  let crc = 0;
+  for (const byte of buf) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Parse a TON address. Accepts raw form ("<workchain>:<64 hex>") and the
+ * 48-char user-friendly form (base64 or base64url) whose CRC16 is verified.
+ * Returns { workchain, hash (Buffer 32), bounceable, testOnly, raw } or throws.
+ */
+function parseTonAddress(input) {
+  const s = String(input || "").trim();
+
+  const rawMatch = /^(-?\d+):([0-9a-fA-F]{64})$/.exec(s);
+  if (rawMatch) {
+    const workchain = Number(rawMatch[1]);
+    if (workchain !== 0 && workchain !== -1) throw new Error("ton: unsupported workchain");
+    const hash = Buffer.from(rawMatch[2], "hex");
+    return { workchain, hash, bounceable: false, testOnly: false, raw: `${workchain}:${rawMatch[2].toLowerCase()}` };
+  }
+
+  if (!/^[A-Za-z0-9+/_-]{48}$/.test(s)) throw new Error("ton: bad address format");
+  const bytes = Buffer.from(s.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+  if (bytes.length !== 36) throw new Error("ton: bad address length");
+
+  const crc = crc16xmodem(bytes.subarray(0, 34));
+  if (bytes.readUInt16BE(34) !== crc) throw new Error("ton: bad address checksum");
+
+  let tag = bytes[0];
+  const testOnly = (tag & 0x80) !== 0;
+  if (testOnly) tag &= 0x7f;
+  if (tag !== 0x11 && tag !== 0x51) throw new Error("ton: bad address tag");
+
+  const workchain = bytes.readInt8(1);
+  if (workchain !== 0 && workchain !== -1) throw new Error("ton: unsupported workchain");
+  const hash = Buffer.from(bytes.subarray(2, 34));
+  return {
+    workchain,
+    hash,
+    bounceable: tag === 0x11,
+    testOnly,
+    raw: `${workchain}:${hash.toString("hex")}`,
+  };
+}
+
+// ------------ Cells ------------
+
+class Cell {
+  constructor(bits, bitLength, refs) {
+    this.bits = bits; // Buffer, big-endian bit order, unused tail bits are 0
+    this.bitLength = bitLength;
+    this.refs = refs;
+    this._hash = null;
+    this._depth = null;
+  }
+
+  depth() {
+    if (this._depth === null) {
+      this._depth = this.refs.length ? Math.max(...this.refs.map((r) => r.depth())) + 1 : 0;
+    }
+    return this._depth;
+  }
+
+  descriptors() {
+    const d1 = this.refs.length;
+    const d2 = Math.floor(this.bitLength / 8) + Math.ceil(this.bitLength / 8);
+    return Buffer.from([d1, d2]);
+  }
+
+  // Data bytes with completion tag (a 1 bit then zeros) when not byte aligned.
+  paddedData() {
+    const len = Math.ceil(this.bitLength / 8);
+    const out = Buffer.from(this.bits.subarray(0, len));
+    if (this.bitLength % 8) {
+      out[len - 1] |= 1 << (7 - (this.bitLength % 8));
+    }
+    return out;
+  }
+
+  hash() {
+    if (!this._hash) {
+      const parts = [this.descriptors(), this.paddedData()];
+      for (const r of this.refs) {
+        const d = Buffer.alloc(2);
+        d.writeUInt16BE(r.depth());
+        parts.push(d);
+      }
+      for (const r of this.refs) parts.push(r.hash());
+      this._hash = crypto.createHash("sha256").update(Buffer.concat(parts)).digest();
+    }
+    return this._hash;
+  }
+}
+
+class Builder {
+  constructor() {
+    this.bits = Buffer.alloc(128); // 1023 bits max
+    this.length = 0;
+    this.refs = [];
+  }
+
+  storeBit(bit) {
+    if (this.length >= 1023) throw new Error("ton: cell overflow");
+    if (bit) this.bits[this.length >> 3] |= 1 << (7 - (this.length & 7));
+    this.length += 1;
+    return this;
+  }
+
+  storeUint(value, bitCount) {
+    let v = BigInt(value);
+    if (v < 0n || v >= 1n << BigInt(bitCount)) throw new Error("ton: uint out of range");
+    for (let i = bitCount - 1; i >= 0; i -= 1) {
+      this.storeBit(Number((v >> BigInt(i)) & 1n));
+    }
+    return this;
+  }
+
+  storeInt(value, bitCount) {
+    let v = BigInt(value);
+    if (v < 0n) v += 1n << BigInt(bitCount);
+    return this.storeUint(v, bitCount);
+  }
+
+  storeBuffer(buf) {
+    for (const byte of buf) this.storeUint(byte, 8);
+    return this;
+  }
+
+  // VarUInteger 16 (Grams / coins)
+  storeCoins(amount) {
+    const v = BigInt(amount);
+    if (v === 0n) return this.storeUint(0, 4);
+    const byteLen = Math.ceil(v.toString(16).length / 2);
+    this.storeUint(byteLen, 4);
+    return this.storeUint(v, byteLen * 8);
+  }
+
+  // addr_std$10 anycast:(Maybe Anycast) workchain_id:int8 address:bits256, or addr_none$00
+  storeAddress(addr) {
+    if (!addr) return this.storeUint(0, 2);
+    this.storeUint(2, 2);
+    this.storeBit(0);
+    this.storeInt(addr.workchain, 8);
+    return this.storeBuffer(addr.hash);
+  }
+
+  storeRef(cell) {
+    if (this.refs.length >= 4) throw new Error("ton: too many refs");
+    this.refs.push(cell);
+    return this;
+  }
+
+  // Copy another cell's bits and refs into this one.
+  storeCell(cell) {
+    for (let i = 0; i < cell.bitLength; i += 1) {
+      this.storeBit((cell.bits[i >> 3] >> (7 - (i & 7))) & 1);
+    }
+    cell.refs.forEach((r) => this.storeRef(r));
+    return this;
+  }
+
+  // (Either X ^X): inline when it fits, as a ref otherwise. Same choice as the
+  // TON SDKs make, so our messages hash like theirs.
+  storeEither(cell) {
+    const fits = 1023 - this.length - 1 >= cell.bitLength && this.refs.length + cell.refs.length <= 4;
+    return fits ? this.storeBit(0).storeCell(cell) : this.storeBit(1).storeRef(cell);
+  }
+
+  endCell() {
+    return new Cell(Buffer.from(this.bits), this.length, this.refs.slice());
+  }
+}
+
+function beginCell() {
+  return new Builder();
+}
+
+// ------------ Bag of cells ------------
+
+const CRC32C_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let c = i;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32c(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC32C_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function bytesFor(n) {
+  let bytes = 1;
+  while (n >= 2 ** (bytes * 8)) bytes += 1;
+  return bytes;
+}
+
+// Single-root BOC with crc32c, cells in topological order (parents first).
+function serializeBoc(root) {
+  const order = [];
+  const indexByHash = new Map();
+  (function visit(cell) {
+    const key = cell.hash().toString("hex");
+    if (indexByHash.has(key)) return;
+    indexByHash.set(key, -1);
+    order.push(cell);
+    cell.refs.forEach(visit);
+  })(root);
+  // A DFS pre-order with shared cells can place a child before a later
+  // parent; re-sort by depth (children always have smaller depth).
+  order.sort((a, b) => b.depth() - a.depth());
+  order.forEach((c, i) => indexByHash.set(c.hash().toString("hex"), i));
+
+  const sizeBytes = bytesFor(order.length);
+  const cellBufs = order.map((c) => {
+    const refIdx = Buffer.alloc(c.refs.length * sizeBytes);
+    c.refs.forEach((r, i) => refIdx.writeUIntBE(indexByHash.get(r.hash().toString("hex")), i * sizeBytes, sizeBytes));
+    return Buffer.concat([c.descriptors(), c.paddedData(), refIdx]);
+  });
+  const cellsData = Buffer.concat(cellBufs);
+  const offBytes = bytesFor(cellsData.length);
+
+  const header = Buffer.alloc(4 + 1 + 1 + sizeBytes * 3 + offBytes + sizeBytes);
+  let p = 0;
+  header.writeUInt32BE(0xb5ee9c72, p); p += 4;
+  header[p] = 0x40 | sizeBytes; p += 1; // has_crc32c
+  header[p] = offBytes; p += 1;
+  header.writeUIntBE(order.length, p, sizeBytes); p += sizeBytes; // cells
+  header.writeUIntBE(1, p, sizeBytes); p += sizeBytes; // roots
+  header.writeUIntBE(0, p, sizeBytes); p += sizeBytes; // absent
+  header.writeUIntBE(cellsData.length, p, offBytes); p += offBytes;
+  header.writeUIntBE(0, p, sizeBytes); // root index
+
+  const body = Buffer.concat([header, cellsData]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32LE(crc32c(body));
+  return Buffer.concat([body, crc]);
+}
+
+// ------------ Wallet v4r2 transfers ------------
+
+const WALLET_V4_DEFAULT_ID = 698983191;
+
+// Text comment payload: op = 0 followed by UTF-8 text.
+function commentCell(text) {
+  const bytes = Buffer.from(String(text), "utf8");
+  if (bytes.length > 123) throw new Error("ton: comment too long");
+  return beginCell().storeUint(0, 32).storeBuffer(bytes).endCell();
+}
+
+function ed25519KeyFromSeed(seed) {
+  const prefix = Buffer.from("302e020100300506032b657004220420", "hex");
+  return crypto.createPrivateKey({ key: Buffer.concat([prefix, seed]), format: "der", type: "pkcs8" });
+}
+
+/**
+ * Build a signed external message for a wallet v4r2 contract.
+ *
+ * wallet:    parsed sender address (parseTonAddress)
+ * secretSeed: 32-byte Ed25519 seed (Buffer)
+ * messages:  [{ to (parsed address), amountNano (bigint|string), comment, bounce? }] (max 4)
+ *
+ * Returns { boc (Buffer), hash (hex of the external message cell) }. The hash is
+ * what TON explorers / toncenter report for the submitted message.
+ */
+function buildWalletV4Transfer({
+  wallet,
+  secretSeed,
+  seqno,
+  messages,
+  walletId = WALLET_V4_DEFAULT_ID + wallet.workchain,
+  validUntil = Math.floor(Date.now() / 1000) + 120,
+  sendMode = 3, // pay fees separately + ignore errors
+}) {
+  if (!Array.isArray(messages) || !messages.length || messages.length > 4) {
+    throw new Error("ton: wallet v4 transfer needs 1..4 messages");
+  }
+
+  const signing = beginCell()
+    .storeUint(walletId, 32)
+    .storeUint(validUntil, 32)
+    .storeUint(seqno, 32)
+    .storeUint(0, 8); // op: simple send
+
+  for (const m of messages) {
+    const internal = beginCell()
+      .storeBit(0) // int_msg_info$0
+      .storeBit(1) // ihr_disabled
+      .storeBit(m.bounce ? 1 : 0)
+      .storeBit(0) // bounced
+      .storeAddress(null) // src: filled in by the wallet
+      .storeAddress(m.to)
+      .storeCoins(m.amountNano)
+      .storeBit(0) // no extra currencies
+      .storeCoins(0) // ihr_fee
+      .storeCoins(0) // fwd_fee
+      .storeUint(0, 64) // created_lt
+      .storeUint(0, 32) // created_at
+      .storeBit(0) // no state init
+      .storeEither(m.comment ? commentCell(m.comment) : beginCell().endCell());
+    signing.storeUint(sendMode, 8).storeRef(internal.endCell());
+  }
+
+  const signingCell = signing.endCell();
+  const signature = crypto.sign(null, signingCell.hash(), ed25519KeyFromSeed(secretSeed));
+
+  const body = beginCell().storeBuffer(signature).storeCell(signingCell).endCell();
+
+  const ext = beginCell()
+    .storeUint(2, 2) // ext_in_msg_info$10
+    .storeAddress(null) // src: addr_none
+    .storeAddress(wallet)
+    .storeCoins(0) // import_fee
+    .storeBit(0) // no state init
+    .storeEither(body)
+    .endCell();
+
+  return { boc: serializeBoc(ext), hash: ext.hash().toString("hex") };
+}
+
+module.exports = {
+  WALLET_V4_DEFAULT_ID,
+  parseTonAddress,
+  beginCell,
+  serializeBoc,
+  buildWalletV4Transfer,
+};
@@ -0,0 +1,221 @@
+// lib/walletAddress.js
+// Server-side validation of withdrawal wallet addresses, one validator per
+// payout rail:
+// - ton:  raw "<workchain>:<64 hex>" or 48-char user-friendly form (CRC16 checked, see lib/ton.js)
+// - tron: base58check "T..." (version byte 0x41, double SHA-256 checksum)
+// - evm:  "0x" + 40 hex; mixed case must match the EIP-55 checksum
+//
+// Validators throw WalletAddressError with a `code` that the API returns as-is.
+
+const crypto = require("crypto");
+const { parseTonAddress } = require("./ton");
+
+const WALLET_RAILS = ["ton", "tron", "evm"];
+
+class WalletAddressError extends Error {
+  constructor(code, message, { rail = null } = {}) {
+    super(message || code);
+    this.name = "WalletAddressError";
+    this.code = code; // BAD_WALLET_FORMAT | BAD_WALLET_CHECKSUM | UNSUPPORTED_RAIL | WALLET_RAIL_MISMATCH
+    this.rail = rail;
+  }
+}
+
+// ------------ Keccak-256 (EIP-55) ------------
+
+// Node's crypto "sha3-256" is the NIST variant (different padding), so EVM
+// checksums need the original Keccak. Lanes are 64-bit BigInts; addresses are
+// short, so speed does not matter here.
+
+const MASK64 = (1n << 64n) - 1n;
+const KECCAK_RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+const KECCAK_ROTC = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const KECCAK_PILN = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+function rotl64(x, n) {
+  return ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK64;
+}
+
+function keccakF(st) {
+  const bc = new Array(5);
+  for (let round = 0; round < 24; round += 1) {
+    for (let i = 0; i < 5; i += 1) bc[i] = st[i] ^ st[i + 5] ^ st[i + 10] ^ st[i + 15] ^ st[i + 20];
+    for (let i = 0; i < 5; i += 1) {
+      const t = bc[(i + 4) % 5] ^ rotl64(bc[(i + 1) % 5], 1);
+      for (let j = 0; j < 25; j += 5) st[j + i] ^= t;
+    }
+
+    let t = st[1];
+    for (let i = 0; i < 24; i += 1) {
+      const j = KECCAK_PILN[i];
+      const next = st[j];
+      st[j] = rotl64(t, KECCAK_ROTC[i]);
+      t = next;
+    }
+
+    for (let j = 0; j < 25; j += 5) {
+      for (let i = 0; i < 5; i += 1) bc[i] = st[j + i];
+      for (let i = 0; i < 5; i += 1) st[j + i] ^= (bc[(i + 1) % 5] ^ MASK64) & bc[(i + 2) % 5];
+    }
+
+    st[0] ^= KECCAK_RC[round];
+  }
+}
+
+function keccak256(input) {
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(String(input), "utf8");
+  const rate = 136;
+  const padded = Buffer.alloc((Math.floor(data.length / rate) + 1) * rate);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const st = new Array(25).fill(0n);
+  for (let off = 0; off < padded.length; off += rate) {
+    for (let i = 0; i < rate / 8; i += 1) st[i] ^= padded.readBigUInt64LE(off + i * 8);
+    keccakF(st);
+  }
+
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i += 1) out.writeBigUInt64LE(st[i], i * 8);
+  return out;
+}
+
+// ------------ Base58 ------------
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function base58Decode(s) {
+  let n = 0n;
+  for (const ch of s) {
+    const v = BASE58_ALPHABET.indexOf(ch);
+    if (v < 0) return null;
+    n = n * 58n + BigInt(v);
+  }
+  let hex = n === 0n ? "" : n.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  let zeros = 0;
+  while (zeros < s.length && s[zeros] === "1") zeros += 1;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, "hex")]);
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest();
+}
+
+// ------------ Validators ------------
+
+function validateTonAddress(address) {
+  let parsed;
+  try {
+    parsed = parseTonAddress(address);
+  } catch (err) {
+    const code = /checksum/.test(err.message) ? "BAD_WALLET_CHECKSUM" : "BAD_WALLET_FORMAT";
+    throw new WalletAddressError(code, err.message, { rail: "ton" });
+  }
+  // Keep the user-friendly form as entered: it carries the bounceable flag
+  // the payout provider needs.
+  return { rail: "ton", address: String(address).trim(), raw: parsed.raw };
+}
+
+function validateTronAddress(address) {
+  const s = String(address).trim();
+  if (!/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(s)) {
+    throw new WalletAddressError("BAD_WALLET_FORMAT", "tron: bad address format", { rail: "tron" });
+  }
+  const bytes = base58Decode(s);
+  if (!bytes || bytes.length !== 25 || bytes[0] !== 0x41) {
+    throw new WalletAddressError("BAD_WALLET_FORMAT", "tron: bad address payload", { rail: "tron" });
+  }
+  const body = bytes.subarray(0, 21);
+  if (!sha256(sha256(body)).subarray(0, 4).equals(bytes.subarray(21))) {
+    throw new WalletAddressError("BAD_WALLET_CHECKSUM", "tron: bad address checksum", { rail: "tron" });
+  }
+  return { rail: "tron", address: s, raw: body.toString("hex") };
+}
+
+/**
+ * EIP-55 checksummed form of a 40-hex-char address (with or without 0x).
+ */
+function toEvmChecksumAddress(address) {
+  const lower = String(address).replace(/^0x/i, "").toLowerCase();
+  const hash = keccak256(lower).toString("hex");
+  let out = "0x";
+  for (let i = 0; i < lower.length; i += 1) {
+    out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return out;
+}
+
+function validateEvmAddress(address) {
+  const s = String(address).trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(s)) {
+    throw new WalletAddressError("BAD_WALLET_FORMAT", "evm: bad address format", { rail: "evm" });
+  }
+  const checksummed = toEvmChecksumAddress(s);
+  const body = s.slice(2);
+  // All-lowercase / all-uppercase addresses carry no checksum.
+  const hasChecksum = body !== body.toLowerCase() && body !== body.toUpperCase();
+  if (hasChecksum && s !== checksummed) {
+    throw new WalletAddressError("BAD_WALLET_CHECKSUM", "evm: bad address checksum", { rail: "evm" });
+  }
+  return { rail: "evm", address: checksummed, raw: body.toLowerCase() };
+}
+
+const VALIDATORS = {
+  ton: validateTonAddress,
+  tron: validateTronAddress,
+  evm: validateEvmAddress,
+};
+
+/**
+ * Guess the rail from the address shape alone (no checksum check).
+ * Returns 'ton' | 'tron' | 'evm' or null.
+ */
+function detectWalletRail(address) {
+  const s = String(address || "").trim();
+  if (/^0x[0-9a-fA-F]{40}$/.test(s)) return "evm";
+  if (/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(s)) return "tron";
+  if (/^-?\d+:[0-9a-fA-F]{64}$/.test(s) || /^[A-Za-z0-9+/_-]{48}$/.test(s)) return "ton";
+  return null;
+}
+
+/**
+ * Validate `address` for `rail`. Returns { rail, address (normalized), raw }
+ * or throws WalletAddressError. An address that is well-formed for another
+ * rail fails with WALLET_RAIL_MISMATCH instead of BAD_WALLET_FORMAT.
+ */
+function validateWalletAddress(rail, address) {
+  const r = String(rail || "").trim().toLowerCase();
+  const validate = VALIDATORS[r];
+  if (!validate) {
+    throw new WalletAddressError("UNSUPPORTED_RAIL", `unsupported rail "${rail}"`, { rail: r || null });
+  }
+  try {
+    return validate(address);
+  } catch (err) {
+    const detected = detectWalletRail(address);
+    if (err.code === "BAD_WALLET_FORMAT" && detected && detected !== r) {
+      throw new WalletAddressError("WALLET_RAIL_MISMATCH", `address looks like ${detected}, not ${r}`, {
+        rail: r,
+      });
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  WALLET_RAILS,
+  WalletAddressError,
+  keccak256,
+  toEvmChecksumAddress,
+  detectWalletRail,
+  validateWalletAddress,
+};
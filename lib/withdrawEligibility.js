@@ -0,0 +1,163 @@
+// lib/withdrawEligibility.js
+// Shared withdrawal eligibility rules. /api/withdraw/status shows them as the
+// readiness checklist, /api/withdraw/request enforces them.
+//
+// Rules come from env defaults below, overridden by app_settings key
+// "withdraw_eligibility", e.g.:
+//
+//   {
+//     "min_account_age_hours": 48,
+//     "max_fraud_score": 10,
+//     "daily_cap": 20000,
+//     "weekly_cap": 50000,
+//     "kyc_caps": { "1": { "daily_cap": 100000, "weekly_cap": 300000 } }
+//   }
+//
+// Caps are in coins over a rolling 24h / 7d window and count every request
+// that still holds or has paid out coins; 0 disables a cap. kyc_caps replaces
+// the caps for users at (or above) a given users.kyc_tier.
+
+const { getConfigValue } = require("./config");
+
+const ELIGIBILITY_DEFAULTS = {
+  min_account_age_hours: Number(process.env.WITHDRAW_MIN_ACCOUNT_AGE_HOURS || 24),
+  min_sponsor_claims_7d: Number(process.env.WITHDRAW_MIN_SPONSOR_CLAIMS_7D || 2),
+  max_fraud_score: Number(process.env.WITHDRAW_MAX_FRAUD_SCORE || 20),
+  daily_cap: Number(process.env.WITHDRAW_DAILY_CAP || 0),
+  weekly_cap: Number(process.env.WITHDRAW_WEEKLY_CAP || 0),
+  min_kyc_tier: Number(process.env.WITHDRAW_MIN_KYC_TIER || 0),
+  kyc_caps: {},
+};
+
+// Statuses that no longer hold the user's coins.
+const RELEASED_WITHDRAW_STATUSES = ["rejected", "failed_onchain", "cancelled"];
+
+/**
+ * Merge env defaults with app_settings.withdraw_eligibility.
+ */
+function resolveEligibilityRules(config) {
+  const overrides = getConfigValue(config, "withdraw_eligibility", {}) || {};
+  const rules = { ...ELIGIBILITY_DEFAULTS };
+  for (const key of Object.keys(ELIGIBILITY_DEFAULTS)) {
+    if (overrides[key] == null) continue;
+    rules[key] = key === "kyc_caps" ? overrides[key] : Number(overrides[key]);
+  }
+  return rules;
+}
+
+// Caps for a KYC tier: the highest kyc_caps entry <= tier, else the base caps.
+function capsForTier(rules, tier) {
+  let best = null;
+  for (const [k, caps] of Object.entries(rules.kyc_caps || {})) {
+    const t = Number(k);
+    if (Number.isFinite(t) && t <= tier && (best === null || t > best.tier)) best = { tier: t, caps };
+  }
+  return {
+    daily_cap: Number(best?.caps?.daily_cap ?? rules.daily_cap) || 0,
+    weekly_cap: Number(best?.caps?.weekly_cap ?? rules.weekly_cap) || 0,
+  };
+}
+
+async function loadEligibilityStats(db, userId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      (SELECT COUNT(*)::int
+       FROM public.user_missions um
+       JOIN public.missions m ON m.id = um.mission_id
+       WHERE um.user_id = $1
+         AND m.code like 'sp_%'
+         AND um.reward_applied = TRUE
+         AND um.claimed_at IS NOT NULL
+         AND um.claimed_at > (NOW() - INTERVAL '7 days')) AS sponsor_claims_7d,
+      (SELECT COALESCE(SUM(amount), 0)::bigint
+       FROM public.withdraw_requests
+       WHERE user_id = $1
+         AND status <> ALL($2::text[])
+         AND created_at > NOW() - INTERVAL '24 hours') AS withdrawn_24h,
+      (SELECT COALESCE(SUM(amount), 0)::bigint
+       FROM public.withdraw_requests
+       WHERE user_id = $1
+         AND status <> ALL($2::text[])
+         AND created_at > NOW() - INTERVAL '7 days') AS withdrawn_7d;
+    `,
+    [userId, RELEASED_WITHDRAW_STATUSES]
+  );
+  const r = rows[0] || {};
+  return {
+    sponsorClaims7d: Number(r.sponsor_claims_7d || 0),
+    withdrawn24h: Number(r.withdrawn_24h || 0),
+    withdrawn7d: Number(r.withdrawn_7d || 0),
+  };
+}
+
+function capCheck(limit, used, amount) {
+  if (!limit) return { ok: true, limit: null, used, remaining: null };
+  const remaining = Math.max(0, limit - used);
+  return { ok: amount == null ? remaining > 0 : amount <= remaining, limit, used, remaining };
+}
+
+/**
+ * Evaluate every eligibility rule for `user` (a public.users row).
+ * `amount` is the requested withdrawal; without it the caps only check that
+ * some allowance is left. `db` is the pool or a transaction client.
+ *
+ * Returns { eligible, rules, checks, reasons } where reasons lists the error
+ * codes of the failed rules (ACCOUNT_TOO_NEW, SPONSOR_CLAIMS_REQUIRED,
+ * FRAUD_SCORE_TOO_HIGH, KYC_TIER_REQUIRED, DAILY_CAP_EXCEEDED, WEEKLY_CAP_EXCEEDED).
+ */
+async function evaluateWithdrawEligibility(db, { user, amount = null, config = {} }) {
+  const rules = resolveEligibilityRules(config);
+  const stats = await loadEligibilityStats(db, user.id);
+
+  const created = user.created_at ? new Date(user.created_at) : null;
+  const ageHours = created && !isNaN(created) ? (Date.now() - created.getTime()) / 3600000 : null;
+  const fraudScore = Number(user.fraud_score || 0);
+  const kycTier = Number(user.kyc_tier || 0);
+  const caps = capsForTier(rules, kycTier);
+
+  const checks = {
+    account_age: {
+      ok: ageHours === null || ageHours >= rules.min_account_age_hours,
+      hours: ageHours === null ? null : Math.floor(ageHours),
+      required: rules.min_account_age_hours,
+    },
+    sponsor_claims_7d: {
+      ok: stats.sponsorClaims7d >= rules.min_sponsor_claims_7d,
+      count: stats.sponsorClaims7d,
+      required: rules.min_sponsor_claims_7d,
+    },
+    fraud_score: {
+      ok: fraudScore <= rules.max_fraud_score,
+      max: rules.max_fraud_score,
+    },
+    kyc_tier: {
+      ok: kycTier >= rules.min_kyc_tier,
+      tier: kycTier,
+      required: rules.min_kyc_tier,
+    },
+    daily_cap: capCheck(caps.daily_cap, stats.withdrawn24h, amount),
+    weekly_cap: capCheck(caps.weekly_cap, stats.withdrawn7d, amount),
+  };
+
+  const reasonByCheck = {
+    account_age: "ACCOUNT_TOO_NEW",
+    sponsor_claims_7d: "SPONSOR_CLAIMS_REQUIRED",
+    fraud_score: "FRAUD_SCORE_TOO_HIGH",
+    kyc_tier: "KYC_TIER_REQUIRED",
+    daily_cap: "DAILY_CAP_EXCEEDED",
+    weekly_cap: "WEEKLY_CAP_EXCEEDED",
+  };
+  const reasons = Object.keys(reasonByCheck)
+    .filter((k) => !checks[k].ok)
+    .map((k) => reasonByCheck[k]);
+
+  return { eligible: reasons.length === 0, rules, checks, reasons };
+}
+
+module.exports = {
+  ELIGIBILITY_DEFAULTS,
+  RELEASED_WITHDRAW_STATUSES,
+  resolveEligibilityRules,
+  evaluateWithdrawEligibility,
+};
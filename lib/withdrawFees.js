@@ -0,0 +1,213 @@
+// lib/withdrawFees.js
+// Withdrawal fees, coin -> token conversion rates and quotes.
+//
+// Fees are per payout rail, in coins, from app_settings key "withdraw_fees":
+//
+//   {
+//     "ton":  { "type": "flat", "amount": 100 },
+//     "tron": { "type": "percent", "percent": 1.5, "min": 50, "max": 5000 }
+//   }
+//
+// Rates are tokens paid per coin, per rail, from app_settings key
+// "withdraw_rates". Each rail keeps an effective-dated history; a quote uses
+// the latest entry whose effective_from is not in the future:
+//
+//   {
+//     "ton": {
+//       "token": "TON",
+//       "decimals": 9,
+//       "history": [
+//         { "rate": "0.00001", "effective_from": "2026-09-01T00:00:00Z" },
+//         { "rate": "0.000012", "effective_from": "2026-10-01T00:00:00Z" }
+//       ]
+//     }
+//   }
+//
+// The quote is locked onto withdraw_requests (fee, net_amount, rate,
+// token_amount, quote) when the request is made. The fee stays in
+// escrow:withdrawals until the payout settles, then moves to sink:withdraw_fees
+// while the net amount is burned (settleWithdrawEscrowTx).
+
+const { getConfigValue } = require("./config");
+const { transferSystemBalanceTx } = require("./ledger");
+
+const DEFAULT_FEE = { type: "flat", amount: 0 };
+
+// Rates are parsed with this many decimals before conversion.
+const RATE_SCALE = 18;
+
+// Rails paid in a native token with fixed on-chain precision (TON: nanotons).
+const RAIL_TOKEN_DECIMALS = { ton: 9 };
+
+/**
+ * Whether `decimals` is a usable token precision for `rail`: an integer in
+ * 0..RATE_SCALE, and exactly the chain's precision where it is fixed.
+ */
+function isValidTokenDecimals(rail, decimals) {
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > RATE_SCALE) return false;
+  const fixed = RAIL_TOKEN_DECIMALS[rail];
+  return fixed == null || decimals === fixed;
+}
+
+function resolveFeeSchedule(config, rail) {
+  const fees = getConfigValue(config, "withdraw_fees", {}) || {};
+  return fees[rail] ? { ...fees[rail] } : { ...DEFAULT_FEE };
+}
+
+/**
+ * Fee in coins for withdrawing `amount` coins on `rail`.
+ */
+function computeWithdrawFee(schedule, amount) {
+  let fee;
+  if (schedule.type === "percent") {
+    fee = Math.ceil((amount * Number(schedule.percent || 0)) / 100);
+    if (schedule.min != null) fee = Math.max(fee, Number(schedule.min));
+    if (schedule.max != null) fee = Math.min(fee, Number(schedule.max));
+  } else {
+    fee = Number(schedule.amount || 0);
+  }
+  return Math.max(0, Math.floor(fee) || 0);
+}
+
+/**
+ * Rate history for a rail, oldest first: { token, decimals, history: [{ rate, effective_from }] }.
+ */
+function resolveRateTable(config, rail) {
+  const rates = getConfigValue(config, "withdraw_rates", {}) || {};
+  const entry = rates[rail] || {};
+  const history = (Array.isArray(entry.history) ? entry.history : [])
+    .filter((h) => h && h.rate != null && !isNaN(new Date(h.effective_from)))
+    .sort((a, b) => new Date(a.effective_from) - new Date(b.effective_from));
+  return {
+    token: entry.token || rail.toUpperCase(),
+    decimals: Number.isInteger(Number(entry.decimals))
+      ? Number(entry.decimals)
+      : RAIL_TOKEN_DECIMALS[rail] != null ? RAIL_TOKEN_DECIMALS[rail] : 9,
+    history,
+  };
+}
+
+/**
+ * Rate in effect at `at` (Date) for a rail, or null if none is configured yet.
+ */
+function resolveRate(config, rail, at = new Date()) {
+  const table = resolveRateTable(config, rail);
+  let current = null;
+  for (const h of table.history) {
+    if (new Date(h.effective_from) <= at) current = h;
+  }
+  if (!current) return null;
+  return {
+    token: table.token,
+    decimals: table.decimals,
+    rate: normalizeRate(current.rate),
+    effective_from: new Date(current.effective_from).toISOString(),
+  };
+}
+
+// Rates may be stored as JSON numbers; 1e-7 must not reach parseDecimalUnits.
+function normalizeRate(rate) {
+  if (typeof rate === "number") {
+    return rate.toFixed(RATE_SCALE).replace(/0+$/, "").replace(/\.$/, "");
+  }
+  return String(rate).trim();
+}
+
+// "1.25" -> 1250000000n for decimals = 9 (extra digits are truncated).
+function parseDecimalUnits(value, decimals) {
+  const m = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+  if (!m) throw new Error(`bad decimal "${value}"`);
+  const frac = (m[2] || "").slice(0, decimals).padEnd(decimals, "0");
+  return BigInt(m[1] + frac);
+}
+
+function formatUnits(units, decimals) {
+  const s = units.toString().padStart(decimals + 1, "0");
+  const int = s.slice(0, s.length - decimals);
+  const frac = s.slice(s.length - decimals).replace(/0+$/, "");
+  return frac ? `${int}.${frac}` : int;
+}
+
+/**
+ * Quote a withdrawal of `amount` coins on `rail`.
+ * Returns { rail, amount, fee, net_amount, fee_schedule, rate, token,
+ * token_decimals, token_amount, rate_effective_from, quoted_at }, where the rate
+ * fields are null when no rate is configured, or throws if the fee would eat
+ * the whole amount (err.code = 'FEE_EXCEEDS_AMOUNT').
+ */
+function quoteWithdraw({ config = {}, rail, amount, at = new Date() }) {
+  const schedule = resolveFeeSchedule(config, rail);
+  const fee = computeWithdrawFee(schedule, amount);
+  const netAmount = amount - fee;
+  if (netAmount <= 0) {
+    const err = new Error("withdraw fee exceeds amount");
+    err.code = "FEE_EXCEEDS_AMOUNT";
+    throw err;
+  }
+
+  const rate = resolveRate(config, rail, at);
+  let tokenAmount = null;
+  if (rate) {
+    const units = (BigInt(netAmount) * parseDecimalUnits(rate.rate, RATE_SCALE)) / 10n ** BigInt(RATE_SCALE - rate.decimals);
+    tokenAmount = formatUnits(units, rate.decimals);
+  }
+
+  return {
+    rail,
+    amount,
+    fee,
+    net_amount: netAmount,
+    fee_schedule: schedule,
+    rate: rate ? rate.rate : null,
+    token: rate ? rate.token : null,
+    token_decimals: rate ? rate.decimals : null,
+    token_amount: tokenAmount,
+    rate_effective_from: rate ? rate.effective_from : null,
+    quoted_at: at.toISOString(),
+  };
+}
+
+/**
+ * A withdrawal's payout settled: release its escrow. The net amount is burned,
+ * the fee (locked on the row) goes to sink:withdraw_fees.
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ */
+async function settleWithdrawEscrowTx(client, withdraw) {
+  const amount = Number(withdraw.amount || 0);
+  const fee = Math.min(amount, Math.max(0, Number(withdraw.fee || 0)));
+  const base = {
+    fromAccount: "escrow:withdrawals",
+    userId: withdraw.user_id,
+    refType: "withdraw_request",
+    refId: withdraw.id,
+  };
+  if (amount - fee > 0) {
+    await transferSystemBalanceTx(client, {
+      ...base,
+      toAccount: "burn:withdrawals",
+      amount: amount - fee,
+      reason: "withdraw_paid",
+    });
+  }
+  if (fee > 0) {
+    await transferSystemBalanceTx(client, {
+      ...base,
+      toAccount: "sink:withdraw_fees",
+      amount: fee,
+      reason: "withdraw_fee",
+    });
+  }
+}
+
+module.exports = {
+  RAIL_TOKEN_DECIMALS,
+  isValidTokenDecimals,
+  resolveFeeSchedule,
+  computeWithdrawFee,
+  resolveRateTable,
+  resolveRate,
+  normalizeRate,
+  parseDecimalUnits,
+  quoteWithdraw,
+  settleWithdrawEscrowTx,
+};
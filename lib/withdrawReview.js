@@ -0,0 +1,185 @@
+// lib/withdrawReview.js
+// Review step for new withdrawals: risk scoring, auto-approval of low-risk
+// requests, and the shared "approved -> payout queue" hand-off used by both
+// the withdraw_risk_review job and the admin approve button.
+//
+// Every new request is scored by the withdraw_risk_review job. Each signal
+// that trips its threshold adds a reason with points:
+//
+//   HIGH_FRAUD_SCORE  users.fraud_score above max_fraud_score
+//   SHARED_DEVICE     a user_devices fingerprint is also used by other accounts
+//   NEW_ACCOUNT       account younger than min_account_age_hours
+//   TAP_HEAVY         share of earned coins from taps above max_tap_share
+//   PURCHASE_FUNDED   share of earned coins from purchases above max_purchase_share
+//   LARGE_AMOUNT      amount above max_amount
+//
+// A request auto-approves when auto-approval is enabled and the total stays
+// within max_score; otherwise it stays 'pending' for manual review with the
+// reasons attached (withdraw_requests.risk_*). Rules are tunable through
+// app_settings key "withdraw_auto_approval", e.g.:
+//
+//   { "enabled": true, "max_amount": 10000, "points": { "NEW_ACCOUNT": 30 } }
+
+const { getConfigValue } = require("./config");
+const { enqueueJobTx } = require("./jobs");
+const { WITHDRAW_PAYOUT_MODE, WITHDRAW_BATCH_THRESHOLD } = require("./payoutProvider");
+
+const AUTO_APPROVAL_DEFAULTS = {
+  enabled:
+    String(process.env.WITHDRAW_AUTO_APPROVE || "0").toLowerCase() === "1" ||
+    String(process.env.WITHDRAW_AUTO_APPROVE || "0").toLowerCase() === "true",
+  max_score: 25,
+  max_amount: Number(process.env.WITHDRAW_AUTO_APPROVE_MAX_AMOUNT || 5000),
+  max_fraud_score: 5,
+  max_shared_device_users: 0,
+  min_account_age_hours: 72,
+  max_tap_share: 0.95,
+  max_purchase_share: 0.5,
+  points: {
+    HIGH_FRAUD_SCORE: 100,
+    SHARED_DEVICE: 40,
+    NEW_ACCOUNT: 15,
+    TAP_HEAVY: 15,
+    PURCHASE_FUNDED: 30,
+    LARGE_AMOUNT: 100,
+  },
+};
+
+/**
+ * Merge defaults with app_settings.withdraw_auto_approval.
+ */
+function resolveAutoApprovalRules(config) {
+  const overrides = getConfigValue(config, "withdraw_auto_approval", {}) || {};
+  return {
+    ...AUTO_APPROVAL_DEFAULTS,
+    ...overrides,
+    points: { ...AUTO_APPROVAL_DEFAULTS.points, ...(overrides.points || {}) },
+  };
+}
+
+async function loadRiskSignalsTx(client, userId) {
+  const { rows } = await client.query(
+    `
+    SELECT
+      (SELECT COUNT(DISTINCT d2.user_id)::int
+       FROM public.user_devices d1
+       JOIN public.user_devices d2
+         ON d2.fingerprint = d1.fingerprint AND d2.user_id <> d1.user_id
+       WHERE d1.user_id = $1) AS shared_device_users,
+      COALESCE(SUM(l.delta) FILTER (WHERE l.delta > 0), 0)::bigint AS earned,
+      COALESCE(SUM(l.delta) FILTER (WHERE l.delta > 0 AND l.counter_account = 'mint:taps'), 0)::bigint AS from_taps,
+      COALESCE(SUM(l.delta) FILTER (WHERE l.delta > 0 AND l.counter_account = 'mint:missions'), 0)::bigint AS from_sponsors,
+      COALESCE(SUM(l.delta) FILTER (WHERE l.delta > 0 AND l.counter_account = 'mint:purchases'), 0)::bigint AS from_purchases,
+      COALESCE((SELECT pending_delta FROM public.tap_reward_buffer WHERE user_id = $1), 0)::bigint AS buffered_taps
+    FROM public.user_balance_ledger l
+    WHERE l.user_id = $1
+    `,
+    [userId]
+  );
+  const r = rows[0] || {};
+  // Tap rewards still in tap_reward_buffer are credited but not yet in the ledger.
+  const bufferedTaps = Math.max(0, Number(r.buffered_taps || 0));
+  const earned = Number(r.earned || 0) + bufferedTaps;
+  const share = (v) => (earned > 0 ? Number(v) / earned : 0);
+  return {
+    sharedDeviceUsers: Number(r.shared_device_users || 0),
+    earned,
+    tapShare: share(Number(r.from_taps || 0) + bufferedTaps),
+    sponsorShare: share(r.from_sponsors || 0),
+    purchaseShare: share(r.from_purchases || 0),
+  };
+}
+
+/**
+ * Score one withdraw_requests row for `user` (a public.users row).
+ * Must be called WITHIN an existing transaction using the passed `client`.
+ *
+ * Returns { score, decision: 'auto_approve' | 'manual_review', reasons, signals }
+ * where reasons is [{ code, points, detail }].
+ */
+async function scoreWithdrawRiskTx(client, { withdraw, user, config = {} }) {
+  const rules = resolveAutoApprovalRules(config);
+  const signals = await loadRiskSignalsTx(client, user.id);
+
+  const created = user.created_at ? new Date(user.created_at) : null;
+  const ageHours = created && !isNaN(created) ? (Date.now() - created.getTime()) / 3600000 : null;
+  const fraudScore = Number(user.fraud_score || 0);
+  const amount = Number(withdraw.amount || 0);
+  const round2 = (v) => Math.round(v * 100) / 100;
+
+  const reasons = [];
+  const flag = (code, detail) => reasons.push({ code, points: Number(rules.points[code] || 0), detail });
+
+  if (fraudScore > rules.max_fraud_score) {
+    flag("HIGH_FRAUD_SCORE", { fraud_score: fraudScore, max: rules.max_fraud_score });
+  }
+  if (signals.sharedDeviceUsers > rules.max_shared_device_users) {
+    flag("SHARED_DEVICE", { other_users: signals.sharedDeviceUsers, max: rules.max_shared_device_users });
+  }
+  if (ageHours !== null && ageHours < rules.min_account_age_hours) {
+    flag("NEW_ACCOUNT", { hours: Math.floor(ageHours), min: rules.min_account_age_hours });
+  }
+  if (signals.tapShare > rules.max_tap_share) {
+    flag("TAP_HEAVY", { share: round2(signals.tapShare), max: rules.max_tap_share });
+  }
+  if (signals.purchaseShare > rules.max_purchase_share) {
+    flag("PURCHASE_FUNDED", { share: round2(signals.purchaseShare), max: rules.max_purchase_share });
+  }
+  if (amount > rules.max_amount) {
+    flag("LARGE_AMOUNT", { amount, max: rules.max_amount });
+  }
+
+  const score = reasons.reduce((sum, r) => sum + r.points, 0);
+  const decision = rules.enabled && score <= rules.max_score ? "auto_approve" : "manual_review";
+
+  return {
+    score,
+    decision,
+    reasons,
+    signals: {
+      fraud_score: fraudScore,
+      account_age_hours: ageHours === null ? null : Math.floor(ageHours),
+      shared_device_users: signals.sharedDeviceUsers,
+      earned: signals.earned,
+      tap_share: round2(signals.tapShare),
+      sponsor_share: round2(signals.sponsorShare),
+      purchase_share: round2(signals.purchaseShare),
+      auto_approval_enabled: Boolean(rules.enabled),
+    },
+  };
+}
+
+/**
+ * Queue the payout for a request that was just approved, in the same
+ * transaction as the status change (deduplicated per withdrawal, so a double
+ * click reuses the live job). In batch mode the request waits for
+ * withdraw_batch_payout, which is triggered early once WITHDRAW_BATCH_THRESHOLD
+ * requests are waiting.
+ */
+async function enqueueApprovedPayoutTx(client, withdraw) {
+  if (WITHDRAW_PAYOUT_MODE === "batch") {
+    const waiting = await client.query(
+      `SELECT COUNT(*)::int AS c
+       FROM public.withdraw_requests
+       WHERE status = 'approved' AND payout_batch_id IS NULL AND payout_error IS NULL`
+    );
+    if (waiting.rows[0].c >= WITHDRAW_BATCH_THRESHOLD) {
+      await enqueueJobTx(client, "withdraw_batch_payout", {});
+    }
+    return;
+  }
+
+  await enqueueJobTx(client, "withdraw_payout", {
+    withdraw_id: withdraw.id,
+    user_id: withdraw.user_id,
+    amount: Number(withdraw.amount || 0),
+    wallet: withdraw.wallet,
+  });
+}
+
+module.exports = {
+  AUTO_APPROVAL_DEFAULTS,
+  resolveAutoApprovalRules,
+  scoreWithdrawRiskTx,
+  enqueueApprovedPayoutTx,
+};
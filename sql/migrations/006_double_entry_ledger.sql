@@ -0,0 +1,88 @@
+-- 006_double_entry_ledger.sql
+-- Double-entry bookkeeping for coin balances.
+--
+-- Every user_balance_ledger row is now paired with an opposite entry on a named
+-- system account (mint:taps, escrow:withdrawals, sink:vip, ...). Both sides share
+-- a txn_id, so each transaction sums to zero and total supply can be reconciled
+-- against issuance sources.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.user_balance_ledger
+  ADD COLUMN IF NOT EXISTS txn_id uuid,
+  ADD COLUMN IF NOT EXISTS counter_account text;
+
+CREATE INDEX IF NOT EXISTS user_balance_ledger_txn_id_idx
+  ON public.user_balance_ledger (txn_id);
+
+-- Registry of system accounts. Entries are not FK-bound to it so a new reason can
+-- ship before the registry row exists; unknown codes show up with kind = NULL below.
+CREATE TABLE IF NOT EXISTS public.ledger_system_accounts (
+  code text PRIMARY KEY,
+  kind text NOT NULL, -- mint | escrow | sink | burn | suspense
+  description text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.ledger_system_accounts (code, kind, description) VALUES
+  ('mint:taps', 'mint', 'Tap rewards'),
+  ('mint:referrals', 'mint', 'Referral rewards'),
+  ('mint:bonuses', 'mint', 'Early access and daily check-in bonuses'),
+  ('mint:missions', 'mint', 'Mission and sponsor quest payouts'),
+  ('mint:rewards', 'mint', 'Generic rewards (ads, legacy reward types)'),
+  ('mint:purchases', 'mint', 'Coins bought via Stripe / Coinbase'),
+  ('escrow:withdrawals', 'escrow', 'Coins reserved by pending withdrawals'),
+  ('burn:withdrawals', 'burn', 'Coins paid out by completed withdrawals'),
+  ('sink:vip', 'sink', 'VIP purchases with points'),
+  ('sink:boosts', 'sink', 'Energy refill and double boost purchases'),
+  ('suspense:unmapped', 'suspense', 'Ledger reasons without an account mapping')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.ledger_system_entries (
+  id bigserial PRIMARY KEY,
+  txn_id uuid NOT NULL,
+  account_code text NOT NULL,
+  delta bigint NOT NULL,
+  user_id int4 REFERENCES public.users(id) ON DELETE SET NULL,
+  user_ledger_id bigint,
+  reason text NOT NULL,
+  ref_type text,
+  ref_id bigint,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_system_entries_account_idx
+  ON public.ledger_system_entries (account_code, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS ledger_system_entries_txn_id_idx
+  ON public.ledger_system_entries (txn_id);
+
+-- Running balance per system account. Mint accounts go negative by the amount issued.
+CREATE OR REPLACE VIEW public.ledger_system_balances AS
+SELECT
+  e.account_code,
+  a.kind,
+  COALESCE(SUM(e.delta), 0) AS balance,
+  COUNT(*) AS entries,
+  MAX(e.created_at) AS last_entry_at
+FROM public.ledger_system_entries e
+LEFT JOIN public.ledger_system_accounts a ON a.code = e.account_code
+GROUP BY e.account_code, a.kind;
+
+-- Transactions whose user + system legs do not sum to zero (should always be empty).
+CREATE OR REPLACE VIEW public.ledger_unbalanced_transactions AS
+SELECT txn_id, SUM(delta) AS imbalance
+FROM (
+  SELECT txn_id, delta FROM public.user_balance_ledger WHERE txn_id IS NOT NULL
+  UNION ALL
+  SELECT txn_id, delta FROM public.ledger_system_entries
+) legs
+GROUP BY txn_id
+HAVING SUM(delta) <> 0;
+
+-- Supply reconciliation: coins held by users vs. net issuance recorded on system accounts.
+-- Rows written before this migration have no txn_id and show up as legacy_unpaired.
+CREATE OR REPLACE VIEW public.ledger_supply_reconciliation AS
+SELECT
+  (SELECT COALESCE(SUM(balance), 0) FROM public.users) AS user_supply,
+  (SELECT -COALESCE(SUM(delta), 0) FROM public.ledger_system_entries) AS system_issuance,
+  (SELECT COALESCE(SUM(delta), 0) FROM public.user_balance_ledger WHERE txn_id IS NULL) AS legacy_unpaired;
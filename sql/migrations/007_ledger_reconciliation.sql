@@ -0,0 +1,36 @@
+-- 007_ledger_reconciliation.sql
+-- Reports for the periodic reconcile_ledger worker job (users.balance vs SUM(ledger delta)).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.ledger_reconciliation_runs (
+  id bigserial PRIMARY KEY,
+  status text NOT NULL DEFAULT 'running', -- running | completed
+  enqueue_sync boolean NOT NULL DEFAULT FALSE,
+  batch_size int4 NOT NULL DEFAULT 500,
+  users_checked int4 NOT NULL DEFAULT 0,
+  drifted_count int4 NOT NULL DEFAULT 0,
+  total_abs_drift bigint NOT NULL DEFAULT 0,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS public.ledger_reconciliation_drift (
+  id bigserial PRIMARY KEY,
+  run_id bigint NOT NULL REFERENCES public.ledger_reconciliation_runs(id) ON DELETE CASCADE,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  balance bigint NOT NULL,
+  ledger_balance bigint NOT NULL,
+  drift bigint NOT NULL, -- balance - ledger_balance
+  sync_job_id bigint,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_reconciliation_drift_run_idx
+  ON public.ledger_reconciliation_drift (run_id);
+
+CREATE INDEX IF NOT EXISTS ledger_reconciliation_runs_started_idx
+  ON public.ledger_reconciliation_runs (started_at DESC);
+
+-- Speeds up the per-user SUM(delta) done by every batch.
+CREATE INDEX IF NOT EXISTS user_balance_ledger_user_id_idx
+  ON public.user_balance_ledger (user_id);
@@ -0,0 +1,6 @@
+-- 008_ledger_history_index.sql
+-- Supports /api/wallet/history (per-user ledger entries, newest first).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE INDEX IF NOT EXISTS user_balance_ledger_user_created_idx
+  ON public.user_balance_ledger (user_id, created_at DESC, id DESC);
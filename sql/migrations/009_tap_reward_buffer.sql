@@ -0,0 +1,28 @@
+-- 009_tap_reward_buffer.sql
+-- Buffered tap rewards: taps credit users.balance immediately but are written to
+-- user_balance_ledger as one aggregated 'tap_batch' row per flush instead of one
+-- row per tap. See lib/tapBuffer.js.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.tap_reward_buffer (
+  user_id int4 PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  pending_delta bigint NOT NULL DEFAULT 0,
+  pending_taps int4 NOT NULL DEFAULT 0,
+  first_tap_at timestamptz NOT NULL DEFAULT now(),
+  last_tap_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS tap_reward_buffer_first_tap_idx
+  ON public.tap_reward_buffer (first_tap_at);
+
+-- Free-form metadata for aggregated ledger rows (e.g. tap_count for tap_batch).
+ALTER TABLE public.user_balance_ledger
+  ADD COLUMN IF NOT EXISTS meta jsonb;
+
+-- Buffered taps are already in users.balance but not yet in the ledger.
+CREATE OR REPLACE VIEW public.ledger_supply_reconciliation AS
+SELECT
+  (SELECT COALESCE(SUM(balance), 0) FROM public.users) AS user_supply,
+  (SELECT -COALESCE(SUM(delta), 0) FROM public.ledger_system_entries) AS system_issuance,
+  (SELECT COALESCE(SUM(delta), 0) FROM public.user_balance_ledger WHERE txn_id IS NULL) AS legacy_unpaired,
+  (SELECT COALESCE(SUM(pending_delta), 0) FROM public.tap_reward_buffer) AS buffered_taps;
@@ -0,0 +1,32 @@
+-- 010_balance_snapshots.sql
+-- Per-user ledger balance checkpoints (end of every UTC day + season boundaries).
+-- Point-in-time balance = nearest snapshot at or before T + ledger deltas after it.
+-- Written by the snapshot_balances worker job.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.balance_snapshot_runs (
+  id bigserial PRIMARY KEY,
+  kind text NOT NULL, -- daily | season | manual
+  snapshot_at timestamptz NOT NULL,
+  season_id int4,
+  status text NOT NULL DEFAULT 'running', -- running | completed
+  users_written int4 NOT NULL DEFAULT 0,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  UNIQUE (kind, snapshot_at)
+);
+
+CREATE TABLE IF NOT EXISTS public.balance_snapshots (
+  id bigserial PRIMARY KEY,
+  run_id bigint REFERENCES public.balance_snapshot_runs(id) ON DELETE SET NULL,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  balance bigint NOT NULL, -- SUM(ledger delta) with created_at <= snapshot_at
+  snapshot_at timestamptz NOT NULL,
+  kind text NOT NULL,
+  season_id int4,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, snapshot_at)
+);
+
+CREATE INDEX IF NOT EXISTS balance_snapshots_user_at_idx
+  ON public.balance_snapshots (user_id, snapshot_at DESC);
@@ -0,0 +1,22 @@
+-- 011_jobs_priority_queues.sql
+-- Named queues + per-job priority for public.jobs (see lib/jobs.js, worker.js).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.jobs
+  ADD COLUMN IF NOT EXISTS queue text NOT NULL DEFAULT 'default',
+  ADD COLUMN IF NOT EXISTS priority integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_by text,
+  ADD COLUMN IF NOT EXISTS locked_at timestamptz;
+
+-- Existing rows: move known job types onto their queues.
+UPDATE public.jobs SET queue = 'payouts', priority = 100
+WHERE type = 'withdraw_payout' AND queue = 'default' AND status = 'pending';
+
+UPDATE public.jobs SET queue = 'housekeeping'
+WHERE type IN ('sync_user', 'reconcile_ledger', 'snapshot_balances')
+  AND queue = 'default' AND status = 'pending';
+
+-- Worker claim order: per queue, highest priority first, then oldest run_at.
+CREATE INDEX IF NOT EXISTS jobs_queue_pending_idx
+  ON public.jobs (queue, priority DESC, run_at ASC)
+  WHERE status = 'pending';
@@ -0,0 +1,62 @@
+-- 012_jobs_backoff_dead_letter.sql
+-- Per-attempt error history on jobs + dead-letter table for exhausted jobs.
+-- Failed attempts are retried with exponential backoff (see lib/jobs.js); once a
+-- job runs out of attempts (or fails permanently) it is moved out of public.jobs
+-- into public.jobs_dead_letter, from where admins can requeue it.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.jobs
+  ADD COLUMN IF NOT EXISTS error_history jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TABLE IF NOT EXISTS public.jobs_dead_letter (
+  id bigserial PRIMARY KEY,
+  job_id bigint NOT NULL,
+  type text NOT NULL,
+  payload_json jsonb NOT NULL,
+  queue text NOT NULL DEFAULT 'default',
+  priority integer NOT NULL DEFAULT 0,
+  attempts integer NOT NULL DEFAULT 0,
+  last_error text,
+  error_history jsonb NOT NULL DEFAULT '[]'::jsonb,
+  permanent boolean NOT NULL DEFAULT FALSE,
+  job_created_at timestamptz,
+  dead_at timestamptz NOT NULL DEFAULT now(),
+  requeued_at timestamptz,
+  requeued_job_id bigint,
+  requeued_by text
+);
+
+CREATE INDEX IF NOT EXISTS jobs_dead_letter_open_idx
+  ON public.jobs_dead_letter (dead_at DESC)
+  WHERE requeued_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS jobs_dead_letter_type_idx
+  ON public.jobs_dead_letter (type, dead_at DESC);
+
+-- Legacy rows: jobs marked 'failed' before this migration, with a single history entry.
+INSERT INTO public.jobs_dead_letter (
+  job_id, type, payload_json, queue, priority, attempts, last_error,
+  error_history, job_created_at, dead_at
+)
+SELECT
+  j.id, j.type, j.payload_json, j.queue, j.priority, j.attempts, j.last_error,
+  CASE WHEN j.last_error IS NULL THEN '[]'::jsonb
+       ELSE jsonb_build_array(jsonb_build_object(
+         'at', j.updated_at, 'attempt', j.attempts, 'error', j.last_error))
+  END,
+  j.created_at, COALESCE(j.updated_at, now())
+FROM public.jobs j
+WHERE j.status = 'failed'
+  AND NOT EXISTS (SELECT 1 FROM public.jobs_dead_letter d WHERE d.job_id = j.id);
+
+DELETE FROM public.jobs j
+WHERE j.status = 'failed'
+  AND EXISTS (SELECT 1 FROM public.jobs_dead_letter d WHERE d.job_id = j.id);
+
+-- jobs_failed (003) now reads from the dead-letter table.
+DROP VIEW IF EXISTS public.jobs_failed;
+CREATE VIEW public.jobs_failed AS
+SELECT *
+FROM public.jobs_dead_letter
+WHERE requeued_at IS NULL
+ORDER BY dead_at DESC;
@@ -0,0 +1,25 @@
+-- 013_recurring_jobs.sql
+-- State for the cron-style recurring job scheduler in worker.js (see lib/scheduler.js)
+-- plus indexes for the housekeeping jobs it schedules.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.recurring_job_state (
+  name text PRIMARY KEY,
+  cron text NOT NULL,
+  last_scheduled_for timestamptz NOT NULL,
+  last_job_id bigint,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- cleanup_tap_packets
+CREATE INDEX IF NOT EXISTS tap_packets_created_at_idx
+  ON public.tap_packets (created_at);
+
+-- expire_idempotency_keys
+CREATE INDEX IF NOT EXISTS idempotency_keys_updated_at_idx
+  ON public.idempotency_keys (updated_at);
+
+-- expire_ad_sessions
+CREATE INDEX IF NOT EXISTS ad_sessions_pending_created_idx
+  ON public.ad_sessions (created_at)
+  WHERE status = 'pending';
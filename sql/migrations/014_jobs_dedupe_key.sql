@@ -0,0 +1,29 @@
+-- 014_jobs_dedupe_key.sql
+-- Optional dedupe key on jobs: at most one pending/processing job per key
+-- (see insertJob in lib/jobs.js). Finished and dead-lettered jobs free the key.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.jobs
+  ADD COLUMN IF NOT EXISTS dedupe_key text;
+
+ALTER TABLE public.jobs_dead_letter
+  ADD COLUMN IF NOT EXISTS dedupe_key text;
+
+-- Existing live duplicates would block the unique index; keep the oldest per key.
+UPDATE public.jobs j
+SET dedupe_key = 'withdraw_payout:' || (j.payload_json->>'withdraw_id')
+WHERE j.type = 'withdraw_payout'
+  AND j.dedupe_key IS NULL
+  AND j.status IN ('pending', 'processing')
+  AND j.payload_json ? 'withdraw_id'
+  AND NOT EXISTS (
+    SELECT 1 FROM public.jobs o
+    WHERE o.type = 'withdraw_payout'
+      AND o.status IN ('pending', 'processing')
+      AND o.payload_json->>'withdraw_id' = j.payload_json->>'withdraw_id'
+      AND o.id < j.id
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_dedupe_key_live_uidx
+  ON public.jobs (dedupe_key)
+  WHERE status IN ('pending', 'processing');
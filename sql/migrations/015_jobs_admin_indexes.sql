@@ -0,0 +1,10 @@
+-- 015_jobs_admin_indexes.sql
+-- Supports the admin jobs API (/api/admin/jobs/*): per-type throughput over the
+-- last 24h and type/status filtered listings.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE INDEX IF NOT EXISTS jobs_updated_at_idx
+  ON public.jobs (updated_at);
+
+CREATE INDEX IF NOT EXISTS jobs_type_status_id_idx
+  ON public.jobs (type, status, id DESC);
@@ -0,0 +1,19 @@
+-- 016_worker_heartbeats.sql
+-- Worker heartbeats for the stuck-job reaper (see reapStaleJobsTx in lib/jobs.js).
+-- Each worker process (WORKER_NAME) upserts its row every few seconds; jobs
+-- locked by a worker whose heartbeat is older than the lease timeout, or that
+-- restarted since it took the lock, are returned to pending.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.workers (
+  name text PRIMARY KEY,
+  hostname text,
+  pid int4,
+  queues text,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  last_heartbeat_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS jobs_processing_locked_idx
+  ON public.jobs (locked_by, locked_at)
+  WHERE status = 'processing';
@@ -0,0 +1,18 @@
+-- 017_withdraw_onchain_status.sql
+-- On-chain payout tracking for withdrawals.
+--
+-- Status flow for provider payouts:
+--   approved -> broadcast (withdraw_payout sent the transfer)
+--            -> confirmed (withdraw_confirm saw it on chain)
+--            -> failed_onchain (never applied / reverted; coins refunded via ledger)
+-- 'paid' remains for withdrawals marked paid by hand in the admin panel.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS payout_meta jsonb,
+  ADD COLUMN IF NOT EXISTS broadcast_at timestamptz,
+  ADD COLUMN IF NOT EXISTS confirmed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS withdraw_requests_broadcast_idx
+  ON public.withdraw_requests (broadcast_at)
+  WHERE status = 'broadcast';
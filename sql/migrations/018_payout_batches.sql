@@ -0,0 +1,32 @@
+-- 018_payout_batches.sql
+-- Batch payouts (WITHDRAW_PAYOUT_MODE=batch): approved withdrawals are grouped
+-- into one multi-recipient transfer by the withdraw_batch_payout job.
+-- Each withdraw_requests row links to its batch; confirmation and refunds still
+-- happen per request (withdraw_confirm), and the batch status is rolled up:
+--   building -> broadcast -> confirmed | partially_failed | failed
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.payout_batches (
+  id bigserial PRIMARY KEY,
+  status text NOT NULL DEFAULT 'building',
+  provider text,
+  tx_id text,
+  meta jsonb,
+  item_count int4 NOT NULL DEFAULT 0,
+  total_amount bigint NOT NULL DEFAULT 0,
+  failed_count int4 NOT NULL DEFAULT 0, -- split out before sending + failed on chain
+  created_at timestamptz NOT NULL DEFAULT now(),
+  broadcast_at timestamptz,
+  finished_at timestamptz
+);
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS payout_batch_id bigint REFERENCES public.payout_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS withdraw_requests_payout_batch_idx
+  ON public.withdraw_requests (payout_batch_id);
+
+-- Batch picker: approved, not yet batched, oldest review first.
+CREATE INDEX IF NOT EXISTS withdraw_requests_approved_unbatched_idx
+  ON public.withdraw_requests (reviewed_at, id)
+  WHERE status = 'approved' AND payout_batch_id IS NULL;
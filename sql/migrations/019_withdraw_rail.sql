@@ -0,0 +1,8 @@
+-- 019_withdraw_rail.sql
+-- Payout rail chosen for each withdrawal (ton | tron | evm). The wallet column
+-- holds the address validated for that rail by lib/walletAddress.js.
+-- Rows created before this migration were TON-only.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS rail text NOT NULL DEFAULT 'ton';
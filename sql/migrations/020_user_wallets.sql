@@ -0,0 +1,28 @@
+-- 020_user_wallets.sql
+-- Wallet book: payout addresses saved by each user (/api/withdraw/wallets/*).
+-- Withdrawals reference a saved wallet; a newly added wallet only becomes
+-- usable after usable_after (WALLET_CHANGE_COOLDOWN_HOURS), except a user's
+-- very first payout address.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.user_wallets (
+  id bigserial PRIMARY KEY,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  rail text NOT NULL, -- ton | tron | evm
+  address text NOT NULL, -- normalized by lib/walletAddress.js
+  label text,
+  status text NOT NULL DEFAULT 'active', -- active | removed
+  usable_after timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  removed_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_wallets_active_address_uidx
+  ON public.user_wallets (user_id, rail, address)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS user_wallets_user_idx
+  ON public.user_wallets (user_id, created_at DESC);
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS wallet_id bigint REFERENCES public.user_wallets(id) ON DELETE SET NULL;
@@ -0,0 +1,11 @@
+-- 021_withdraw_eligibility.sql
+-- KYC tier used by the withdrawal eligibility rules (lib/withdrawEligibility.js),
+-- set by admins via /api/admin/users/kyc. 0 = not verified.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS kyc_tier int4 NOT NULL DEFAULT 0;
+
+-- Rolling daily/weekly cap sums per user.
+CREATE INDEX IF NOT EXISTS withdraw_requests_user_created_idx
+  ON public.withdraw_requests (user_id, created_at DESC);
@@ -0,0 +1,16 @@
+-- 022_withdraw_risk_review.sql
+-- Risk review of new withdrawals (withdraw_risk_review job, lib/withdrawReview.js).
+-- Low-risk requests are auto-approved; the rest stay 'pending' with the reasons
+-- attached for manual review in /admin.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS risk_score int4,
+  ADD COLUMN IF NOT EXISTS risk_decision text, -- auto_approve | manual_review
+  ADD COLUMN IF NOT EXISTS risk_reasons jsonb, -- [{ code, points, detail }]
+  ADD COLUMN IF NOT EXISTS risk_signals jsonb,
+  ADD COLUMN IF NOT EXISTS risk_scored_at timestamptz;
+
+-- Shared-device lookups (fingerprint -> other accounts).
+CREATE INDEX IF NOT EXISTS user_devices_fingerprint_idx
+  ON public.user_devices (fingerprint);
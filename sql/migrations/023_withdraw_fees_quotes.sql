@@ -0,0 +1,19 @@
+-- 023_withdraw_fees_quotes.sql
+-- Fee + coin -> token quote locked onto each withdrawal when it is requested
+-- (lib/withdrawFees.js; fee schedule and rate history live in app_settings keys
+-- withdraw_fees / withdraw_rates). amount stays the gross coins reserved; the
+-- payout sends net_amount, or token_amount when a rate was in effect.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS fee bigint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS net_amount bigint,
+  ADD COLUMN IF NOT EXISTS rate numeric, -- tokens per coin
+  ADD COLUMN IF NOT EXISTS token text,
+  ADD COLUMN IF NOT EXISTS token_amount numeric,
+  ADD COLUMN IF NOT EXISTS quote jsonb;
+
+-- Settled withdrawal fees (escrow:withdrawals -> sink:withdraw_fees).
+INSERT INTO public.ledger_system_accounts (code, kind, description) VALUES
+  ('sink:withdraw_fees', 'sink', 'Fees kept from paid withdrawals')
+ON CONFLICT (code) DO NOTHING;
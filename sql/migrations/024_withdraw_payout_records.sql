@@ -0,0 +1,22 @@
+-- 024_withdraw_payout_records.sql
+-- Admins attach the provider + tx hash (and optional proof notes) to paid
+-- withdrawals after the fact (/api/admin/withdraw/payout-record). Every change
+-- is kept in withdraw_payout_audit with the acting admin and old/new values.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.withdraw_requests
+  ADD COLUMN IF NOT EXISTS payout_proof_note text,
+  ADD COLUMN IF NOT EXISTS payout_recorded_by text,
+  ADD COLUMN IF NOT EXISTS payout_recorded_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS public.withdraw_payout_audit (
+  id bigserial PRIMARY KEY,
+  withdraw_id int4 NOT NULL REFERENCES public.withdraw_requests(id) ON DELETE CASCADE,
+  admin text NOT NULL,
+  ip text,
+  changes jsonb NOT NULL, -- { field: { from, to } }
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS withdraw_payout_audit_withdraw_idx
+  ON public.withdraw_payout_audit (withdraw_id, created_at DESC);
@@ -0,0 +1,18 @@
+-- 025_payment_fulfillment.sql
+-- Every provider payment (Stripe, Coinbase, ...) is recorded in purchase_ledger
+-- and fulfilled once through lib/payments.js. fulfilled_at marks the payment as
+-- done; fulfillment keeps the outcome (or the error, retried when the provider
+-- redelivers the webhook event).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.purchase_ledger
+  ADD COLUMN IF NOT EXISTS pack_sku text,
+  ADD COLUMN IF NOT EXISTS coins_granted bigint,
+  ADD COLUMN IF NOT EXISTS fulfilled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS fulfillment jsonb;
+
+-- Payments credited before this migration only carry coins_granted.
+UPDATE public.purchase_ledger
+SET fulfilled_at = COALESCE(updated_at, created_at, NOW())
+WHERE fulfilled_at IS NULL
+  AND COALESCE(coins_granted, 0) > 0;
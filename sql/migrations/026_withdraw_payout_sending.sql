@@ -0,0 +1,13 @@
+-- 026_withdraw_payout_sending.sql
+-- Payouts are signed and committed before they are broadcast:
+--   approved -> sending (withdraw_payout signed the transfer; payout_meta keeps
+--               seqno, valid_until, msg_hash and the signed BOC)
+--            -> broadcast -> confirmed | failed_onchain
+-- A withdraw_payout retry that finds a request 'sending' checks the chain for
+-- that message instead of signing a second transfer. Requests left 'sending'
+-- after their job dead-lettered need a look by hand.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE INDEX IF NOT EXISTS withdraw_requests_sending_idx
+  ON public.withdraw_requests (reviewed_at)
+  WHERE status = 'sending';
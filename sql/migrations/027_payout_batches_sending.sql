@@ -0,0 +1,12 @@
+-- 027_payout_batches_sending.sql
+-- Batch transfers are signed and committed before they are broadcast, like
+-- single payouts (026):
+--   building -> sending (batch and items; payout_batches.meta keeps the signed
+--               BOC, seqno, valid_until and msg_hash)
+--            -> broadcast -> confirmed | partially_failed | failed
+-- withdraw_batch_payout resumes 'sending' batches before it builds a new one.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE INDEX IF NOT EXISTS payout_batches_sending_idx
+  ON public.payout_batches (id)
+  WHERE status = 'sending';
@@ -0,0 +1,16 @@
+-- 028_legacy_webhook_events.sql
+-- Event ids processed by the Stripe / Coinbase webhook handlers that predate
+-- purchase_ledger fulfillment (025). Those handlers created these tables on
+-- first use; lib/payments.js still checks them so a redelivered old event is
+-- not fulfilled a second time.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.stripe_webhook_events (
+  event_id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.coinbase_webhook_events (
+  event_id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
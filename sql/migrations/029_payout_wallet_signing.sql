@@ -0,0 +1,16 @@
+-- 029_payout_wallet_signing.sql
+-- One signed transfer per hot wallet at a time: withdraw_payout and
+-- withdraw_batch_payout sign under an advisory lock on the wallet
+-- (payout_meta->>'wallet') and only while none of its transfers is
+-- 'sending' / 'broadcast'. The seqno they sign with is at least one past the
+-- highest seqno the wallet is known to have used (confirmed, or reverted on
+-- chain), in case the RPC node lags.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE INDEX IF NOT EXISTS withdraw_requests_payout_wallet_inflight_idx
+  ON public.withdraw_requests ((payout_meta->>'wallet'))
+  WHERE status IN ('sending', 'broadcast');
+
+CREATE INDEX IF NOT EXISTS withdraw_requests_payout_wallet_seqno_idx
+  ON public.withdraw_requests ((payout_meta->>'wallet'), ((payout_meta->>'seqno')::bigint))
+  WHERE status IN ('confirmed', 'failed_onchain') AND payout_meta ? 'seqno';
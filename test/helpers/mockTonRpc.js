@@ -0,0 +1,77 @@
+// test/helpers/mockTonRpc.js
+// Local stand-in for the toncenter v2 API, covering the calls lib/payoutProvider.js
+// makes: runGetMethod (seqno), sendBocReturnHash and getTransactions.
+
+const http = require("http");
+
+/**
+ * Start the mock on a random local port.
+ * Resolves { endpoint, state, close() }. Tests drive the chain through `state`:
+ *   seqno         returned by the wallet's seqno get-method
+ *   transactions  returned by getTransactions (toncenter v2 shape, newest
+ *                 first), paged by its limit / lt+hash parameters
+ *   sent          BOCs (Buffer) received by sendBocReturnHash
+ *   requests      every request as { method, path, query, headers, body }
+ */
+function startMockTonRpc({ seqno = 0 } = {}) {
+  const state = { seqno, transactions: [], sent: [], requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const path = url.pathname.replace(/^\/+/, "");
+      const body = raw ? JSON.parse(raw) : null;
+      state.requests.push({
+        method: req.method,
+        path,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+      });
+
+      const reply = (status, json) => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+
+      if (req.method === "POST" && path === "runGetMethod" && body && body.method === "seqno") {
+        return reply(200, {
+          ok: true,
+          result: { exit_code: 0, stack: [["num", `0x${state.seqno.toString(16)}`]] },
+        });
+      }
+      if (req.method === "POST" && path === "sendBocReturnHash" && body && body.boc) {
+        state.sent.push(Buffer.from(body.boc, "base64"));
+        return reply(200, { ok: true, result: { "@type": "raw.extMessageInfo" } });
+      }
+      if (req.method === "GET" && path === "getTransactions") {
+        const limit = Number(url.searchParams.get("limit") || state.transactions.length);
+        const lt = url.searchParams.get("lt");
+        let start = 0;
+        if (lt) {
+          start = state.transactions.findIndex((tx) => tx.transaction_id && tx.transaction_id.lt === lt);
+          if (start < 0) return reply(200, { ok: true, result: [] });
+        }
+        return reply(200, { ok: true, result: state.transactions.slice(start, start + limit) });
+      }
+      return reply(404, { ok: false, error: `mock: unsupported ${req.method} ${path}` });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        endpoint: `http://127.0.0.1:${port}`,
+        state,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { startMockTonRpc };
@@ -0,0 +1,57 @@
+// test/jobs.test.js
+// Retry backoff and queue routing in lib/jobs.js.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getRetryPolicy, computeRetryDelayMs, resolveJobRouting } = require("../lib/jobs");
+
+// Pin Math.random so the jitter lands at one end of its 50%-100% window.
+function withRandom(value, fn) {
+  const realRandom = Math.random;
+  Math.random = () => value;
+  try {
+    return fn();
+  } finally {
+    Math.random = realRandom;
+  }
+}
+
+test("computeRetryDelayMs doubles the base delay per attempt up to the cap", () => {
+  const { baseDelayMs, maxDelayMs } = getRetryPolicy("withdraw_payout");
+  const full = (attempts) => withRandom(0.999999, () => computeRetryDelayMs("withdraw_payout", attempts));
+
+  assert.ok(Math.abs(full(1) - baseDelayMs) <= 1);
+  assert.ok(Math.abs(full(2) - baseDelayMs * 2) <= 1);
+  assert.ok(Math.abs(full(4) - baseDelayMs * 8) <= 1);
+  assert.ok(Math.abs(full(30) - maxDelayMs) <= 1);
+  // Huge attempt counts stay finite and capped.
+  assert.ok(Math.abs(full(1e6) - maxDelayMs) <= 1);
+});
+
+test("computeRetryDelayMs jitters between half and all of the backoff", () => {
+  const { baseDelayMs } = getRetryPolicy("withdraw_confirm");
+  assert.equal(withRandom(0, () => computeRetryDelayMs("withdraw_confirm", 3)), baseDelayMs * 2);
+  for (let i = 0; i < 200; i += 1) {
+    const delay = computeRetryDelayMs("withdraw_confirm", 3);
+    assert.ok(delay >= baseDelayMs * 2 && delay <= baseDelayMs * 4, String(delay));
+  }
+});
+
+test("computeRetryDelayMs treats a missing attempt count as the first attempt", () => {
+  const first = withRandom(0, () => computeRetryDelayMs("sync_user", 1));
+  assert.equal(withRandom(0, () => computeRetryDelayMs("sync_user", 0)), first);
+  assert.equal(withRandom(0, () => computeRetryDelayMs("sync_user", undefined)), first);
+});
+
+test("unknown job types get the default retry policy and queue", () => {
+  const policy = getRetryPolicy("no_such_job");
+  assert.equal(policy.baseDelayMs, 5000);
+  assert.equal(policy.maxDelayMs, 15 * 60 * 1000);
+  assert.ok(policy.maxAttempts > 0);
+  assert.equal(withRandom(0, () => computeRetryDelayMs("no_such_job", 2)), 5000);
+
+  assert.deepEqual(resolveJobRouting("no_such_job"), { queue: "default", priority: 0 });
+  assert.deepEqual(resolveJobRouting("withdraw_payout"), { queue: "payouts", priority: 100 });
+  assert.deepEqual(resolveJobRouting("withdraw_payout", { queue: "urgent", priority: "7.9" }), { queue: "urgent", priority: 7 });
+  assert.deepEqual(resolveJobRouting("sync_user", { priority: "high" }), { queue: "housekeeping", priority: 0 });
+});
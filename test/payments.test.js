@@ -0,0 +1,380 @@
+// test/payments.test.js
+// SKU parsing, provider event normalization and product resolution in
+// lib/payments.js, against an in-memory stand-in for the pg client.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../lib/db");
+const {
+  normalizeSku,
+  vipDaysForSku,
+  isVipSku,
+  skuKind,
+  getMomentumShieldGrantForSku,
+  createTelegramStarsProvider,
+  getPaymentProvider,
+  resolvePaidProductTx,
+  fulfillPayment,
+} = require("../lib/payments");
+
+const TELEGRAM_ID = "123456789";
+
+// pg client double: each query goes to the first route whose pattern matches
+// its SQL; routes return rows (or a function of the params returning rows).
+// Unmatched statements (BEGIN, COMMIT, audit inserts...) return no rows.
+function fakeClient(routes) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      const route = routes.find(([pattern]) => pattern.test(sql));
+      const rows = route ? (typeof route[1] === "function" ? route[1](params) : route[1]) : [];
+      return { rows, rowCount: rows.length };
+    },
+    release() {},
+  };
+}
+
+// Run fulfillPayment's transaction on `client` instead of a pooled connection.
+async function withClient(client, fn) {
+  const realConnect = pool.connect;
+  pool.connect = async () => client;
+  try {
+    return await fn();
+  } finally {
+    pool.connect = realConnect;
+  }
+}
+
+function ledgerRow(overrides = {}) {
+  return { id: 7, status: "completed", fulfilled_at: null, coins_granted: 0, ...overrides };
+}
+
+function starsProvider() {
+  const calls = [];
+  const telegram = {
+    async createInvoiceLink(params) {
+      calls.push(params);
+      return "https://t.me/$invoice";
+    },
+  };
+  return { provider: createTelegramStarsProvider({ telegram }), calls };
+}
+
+test("SKU helpers tell VIP, shield, streak and coin packs apart", () => {
+  assert.equal(normalizeSku("  VIP_30D "), "VIP_30D");
+  assert.equal(normalizeSku(null), "");
+
+  assert.equal(vipDaysForSku("vip_30d"), 30);
+  assert.equal(vipDaysForSku("VIP_7D"), 7);
+  assert.equal(vipDaysForSku("vip_900d"), 365);
+  assert.equal(vipDaysForSku("vip_pass"), null);
+  assert.equal(isVipSku("VIP_90D"), true);
+  assert.equal(isVipSku("STARTER_1"), false);
+
+  assert.equal(skuKind("streak_restore_1"), "streak_restore");
+  assert.equal(skuKind("MOMENTUM_SHIELD_7D"), "momentum_shield");
+  assert.equal(skuKind("vip_30d"), "vip");
+  assert.equal(skuKind("COINS_50K"), "coins");
+
+  assert.deepEqual(getMomentumShieldGrantForSku("momentum_shield_30d"), { sku: "MOMENTUM_SHIELD_30D", days: 30, quantity: 5 });
+  assert.deepEqual(getMomentumShieldGrantForSku("MOMENTUM_SHIELD_14D"), { sku: "MOMENTUM_SHIELD_14D", days: 14, quantity: 2 });
+  assert.equal(getMomentumShieldGrantForSku("MOMENTUM_SHIELD"), null);
+});
+
+test("Stripe normalizeEvent reads the checkout session and its metadata", () => {
+  const stripe = getPaymentProvider("stripe");
+  assert.equal(stripe.normalizeEvent({ type: "payment_intent.succeeded" }), null);
+
+  const payment = stripe.normalizeEvent({
+    id: "evt_1",
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: "cs_test_1",
+        client_reference_id: TELEGRAM_ID,
+        amount_total: 499,
+        currency: "gbp",
+        metadata: { telegram_id: "1", sku: " COINS_50K ", coins_granted: "50000" },
+      },
+    },
+  });
+  assert.deepEqual(payment, {
+    provider: "stripe",
+    paymentId: "cs_test_1",
+    eventId: "evt_1",
+    telegramId: TELEGRAM_ID,
+    sku: "COINS_50K",
+    amountMinor: 499,
+    currency: "GBP",
+    coinsGranted: 50000,
+    vipDays: null,
+  });
+});
+
+test("Stripe normalizeEvent keeps the VIP duration from either checkout", () => {
+  const stripe = getPaymentProvider("stripe");
+  const session = (metadata) => ({
+    id: "evt_2",
+    type: "checkout.session.completed",
+    data: { object: { id: "cs_test_2", amount_total: 999, currency: "gbp", metadata } },
+  });
+
+  const current = stripe.normalizeEvent(session({ telegram_id: TELEGRAM_ID, sku: "VIP_PASS", vip_days: "45" }));
+  assert.equal(current.telegramId, TELEGRAM_ID);
+  assert.equal(current.vipDays, 45);
+
+  // Sessions created before vip_days carried duration_days.
+  const legacy = stripe.normalizeEvent(session({ telegram_id: TELEGRAM_ID, sku: "VIP_PASS", duration_days: "30" }));
+  assert.equal(legacy.vipDays, 30);
+
+  const bad = stripe.normalizeEvent(session({ telegram_id: TELEGRAM_ID, sku: "VIP_PASS", vip_days: "soon" }));
+  assert.equal(bad.vipDays, null);
+});
+
+test("Stripe normalizeEvent maps the starter Payment Link without metadata", () => {
+  const payment = getPaymentProvider("stripe").normalizeEvent({
+    id: "evt_3",
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: "cs_test_3",
+        client_reference_id: TELEGRAM_ID,
+        payment_link: "plink_15m7OmJNksmNPDCyYQxFB3eH",
+        amount_total: 199,
+        currency: "gbp",
+      },
+    },
+  });
+  assert.equal(payment.sku, "starter_1");
+  assert.equal(payment.coinsGranted, 25000);
+});
+
+test("Coinbase normalizeEvent fulfills final charges only and needs a telegram_id", () => {
+  const coinbase = getPaymentProvider("coinbase");
+  const charge = (metadata) => ({
+    id: "cbevt_1",
+    type: "charge:confirmed",
+    data: {
+      code: "ABCD1234",
+      metadata,
+      pricing: { local: { amount: "4.99", currency: "gbp" } },
+    },
+  });
+
+  assert.equal(coinbase.normalizeEvent({ type: "charge:pending", data: {} }), null);
+  assert.deepEqual(coinbase.normalizeEvent(charge({ telegram_id: TELEGRAM_ID, sku: "vip_30d", vip_days: "30" })), {
+    provider: "coinbase",
+    paymentId: "ABCD1234",
+    eventId: "cbevt_1",
+    telegramId: TELEGRAM_ID,
+    sku: "vip_30d",
+    amountMinor: 499,
+    currency: "GBP",
+    coinsGranted: null,
+    vipDays: 30,
+  });
+
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    assert.throws(() => coinbase.normalizeEvent(charge({ sku: "vip_30d" })), { name: "PaymentError", message: "missing telegram_id" });
+    assert.throws(() => coinbase.normalizeEvent(charge({ telegram_id: "abc" })), { name: "PaymentError" });
+  } finally {
+    console.error = errors;
+  }
+});
+
+test("Stars invoices carry the buyer and SKU through to the successful payment", async () => {
+  const { provider, calls } = starsProvider();
+  const out = await provider.createCheckout({
+    telegramId: TELEGRAM_ID,
+    sku: "VIP_30D",
+    title: "JigCoin VIP Pass",
+    amountMinor: 250,
+    currency: "XTR",
+    coinsGranted: null,
+  });
+  assert.deepEqual(out, { url: "https://t.me/$invoice", invoice_link: "https://t.me/$invoice" });
+  assert.equal(calls[0].currency, "XTR");
+  assert.equal(calls[0].description, "JigCoin VIP Pass (30 days)");
+  assert.deepEqual(calls[0].prices, [{ label: "JigCoin VIP Pass", amount: 250 }]);
+
+  const event = provider.verifyWebhook({
+    message: {
+      from: { id: Number(TELEGRAM_ID) },
+      successful_payment: {
+        currency: "XTR",
+        total_amount: 250,
+        invoice_payload: calls[0].payload,
+        telegram_payment_charge_id: "stxCharge1",
+      },
+    },
+  });
+  assert.deepEqual(provider.normalizeEvent(event), {
+    provider: "telegram_stars",
+    paymentId: "stxCharge1",
+    eventId: null,
+    telegramId: TELEGRAM_ID,
+    sku: "VIP_30D",
+    amountMinor: 250,
+    currency: "XTR",
+    coinsGranted: null,
+    vipDays: null,
+  });
+
+  // A payload we did not make decodes to no SKU.
+  assert.equal(provider.normalizeEvent({ ...event, invoice_payload: "not json" }).sku, "");
+});
+
+test("Stars checkout and webhook refuse anything but XTR", async () => {
+  const { provider } = starsProvider();
+  await assert.rejects(
+    provider.createCheckout({ telegramId: TELEGRAM_ID, sku: "COINS_50K", amountMinor: 499, currency: "GBP" }),
+    { message: "STARS_PRICE_MISSING" }
+  );
+  assert.throws(() => provider.verifyWebhook({ message: {} }), { name: "PaymentError" });
+  assert.throws(
+    () => provider.verifyWebhook({ message: { successful_payment: { currency: "USD" } } }),
+    { message: "unexpected currency USD" }
+  );
+});
+
+test("Stars validatePreCheckout checks the payload, payer and price", async () => {
+  const { provider, calls } = starsProvider();
+  await provider.createCheckout({ telegramId: TELEGRAM_ID, sku: "COINS_50K", amountMinor: 100, currency: "XTR", coinsGranted: 50000 });
+  const payload = calls[0].payload;
+  const db = fakeClient([
+    [/FROM public\.payment_products/, [
+      { provider: "stripe", pack_sku: "COINS_50K", currency: "GBP", amount_minor: 499 },
+      { provider: "telegram_stars", pack_sku: "COINS_50K", currency: "XTR", amount_minor: 100 },
+    ]],
+  ]);
+  const query = (overrides) => ({
+    invoice_payload: payload,
+    currency: "XTR",
+    total_amount: 100,
+    from: { id: Number(TELEGRAM_ID) },
+    ...overrides,
+  });
+
+  const ok = await provider.validatePreCheckout(db, query());
+  assert.equal(ok.ok, true);
+  assert.equal(ok.sku, "COINS_50K");
+  assert.equal(ok.product.provider, "telegram_stars");
+  assert.deepEqual(db.queries[0].params, ["COINS_50K"]);
+
+  assert.deepEqual(await provider.validatePreCheckout(db, query({ invoice_payload: "{}" })), { ok: false, error: "BAD_PAYLOAD" });
+  assert.deepEqual(await provider.validatePreCheckout(db, query({ currency: "GBP" })), { ok: false, error: "BAD_CURRENCY" });
+  assert.deepEqual(await provider.validatePreCheckout(db, query({ from: { id: 1 } })), { ok: false, error: "PAYER_MISMATCH" });
+  assert.deepEqual(await provider.validatePreCheckout(db, query({ total_amount: 1 })), { ok: false, error: "PRICE_MISMATCH" });
+
+  const noStarsRow = fakeClient([[/FROM public\.payment_products/, [{ provider: "stripe", currency: "GBP", amount_minor: 499 }]]]);
+  assert.deepEqual(await provider.validatePreCheckout(noStarsRow, query()), { ok: false, error: "PRODUCT_NOT_FOUND" });
+});
+
+test("resolvePaidProductTx prefers the payment_products row for the SKU", async () => {
+  const row = { provider: "stripe", pack_sku: "COINS_50K", title: "50K", coins_granted: 50000, currency: "GBP", amount_minor: 499 };
+  const client = fakeClient([[/FROM public\.payment_products/, [row]]]);
+
+  const product = await resolvePaidProductTx(client, { provider: "stripe", sku: "coins_50k", amountMinor: 1, currency: "GBP" });
+  assert.deepEqual(product, row);
+  assert.equal(client.queries.length, 1);
+  assert.deepEqual(client.queries[0].params, ["coins_50k", "stripe"]);
+});
+
+test("resolvePaidProductTx falls back to the legacy vip_products row", async () => {
+  const client = fakeClient([
+    [/FROM public\.payment_products/, []],
+    [/to_regclass/, [{ t: "vip_products" }]],
+    [/FROM public\.vip_products/, [{ sku: "VIP_PASS", title: "VIP Pass", duration_days: 45, price_gbp: "9.99" }]],
+  ]);
+
+  assert.deepEqual(await resolvePaidProductTx(client, { provider: "stripe", sku: "VIP_PASS" }), {
+    provider: "stripe",
+    pack_sku: "VIP_PASS",
+    title: "VIP Pass",
+    coins_granted: null,
+    currency: "GBP",
+    amount_minor: 999,
+    vip_days: 45,
+  });
+
+  // Older deployments have no vip_products table at all.
+  const noTable = fakeClient([[/FROM public\.payment_products/, []], [/to_regclass/, [{ t: null }]]]);
+  assert.equal(await resolvePaidProductTx(noTable, { provider: "stripe", sku: "VIP_PASS" }), null);
+  assert.ok(!noTable.queries.some((q) => /FROM public\.vip_products/.test(q.sql)));
+});
+
+test("resolvePaidProductTx matches by price only when the payment has no SKU", async () => {
+  const row = { provider: "stripe", pack_sku: "STARTER_1", coins_granted: 25000, currency: "GBP", amount_minor: 199 };
+  const client = fakeClient([[/FROM public\.payment_products/, [row]]]);
+
+  assert.deepEqual(await resolvePaidProductTx(client, { provider: "stripe", sku: "", amountMinor: 199, currency: "GBP" }), row);
+  assert.deepEqual(client.queries[0].params, ["stripe", "GBP", 199]);
+
+  // An unknown SKU never falls back to the price.
+  const unknown = fakeClient([[/FROM public\.payment_products/, []], [/to_regclass/, [{ t: "vip_products" }]]]);
+  assert.equal(await resolvePaidProductTx(unknown, { provider: "stripe", sku: "GONE", amountMinor: 199, currency: "GBP" }), null);
+  assert.ok(!unknown.queries.some((q) => q.params[2] === 199));
+});
+
+test("fulfillPayment grants a legacy VIP product for its duration and records it", async () => {
+  const client = fakeClient([
+    [/FROM public\.payment_products/, []],
+    [/to_regclass/, [{ t: "vip_products" }]],
+    [/FROM public\.vip_products/, [{ sku: "VIP_PASS", title: "VIP Pass", duration_days: 45, price_gbp: "9.99" }]],
+    [/INSERT INTO public\.purchase_ledger/, [ledgerRow()]],
+    [/FROM public\.stripe_webhook_events/, []],
+    [/FROM public\.users/, [{ id: 3, telegram_id: TELEGRAM_ID }]],
+  ]);
+  const payment = getPaymentProvider("stripe").normalizeEvent({
+    id: "evt_4",
+    type: "checkout.session.completed",
+    data: { object: { id: "cs_test_4", amount_total: 999, currency: "gbp", metadata: { telegram_id: TELEGRAM_ID, sku: "VIP_PASS" } } },
+  });
+
+  const out = await withClient(client, () => fulfillPayment(payment));
+  assert.deepEqual(out, { ok: true, duplicate: false, kind: "vip", sku: "VIP_PASS", result: { ok: true, vip_days: 45 } });
+
+  const vip = client.queries.find((q) => /INSERT INTO public\.user_vip/.test(q.sql));
+  assert.deepEqual(vip.params, [TELEGRAM_ID, 45]);
+  const finish = client.queries.find((q) => /UPDATE public\.purchase_ledger/.test(q.sql));
+  assert.equal(finish.params[0], 7);
+  assert.equal(finish.params[4], true);
+  assert.equal(client.queries.at(-1).sql, "COMMIT");
+});
+
+test("fulfillPayment leaves fulfilled and refunded purchases alone", async () => {
+  const payment = { provider: "stripe", paymentId: "cs_test_5", eventId: "evt_5", telegramId: TELEGRAM_ID, sku: "COINS_50K", amountMinor: 499, currency: "GBP" };
+  const product = [[/FROM public\.payment_products/, [{ provider: "stripe", pack_sku: "COINS_50K", coins_granted: 50000, currency: "GBP", amount_minor: 499 }]]];
+
+  for (const [row, expected] of [
+    [ledgerRow({ fulfilled_at: new Date() }), { ok: true, duplicate: true, sku: "COINS_50K" }],
+    // Rows credited before fulfilled_at existed.
+    [ledgerRow({ coins_granted: 50000 }), { ok: true, duplicate: true, sku: "COINS_50K" }],
+    [ledgerRow({ status: "refunding" }), { ok: false, error: "REFUNDING", sku: "COINS_50K" }],
+    [ledgerRow({ status: "refunded" }), { ok: false, error: "REFUNDED", sku: "COINS_50K" }],
+  ]) {
+    const client = fakeClient([...product, [/INSERT INTO public\.purchase_ledger/, [row]]]);
+    assert.deepEqual(await withClient(client, () => fulfillPayment(payment)), expected);
+    assert.ok(!client.queries.some((q) => /UPDATE public\.purchase_ledger|FROM public\.users/.test(q.sql)));
+  }
+});
+
+test("fulfillPayment records a payment it cannot place so a redelivery retries it", async () => {
+  const client = fakeClient([
+    [/FROM public\.payment_products/, []],
+    [/to_regclass/, [{ t: null }]],
+    [/INSERT INTO public\.purchase_ledger/, [ledgerRow()]],
+    [/FROM public\.stripe_webhook_events/, []],
+  ]);
+  const payment = { provider: "stripe", paymentId: "cs_test_6", eventId: "evt_6", telegramId: TELEGRAM_ID, sku: "GONE", amountMinor: 499, currency: "GBP" };
+
+  const out = await withClient(client, () => fulfillPayment(payment));
+  assert.deepEqual(out, { ok: false, error: "PRODUCT_NOT_FOUND", sku: "GONE" });
+  const finish = client.queries.find((q) => /UPDATE public\.purchase_ledger/.test(q.sql));
+  assert.equal(finish.params[4], false);
+  assert.deepEqual(JSON.parse(finish.params[3]), out);
+});
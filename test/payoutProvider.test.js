@@ -0,0 +1,254 @@
+// test/payoutProvider.test.js
+// TON payout provider against the local mock RPC (test/helpers/mockTonRpc.js),
+// over real HTTP through the default client.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTonProvider } = require("../lib/payoutProvider");
+const { startMockTonRpc } = require("./helpers/mockTonRpc");
+
+const SEED = "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60";
+const WALLET = "EQDNrJfJFisuFBrURjgosqcO_fh2K5foNWPzUr7PkC6Ipopv";
+const WALLET_RAW = "0:cdac97c9162b2e141ad4463828b2a70efdf8762b97e83563f352becf902e88a6";
+const DEST = "EQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p4q2";
+
+// Reference SDK output for withdraw 42: 1.5 TON to DEST, seqno 7, valid_until 1760000000.
+const VECTOR_BOC =
+  "te6cckEBAgEAuQAB4YgBm1kvkixWXCg1qIxwUWVOHfvw7Fcv0GrH5qV9nyBdEUwD0rdGj1imXPngexUvQBINUGVSJeci2ds23aQAFKo198uE1SRlwsqFsTol/xLl9aVhORJjPPblYl3RlCBH2AlYaU1NGLtHO8AAAAAAOAAcAQCGYgB2i0iYOCgCOIvczFqw7G9BaY/fwkiGdrda/klzpC98U6LLQXgAAAAAAAAAAAAAAAAAAAAAAAB3aXRoZHJhdzo0MqpuB14=";
+const VECTOR_MSG_HASH = "4bef5d7e8af4c25e4d1dbeb704a71cbdfa08427b78f39000df2a7f90f9560c18";
+const VALID_UNTIL = 1760000000;
+const TX_HASH_B64 = Buffer.alloc(32, 0xab).toString("base64");
+
+const WITHDRAW = {
+  id: 42,
+  rail: "ton",
+  wallet: DEST,
+  token_amount: "1.5",
+  quote: { token_decimals: 9 },
+};
+
+// Freeze the clock so valid_until (now + TON_MESSAGE_TTL_SEC) is the vector's.
+async function atTime(unixSec, fn) {
+  const realNow = Date.now;
+  Date.now = () => unixSec * 1000;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+async function withProvider(fn, { seqno = 7 } = {}) {
+  const rpc = await startMockTonRpc({ seqno });
+  try {
+    const provider = createTonProvider({
+      endpoint: rpc.endpoint,
+      apiKey: "test-key",
+      walletAddress: WALLET,
+      walletSeed: SEED,
+    });
+    await fn(provider, rpc.state);
+  } finally {
+    await rpc.close();
+  }
+}
+
+test("sendPayout submits the signed transfer and keeps the message hash", async () => {
+  await withProvider(async (provider, chain) => {
+    const result = await atTime(VALID_UNTIL - 300, () => provider.sendPayout(WITHDRAW));
+
+    assert.equal(chain.sent.length, 1);
+    assert.equal(chain.sent[0].toString("base64"), VECTOR_BOC);
+    assert.equal(chain.requests[0].headers["x-api-key"], "test-key");
+
+    // The transaction hash is not known until the message is applied.
+    assert.equal(result.provider, "ton");
+    assert.equal(result.txId, null);
+    assert.deepEqual(result.meta, {
+      wallet: WALLET_RAW,
+      msg_hash: VECTOR_MSG_HASH,
+      to: "0:ed1691307050047117b998b561d8de82d31fbf84910ced6eb5fc92e7485ef8a7",
+      comment: "withdraw:42",
+      seqno: 7,
+      signed_at: VALID_UNTIL - 300,
+      valid_until: VALID_UNTIL,
+      amount_nano: "1500000000",
+      boc: VECTOR_BOC,
+    });
+  });
+});
+
+test("sendPayout converts the quote's locked decimals to nanotons", async () => {
+  await withProvider(async (provider, chain) => {
+    const result = await atTime(VALID_UNTIL - 300, () =>
+      provider.sendPayout({ ...WITHDRAW, token_amount: "1.5", quote: { token_decimals: 6 } })
+    );
+    assert.equal(result.meta.amount_nano, "1500000000");
+    assert.equal(chain.sent[0].toString("base64"), VECTOR_BOC);
+
+    await assert.rejects(
+      provider.sendPayout({ ...WITHDRAW, quote: { token_decimals: 18 } }),
+      (err) => err.permanent === true
+    );
+  });
+});
+
+test("checkPayout reports the on-chain transaction hash once the message is applied", async () => {
+  await withProvider(async (provider, chain) => {
+    const { meta } = await atTime(VALID_UNTIL - 300, () => provider.sendPayout(WITHDRAW));
+    const withdraw = { ...WITHDRAW, payout_provider: "ton", payout_tx_id: null, payout_meta: meta };
+
+    const pending = await atTime(VALID_UNTIL - 200, () => provider.checkPayout(withdraw));
+    assert.equal(pending.state, "pending");
+
+    chain.seqno = 8;
+    chain.transactions = [
+      {
+        transaction_id: { lt: "100", hash: TX_HASH_B64 },
+        in_msg: { hash: Buffer.from(VECTOR_MSG_HASH, "hex").toString("base64") },
+        out_msgs: [{ destination: DEST, message: "withdraw:42" }],
+      },
+    ];
+    const confirmed = await provider.checkPayout(withdraw);
+    assert.equal(confirmed.state, "confirmed");
+    assert.equal(confirmed.detail.tx_hash, "ab".repeat(32));
+    assert.equal(confirmed.detail.lt, "100");
+
+    chain.transactions[0].out_msgs = [];
+    const reverted = await provider.checkPayout(withdraw);
+    assert.equal(reverted.state, "failed");
+    assert.equal(reverted.detail.tx_hash, "ab".repeat(32));
+  });
+});
+
+// `count` unrelated wallet transactions, newest first, from lt `fromLt` down.
+function otherTransactions(count, { fromLt, utime }) {
+  return Array.from({ length: count }, (_, i) => ({
+    transaction_id: { lt: String(fromLt - i), hash: Buffer.alloc(32, i % 256).toString("base64") },
+    utime,
+    in_msg: { hash: Buffer.alloc(32, 0xee).toString("base64") },
+    out_msgs: [],
+  }));
+}
+
+test("checkPayout fails an expired message once its seqno can no longer be ours", async () => {
+  await withProvider(async (provider, chain) => {
+    const { meta } = await atTime(VALID_UNTIL - 300, () => provider.sendPayout(WITHDRAW));
+    const withdraw = { ...WITHDRAW, payout_provider: "ton", payout_meta: meta };
+
+    const expired = await atTime(VALID_UNTIL + 61, () => provider.checkPayout(withdraw));
+    assert.equal(expired.state, "failed");
+
+    // Seqno consumed, not listed yet, message still valid: it may be ours.
+    chain.seqno = 8;
+    const early = await atTime(VALID_UNTIL - 200, () => provider.checkPayout(withdraw));
+    assert.equal(early.state, "pending");
+
+    // Another message took seqno 7 and the listing goes back past our signing.
+    chain.transactions = otherTransactions(3, { fromLt: 300, utime: VALID_UNTIL - 400 });
+    const lost = await atTime(VALID_UNTIL + 61, () => provider.checkPayout(withdraw));
+    assert.equal(lost.state, "failed");
+    assert.match(lost.detail.reason, /seqno 7 used by another message/);
+  });
+});
+
+test("checkPayout pages back through the wallet history before failing a message", async () => {
+  await withProvider(async (provider, chain) => {
+    const { meta } = await atTime(VALID_UNTIL - 300, () => provider.sendPayout(WITHDRAW));
+    const withdraw = { ...WITHDRAW, payout_provider: "ton", payout_meta: meta };
+    chain.seqno = 20;
+
+    // A full page of newer transactions hides ours on the next page.
+    const ours = {
+      transaction_id: { lt: "100", hash: TX_HASH_B64 },
+      utime: VALID_UNTIL - 250,
+      in_msg: { hash: Buffer.from(VECTOR_MSG_HASH, "hex").toString("base64") },
+      out_msgs: [{ destination: DEST, message: "withdraw:42" }],
+    };
+    chain.transactions = [...otherTransactions(50, { fromLt: 1000, utime: VALID_UNTIL + 30 }), ours];
+    const confirmed = await atTime(VALID_UNTIL + 61, () => provider.checkPayout(withdraw));
+    assert.equal(confirmed.state, "confirmed");
+    assert.equal(confirmed.detail.tx_hash, "ab".repeat(32));
+
+    const requests = chain.requests.length;
+    chain.transactions = [
+      ...otherTransactions(50, { fromLt: 1000, utime: VALID_UNTIL + 30 }),
+      ...otherTransactions(10, { fromLt: 900, utime: VALID_UNTIL - 600 }),
+    ];
+    const lost = await atTime(VALID_UNTIL + 61, () => provider.checkPayout(withdraw));
+    assert.equal(lost.state, "failed");
+    const pages = chain.requests.slice(requests).filter((r) => r.path === "getTransactions");
+    assert.deepEqual(pages.map((r) => r.query.lt), [undefined, "951"]);
+  });
+});
+
+test("preparePayout never signs below the last seqno known to be used", async () => {
+  await withProvider(async (provider) => {
+    const behind = await provider.preparePayout(WITHDRAW, { minSeqno: 9 });
+    assert.equal(behind.meta.seqno, 9);
+    const ahead = await provider.preparePayout(WITHDRAW, { minSeqno: 3 });
+    assert.equal(ahead.meta.seqno, 7);
+  });
+});
+
+test("preparePayout signs without sending; a retry re-sends the same BOC", async () => {
+  await withProvider(async (provider, chain) => {
+    const prepared = await atTime(VALID_UNTIL - 300, () => provider.preparePayout(WITHDRAW));
+    assert.equal(chain.sent.length, 0);
+    assert.equal(prepared.meta.boc, VECTOR_BOC);
+    assert.equal(prepared.meta.msg_hash, VECTOR_MSG_HASH);
+
+    await provider.broadcast(prepared.meta);
+    await provider.broadcast(prepared.meta);
+    assert.deepEqual(chain.sent.map((b) => b.toString("base64")), [VECTOR_BOC, VECTOR_BOC]);
+  });
+});
+
+test("reconcilePayout tells a landed transfer from one that can no longer land", async () => {
+  await withProvider(async (provider, chain) => {
+    const { meta } = await atTime(VALID_UNTIL - 300, () => provider.preparePayout(WITHDRAW));
+    const withdraw = { ...WITHDRAW, status: "sending", payout_provider: "ton", payout_meta: meta };
+
+    assert.equal((await atTime(VALID_UNTIL - 200, () => provider.reconcilePayout(withdraw))).state, "unknown");
+    assert.equal((await atTime(VALID_UNTIL + 61, () => provider.reconcilePayout(withdraw))).state, "unsent");
+
+    chain.seqno = 8;
+    chain.transactions = [
+      {
+        transaction_id: { lt: "100", hash: TX_HASH_B64 },
+        in_msg: { hash: Buffer.from(VECTOR_MSG_HASH, "hex").toString("base64") },
+        out_msgs: [],
+      },
+    ];
+    // Applied but reverted still counts as sent: withdraw_confirm refunds it.
+    assert.equal((await atTime(VALID_UNTIL + 61, () => provider.reconcilePayout(withdraw))).state, "sent");
+  });
+});
+
+test("prepareBatchPayout signs one transfer for the batch and splits out invalid items", async () => {
+  await withProvider(async (provider, chain) => {
+    const batch = await atTime(VALID_UNTIL - 300, () =>
+      provider.prepareBatchPayout([
+        WITHDRAW,
+        { id: 43, rail: "ton", wallet: "UQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqEBI", token_amount: "0.25" },
+        { id: 44, rail: "ton", wallet: "not-a-wallet", token_amount: "1" },
+      ])
+    );
+    assert.equal(chain.sent.length, 0);
+
+    // Same transfer as the two-recipient vector in test/ton.test.js.
+    assert.equal(batch.meta.msg_hash, "955c9e71dadf0babbd90f698ce177ddab41a9ac8b789ea3cf07bb9f3585e9065");
+    assert.equal(batch.meta.count, 2);
+    assert.deepEqual(
+      batch.results.map((r) => [r.withdraw_id, r.ok, r.ok ? r.meta.msg_hash : null]),
+      [
+        [44, false, null],
+        [42, true, batch.meta.msg_hash],
+        [43, true, batch.meta.msg_hash],
+      ]
+    );
+
+    await provider.broadcast(batch.meta);
+    assert.equal(chain.sent[0].toString("base64"), batch.meta.boc);
+  });
+});
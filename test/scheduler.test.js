@@ -0,0 +1,109 @@
+// test/scheduler.test.js
+// Cron parsing, occurrence search and app_settings overrides in lib/scheduler.js.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextCronTime, resolveRecurringJobs } = require("../lib/scheduler");
+
+const at = (iso) => new Date(iso);
+
+function next(expr, fromIso) {
+  const d = nextCronTime(parseCron(expr), at(fromIso));
+  return d && d.toISOString();
+}
+
+test("parseCron expands wildcards, ranges, steps and lists", () => {
+  const cron = parseCron("*/15 9-17 1,15 * 1-5");
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.dom], [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual([...cron.dow], [1, 2, 3, 4, 5]);
+  assert.equal(cron.domAny, false);
+  assert.equal(cron.dowAny, false);
+
+  assert.deepEqual([...parseCron("5/20 * * * *").minute], [5, 25, 45]);
+  assert.deepEqual([...parseCron("0 0-12/6 * * *").hour], [0, 6, 12]);
+  // 7 is Sunday as well as 0.
+  assert.ok(parseCron("0 0 * * 7").dow.has(0));
+  assert.equal(parseCron("  20  *  * * *  ").domAny, true);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  for (const expr of [
+    "",
+    "* * * *",
+    "* * * * * *",
+    "60 * * * *",
+    "* 24 * * *",
+    "* * 0 * *",
+    "* * * 13 *",
+    "* * * * 8",
+    "*/0 * * * *",
+    "10-5 * * * *",
+    "a * * * *",
+  ]) {
+    assert.throws(() => parseCron(expr), /^Error: cron: /, expr);
+  }
+});
+
+test("nextCronTime returns the first occurrence strictly after `from`", () => {
+  assert.equal(next("*/15 * * * *", "2026-03-01T10:00:00Z"), "2026-03-01T10:15:00.000Z");
+  assert.equal(next("*/15 * * * *", "2026-03-01T10:14:59.999Z"), "2026-03-01T10:15:00.000Z");
+  assert.equal(next("20 * * * *", "2026-03-01T10:20:30Z"), "2026-03-01T11:20:00.000Z");
+  assert.equal(next("15 3 * * *", "2026-03-01T04:00:00Z"), "2026-03-02T03:15:00.000Z");
+});
+
+test("nextCronTime rolls over days, months and years", () => {
+  assert.equal(next("0 0 1 * *", "2026-01-31T12:00:00Z"), "2026-02-01T00:00:00.000Z");
+  assert.equal(next("30 6 * 3 *", "2026-03-31T07:00:00Z"), "2027-03-01T06:30:00.000Z");
+  assert.equal(next("0 0 29 2 *", "2026-03-01T00:00:00Z"), "2028-02-29T00:00:00.000Z");
+  assert.equal(next("59 23 31 12 *", "2026-12-31T23:59:00Z"), "2027-12-31T23:59:00.000Z");
+});
+
+test("nextCronTime matches either day field when both are restricted", () => {
+  // 2026-03-02 is a Monday.
+  assert.equal(next("0 12 * * 1", "2026-03-01T00:00:00Z"), "2026-03-02T12:00:00.000Z");
+  assert.equal(next("0 12 15 * *", "2026-03-01T00:00:00Z"), "2026-03-15T12:00:00.000Z");
+  assert.equal(next("0 12 15 * 1", "2026-03-03T00:00:00Z"), "2026-03-09T12:00:00.000Z");
+  assert.equal(next("0 12 10 * 1", "2026-03-09T13:00:00Z"), "2026-03-10T12:00:00.000Z");
+});
+
+test("nextCronTime gives up on dates that never occur", () => {
+  assert.equal(next("0 0 31 2 *", "2026-01-01T00:00:00Z"), null);
+});
+
+test("resolveRecurringJobs applies app_settings overrides and skips invalid entries", () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg, meta) => warnings.push(meta.name);
+  let jobs;
+  try {
+    jobs = resolveRecurringJobs({
+      recurring_jobs: {
+        tap_packets_cleanup: { cron: "*/30 * * * *", payload: { retention_hours: 24 } },
+        ad_sessions_expiry: { enabled: false },
+        nightly_sync: { cron: "15 3 * * *", type: "sync_user", payload: { user_id: 1 } },
+        broken_cron: { cron: "every day", type: "sync_user" },
+        no_type: { cron: "* * * * *" },
+      },
+    });
+  } finally {
+    console.warn = warn;
+  }
+  const byName = Object.fromEntries(jobs.map((j) => [j.name, j]));
+
+  assert.equal(byName.tap_packets_cleanup.cronExpr, "*/30 * * * *");
+  assert.equal(byName.tap_packets_cleanup.type, "cleanup_tap_packets");
+  assert.deepEqual(byName.tap_packets_cleanup.payload, { retention_hours: 24 });
+  assert.equal(byName.tap_packets_cleanup.queue, "housekeeping");
+  assert.ok(!byName.ad_sessions_expiry);
+  assert.ok(byName.idempotency_keys_expiry);
+
+  assert.equal(byName.nightly_sync.type, "sync_user");
+  assert.deepEqual([...byName.nightly_sync.cron.hour], [3]);
+  assert.equal(byName.nightly_sync.priority, 0);
+
+  assert.ok(!byName.broken_cron && !byName.no_type);
+  assert.deepEqual(warnings.sort(), ["broken_cron", "no_type"]);
+});
@@ -0,0 +1,116 @@
+// test/ton.test.js
+// Pins lib/ton.js against known vectors. The transfer BOCs were produced by the
+// reference TON SDK (@ton/core + @ton/ton WalletContractV4) from the same inputs;
+// the key is the RFC 8032 Ed25519 test 1 key pair.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { parseTonAddress, beginCell, serializeBoc, buildWalletV4Transfer } = require("../lib/ton");
+
+const SEED = Buffer.from("9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60", "hex");
+const PUBLIC_KEY = Buffer.from("d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a", "hex");
+
+// Wallet v4r2 (workchain 0, default subwallet) of the key above.
+const WALLET = "EQDNrJfJFisuFBrURjgosqcO_fh2K5foNWPzUr7PkC6Ipopv";
+const DEST = "EQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p4q2";
+const DEST_NON_BOUNCEABLE = "UQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqEBI";
+
+test("parseTonAddress decodes user-friendly addresses and checks the CRC16", () => {
+  const a = parseTonAddress(DEST);
+  assert.equal(a.raw, "0:ed1691307050047117b998b561d8de82d31fbf84910ced6eb5fc92e7485ef8a7");
+  assert.equal(a.workchain, 0);
+  assert.equal(a.bounceable, true);
+
+  const b = parseTonAddress(DEST_NON_BOUNCEABLE);
+  assert.equal(b.raw, "0:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a8");
+  assert.equal(b.bounceable, false);
+
+  // Same address, checksum 0x8ab6 -> 0x8ab7.
+  assert.throws(() => parseTonAddress(`${DEST.slice(0, -1)}3`), /checksum/);
+  assert.equal(parseTonAddress(a.raw).raw, a.raw);
+});
+
+test("serializeBoc matches the reference encoding", () => {
+  const cell = beginCell()
+    .storeUint(0xdeadbeef, 32)
+    .storeBit(1)
+    .storeRef(beginCell().storeUint(5, 3).endCell())
+    .endCell();
+  assert.equal(cell.hash().toString("hex"), "8aa8ddcb8f027abefa03e7264584abdcffd3e6e426f44b83d3cc1a591b483d0d");
+  assert.equal(serializeBoc(cell).toString("hex"), "b5ee9c7241010201000b000109deadbeefc0010001b0c72a1d10");
+});
+
+test("buildWalletV4Transfer matches the reference SDK for a two-recipient transfer", () => {
+  const { boc, hash } = buildWalletV4Transfer({
+    wallet: parseTonAddress(WALLET),
+    secretSeed: SEED,
+    seqno: 7,
+    validUntil: 1760000000,
+    messages: [
+      { to: parseTonAddress(DEST), amountNano: 1500000000n, comment: "withdraw:42", bounce: true },
+      { to: parseTonAddress(DEST_NON_BOUNCEABLE), amountNano: 250000000n, comment: "withdraw:43", bounce: false },
+    ],
+  });
+
+  assert.equal(hash, "955c9e71dadf0babbd90f698ce177ddab41a9ac8b789ea3cf07bb9f3585e9065");
+  assert.equal(
+    boc.toString("base64"),
+    "te6cckECAwEAAQAAAuOIAZtZL5IsVlwoNaiMcFFlTh378OxXL9Bqx+alfZ8gXRFMBBY2dm85zL+5EkPPECCAYhW6atWaNX9KvFfGNMSAO3iyXvpVzCqvMusBnyVMOEB0UHXwdy/CYPiUXVDJ8qnz0GFNTRi7RzvAAAAAADgAGBwBAgCGYgB2i0iYOCgCOIvczFqw7G9BaY/fwkiGdrda/klzpC98U6LLQXgAAAAAAAAAAAAAAAAAAAAAAAB3aXRoZHJhdzo0MgCGQgBB7+qpcxuU2jl+XmRiL15jNIuBKsW0djqT8N0gHQeY1CB3NZQAAAAAAAAAAAAAAAAAAAAAAAB3aXRoZHJhdzo0MxDKKDU="
+  );
+});
+
+test("buildWalletV4Transfer signs the wallet v4 signing cell with the Ed25519 seed", () => {
+  const wallet = parseTonAddress(WALLET);
+  const to = parseTonAddress(DEST);
+  const { boc } = buildWalletV4Transfer({
+    wallet,
+    secretSeed: SEED,
+    seqno: 7,
+    validUntil: 1760000000,
+    messages: [{ to, amountNano: 1500000000n, comment: "withdraw:42", bounce: true }],
+  });
+
+  // Single-cell-root BOC: the root cell data starts after the 11-byte header
+  // and its 2 descriptor bytes. The signature follows the 277-bit external
+  // message header (ext_in_msg_info, src, dest, import_fee, init, body bit).
+  const root = boc.subarray(13);
+  let bits = "";
+  for (const byte of root.subarray(0, 100)) bits += byte.toString(2).padStart(8, "0");
+  const signature = Buffer.from(bits.slice(277, 277 + 512).match(/.{8}/g).map((b) => parseInt(b, 2)));
+  assert.equal(
+    signature.toString("hex"),
+    "7a56e8d1eb14cb9f3c0f62a5e80241aa0caa44bce45b3b66dbb480029546bef9709aa48cb85950b62744bfe25cbeb4ac27224c679edcac4bba328408fb012b0d"
+  );
+
+  // Rebuild what the wallet contract checks the signature against.
+  const internal = beginCell()
+    .storeUint(0b0110, 4) // int_msg_info, ihr_disabled, bounce, not bounced
+    .storeUint(0, 2) // src: addr_none
+    .storeAddress(to)
+    .storeCoins(1500000000n)
+    .storeBit(0)
+    .storeCoins(0)
+    .storeCoins(0)
+    .storeUint(0, 64)
+    .storeUint(0, 32)
+    .storeBit(0) // no state init
+    .storeBit(0) // body inline
+    .storeUint(0, 32)
+    .storeBuffer(Buffer.from("withdraw:42"))
+    .endCell();
+  const signing = beginCell()
+    .storeUint(698983191, 32)
+    .storeUint(1760000000, 32)
+    .storeUint(7, 32)
+    .storeUint(0, 8)
+    .storeUint(3, 8)
+    .storeRef(internal)
+    .endCell();
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([Buffer.from("302a300506032b6570032100", "hex"), PUBLIC_KEY]),
+    format: "der",
+    type: "spki",
+  });
+  assert.ok(crypto.verify(null, signing.hash(), publicKey, signature));
+});
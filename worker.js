@@ -2,29 +2,94 @@
 // Simple background worker that processes jobs from public.jobs.
 // Intended to be run as a separate process / Render service:
 //   node worker.js
+//
+// Jobs are routed to named queues (see lib/jobs.js). Each queue gets its own
+// polling slots, configured with JOBS_QUEUES, e.g.:
+//   JOBS_QUEUES="payouts:2,default:1,housekeeping:1"
+// Within a queue, higher priority runs first, then the oldest run_at.
+// Keep the total slot count below the pg pool size (10 by default).
+//
+// WORKER_NAME must be unique per running instance: it identifies the worker in
+// public.workers (heartbeats) and in jobs.locked_by. The reaper hands jobs left
+// 'processing' past the lease (worker died, or the outcome could not be
+// recorded) back to pending.
 
+const os = require("os");
 const { pool, withTransaction } = require("./lib/db");
 const { runJobHandler, NonRetryableJobError } = require("./lib/jobHandlers");
+const { flushDueTapBuffersTx } = require("./lib/tapBuffer");
+const { createSnapshotRunTx } = require("./lib/snapshots");
+const {
+  enqueueJobTx,
+  getRetryPolicy,
+  computeRetryDelayMs,
+  moveJobToDeadLetterTx,
+  reapStaleJobsTx,
+  WORKER_LEASE_TIMEOUT_MS,
+} = require("./lib/jobs");
+const { runSchedulerTickTx } = require("./lib/scheduler");
+const { loadConfig } = require("./lib/config");
 
 const WORKER_NAME = process.env.WORKER_NAME || "jigcoin-worker";
 const POLL_INTERVAL_MS = Number(process.env.JOBS_POLL_INTERVAL_MS || 2000);
-const MAX_ATTEMPTS = Number(process.env.JOBS_MAX_ATTEMPTS || 8);
+const HEARTBEAT_INTERVAL_MS = Number(process.env.WORKER_HEARTBEAT_INTERVAL_MS || 15000);
+const REAPER_INTERVAL_MS = Number(process.env.WORKER_REAPER_INTERVAL_MS || 30000);
+
+// "queue:concurrency" pairs; a queue without a count gets one slot.
+function parseQueueConfig(raw) {
+  const out = [];
+  for (const part of String(raw || "").split(",")) {
+    const [name, countRaw] = part.trim().split(":");
+    if (!name) continue;
+    const concurrency = Math.max(1, Math.min(16, Number(countRaw || 1) || 1));
+    out.push({ queue: name.trim(), concurrency });
+  }
+  return out;
+}
+
+const QUEUES = parseQueueConfig(
+  process.env.JOBS_QUEUES || "payouts:2,default:1,housekeeping:1"
+);
+
+// Global ledger reconciliation (reconcile_ledger job). Set the interval to 0 to disable.
+const RECONCILE_INTERVAL_MS = Number(
+  process.env.LEDGER_RECONCILE_INTERVAL_MS || 6 * 60 * 60 * 1000
+);
+const RECONCILE_BATCH_SIZE = Number(process.env.LEDGER_RECONCILE_BATCH_SIZE || 500);
+const RECONCILE_ENQUEUE_SYNC =
+  String(process.env.LEDGER_RECONCILE_ENQUEUE_SYNC || "0") === "1";
+const RECONCILE_LOCK_KEY = 482913; // shared across worker instances
+
+// How often to flush aged tap_reward_buffer rows into tap_batch ledger entries.
+const TAP_FLUSH_INTERVAL_MS = Number(process.env.TAP_LEDGER_FLUSH_INTERVAL_MS || 15000);
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function fetchAndLockNextJob(client) {
-  const { rows } = await client.query(
-    `
-    SELECT *
-    FROM public.jobs
-    WHERE status = 'pending'
-      AND run_at <= NOW()
-    ORDER BY run_at ASC
-    FOR UPDATE SKIP LOCKED
-    LIMIT 1;
+// Claim the next runnable job on `queue` by flipping it to 'processing' in a
+// single statement, so no other slot or worker instance can pick it up.
+async function claimNextJob(queue) {
+  const { rows } = await pool.query(
     `
+    UPDATE public.jobs
+    SET status = 'processing',
+        locked_by = $2,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE id = (
+      SELECT id
+      FROM public.jobs
+      WHERE status = 'pending'
+        AND queue = $1
+        AND run_at <= NOW()
+      ORDER BY priority DESC, run_at ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *;
+    `,
+    [queue, WORKER_NAME]
   );
   return rows[0] || null;
 }
@@ -36,6 +101,8 @@ async function markJobStatus(client, jobId, status, errorMessage) {
     UPDATE public.jobs
     SET status = $2,
         last_error = $3,
+        locked_by = NULL,
+        locked_at = NULL,
         updated_at = NOW()
     WHERE id = $1;
     `,
@@ -43,6 +110,32 @@ async function markJobStatus(client, jobId, status, errorMessage) {
   );
 }
 
+// Append the failed attempt to error_history and, when retrying, push run_at
+// out by the job type's backoff delay.
+async function recordJobFailure(client, jobId, { attempts, errorMessage, retryDelayMs }) {
+  const errText = errorMessage ? String(errorMessage).slice(0, 500) : null;
+  const entry = {
+    at: new Date().toISOString(),
+    attempt: attempts,
+    worker: WORKER_NAME,
+    error: errText,
+  };
+  await client.query(
+    `
+    UPDATE public.jobs
+    SET status = 'pending',
+        last_error = $2,
+        error_history = COALESCE(error_history, '[]'::jsonb) || jsonb_build_array($3::jsonb),
+        run_at = NOW() + ($4::int * INTERVAL '1 millisecond'),
+        locked_by = NULL,
+        locked_at = NULL,
+        updated_at = NOW()
+    WHERE id = $1;
+    `,
+    [jobId, errText, JSON.stringify(entry), Math.max(0, Math.round(retryDelayMs || 0))]
+  );
+}
+
 async function incrementAttempts(client, jobId) {
   await client.query(
     `
@@ -59,10 +152,14 @@ async function incrementAttempts(client, jobId) {
 async function processJob(job) {
   await withTransaction(async (client) => {
     await incrementAttempts(client, job.id);
+    // Savepoint so a handler SQL error does not abort the transaction we still
+    // need for recording the failure.
+    await client.query("SAVEPOINT job_handler");
     try {
       await runJobHandler(client, job);
       await markJobStatus(client, job.id, "completed", null);
     } catch (err) {
+      await client.query("ROLLBACK TO SAVEPOINT job_handler");
       const attemptsRes = await client.query(
         `SELECT attempts FROM public.jobs WHERE id = $1`,
         [job.id]
@@ -70,51 +167,262 @@ async function processJob(job) {
       const attempts = attemptsRes.rows[0]?.attempts || 0;
       const isPermanent =
         err && (err.permanent === true || err instanceof NonRetryableJobError);
-      const finalStatus =
-        isPermanent || attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+      const { maxAttempts } = getRetryPolicy(job.type);
+      const exhausted = isPermanent || attempts >= maxAttempts;
+      const retryDelayMs = exhausted ? 0 : computeRetryDelayMs(job.type, attempts);
       console.error("Error processing job", {
         id: job.id,
         type: job.type,
         attempts,
         permanent: isPermanent,
+        retry_in_ms: exhausted ? null : retryDelayMs,
         err: err.message || err,
       });
-      await markJobStatus(
-        client,
-        job.id,
-        finalStatus,
-        err.message || String(err)
-      );
+      await recordJobFailure(client, job.id, {
+        attempts,
+        errorMessage: err.message || String(err),
+        retryDelayMs,
+      });
+      if (exhausted) {
+        const deadLetterId = await moveJobToDeadLetterTx(client, job.id, {
+          permanent: isPermanent,
+        });
+        console.error("Job moved to dead letter", {
+          id: job.id,
+          type: job.type,
+          dead_letter_id: deadLetterId,
+        });
+      }
     }
   });
 }
 
-async function workerLoop() {
-  console.log(`[${WORKER_NAME}] starting worker loop`);
-  // Ensure pool is healthy
-  await pool.query("SELECT 1");
+// processJob threw outside the handler (e.g. the failure could not be recorded,
+// or the commit failed), so its transaction rolled back and the job is still
+// 'processing'. Count the attempt and hand it back to pending with backoff
+// (dead-lettered once exhausted). If even this fails, the reaper picks the job
+// up once its lease runs out.
+async function releaseFailedJob(job, err) {
+  try {
+    await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        UPDATE public.jobs
+        SET attempts = attempts + 1
+        WHERE id = $1 AND status = 'processing' AND locked_by = $2
+        RETURNING attempts;
+        `,
+        [job.id, WORKER_NAME]
+      );
+      if (!rows.length) return;
+      const attempts = rows[0].attempts;
+      const exhausted = attempts >= getRetryPolicy(job.type).maxAttempts;
+      const retryDelayMs = exhausted ? 0 : computeRetryDelayMs(job.type, attempts);
+      await recordJobFailure(client, job.id, {
+        attempts,
+        errorMessage: `worker error: ${(err && err.message) || String(err)}`,
+        retryDelayMs,
+      });
+      if (exhausted) {
+        const deadLetterId = await moveJobToDeadLetterTx(client, job.id);
+        console.error("Job moved to dead letter", { id: job.id, type: job.type, dead_letter_id: deadLetterId });
+      } else {
+        console.warn("Job released for retry", { id: job.id, type: job.type, attempts, retry_in_ms: retryDelayMs });
+      }
+    });
+  } catch (releaseErr) {
+    console.error("Error releasing failed job", { id: job.id, type: job.type, err: releaseErr.message || releaseErr });
+  }
+}
+
+// Enqueue a new reconcile_ledger run when none is in flight and the last one
+// started more than RECONCILE_INTERVAL_MS ago. The advisory lock keeps several
+// worker instances from scheduling the same run twice.
+let lastReconcileCheckMs = 0;
+async function maybeScheduleLedgerReconciliation() {
+  if (!RECONCILE_INTERVAL_MS || RECONCILE_INTERVAL_MS <= 0) return;
+  const now = Date.now();
+  if (now - lastReconcileCheckMs < 60000) return;
+  lastReconcileCheckMs = now;
+
+  try {
+    await withTransaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock($1)", [RECONCILE_LOCK_KEY]);
+      const due = await client.query(
+        `
+        SELECT
+          NOT EXISTS (
+            SELECT 1 FROM public.jobs
+            WHERE type = 'reconcile_ledger'
+              AND status IN ('pending', 'processing')
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM public.ledger_reconciliation_runs
+            WHERE started_at > NOW() - make_interval(secs => $1)
+          ) AS due;
+        `,
+        [Math.floor(RECONCILE_INTERVAL_MS / 1000)]
+      );
+      if (!due.rows[0]?.due) return;
+
+      const jobId = await enqueueJobTx(client, "reconcile_ledger", {
+        batch_size: RECONCILE_BATCH_SIZE,
+        enqueue_sync: RECONCILE_ENQUEUE_SYNC,
+      });
+      console.log(`[${WORKER_NAME}] scheduled reconcile_ledger run`, { job_id: jobId });
+    });
+  } catch (err) {
+    console.error("Error scheduling ledger reconciliation", err.message || err);
+  }
+}
+
+// Flush buffered tap rewards that are older than TAP_LEDGER_FLUSH_AGE_MS.
+// SKIP LOCKED makes this safe to run from several worker instances.
+let lastTapFlushMs = 0;
+async function maybeFlushTapBuffers() {
+  const now = Date.now();
+  if (now - lastTapFlushMs < TAP_FLUSH_INTERVAL_MS) return;
+  lastTapFlushMs = now;
+
+  try {
+    const { flushed } = await withTransaction((client) => flushDueTapBuffersTx(client));
+    if (flushed > 0) {
+      console.log(`[${WORKER_NAME}] flushed tap buffers`, { flushed });
+    }
+  } catch (err) {
+    console.error("Error flushing tap buffers", err.message || err);
+  }
+}
+
+// End-of-day balance snapshot: once per UTC day, checkpoint balances as of the
+// most recent UTC midnight. The unique (kind, snapshot_at) run row makes this
+// safe across worker instances.
+let lastSnapshotCheckMs = 0;
+async function maybeScheduleDailySnapshot() {
+  const now = Date.now();
+  if (now - lastSnapshotCheckMs < 60000) return;
+  lastSnapshotCheckMs = now;
 
+  const d = new Date(now);
+  const midnight = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+
+  try {
+    const created = await withTransaction((client) =>
+      createSnapshotRunTx(client, { kind: "daily", snapshotAt: midnight })
+    );
+    if (created) {
+      console.log(`[${WORKER_NAME}] scheduled daily balance snapshot`, {
+        run_id: created.run.id,
+        snapshot_at: midnight.toISOString(),
+      });
+    }
+  } catch (err) {
+    console.error("Error scheduling daily balance snapshot", err.message || err);
+  }
+}
+
+// Cron-style recurring jobs (lib/scheduler.js). Checked every 30s; the
+// scheduler's advisory lock lets only one worker instance enqueue per tick.
+let lastRecurringTickMs = 0;
+async function maybeRunRecurringJobs() {
+  const now = Date.now();
+  if (now - lastRecurringTickMs < 30000) return;
+  lastRecurringTickMs = now;
+
+  try {
+    const config = await loadConfig();
+    const enqueued = await withTransaction((client) =>
+      runSchedulerTickTx(client, { config, now: new Date(now) })
+    );
+    for (const e of enqueued) {
+      console.log(`[${WORKER_NAME}] scheduled recurring job`, {
+        name: e.name,
+        job_id: e.jobId,
+        scheduled_for: e.scheduledFor.toISOString(),
+      });
+    }
+  } catch (err) {
+    console.error("Error running recurring job scheduler", err.message || err);
+  }
+}
+
+// Register this process in public.workers (started_at marks this run).
+async function registerWorker() {
+  await pool.query(
+    `
+    INSERT INTO public.workers (name, hostname, pid, queues, started_at, last_heartbeat_at)
+    VALUES ($1, $2, $3, $4, NOW(), NOW())
+    ON CONFLICT (name) DO UPDATE
+    SET hostname = EXCLUDED.hostname,
+        pid = EXCLUDED.pid,
+        queues = EXCLUDED.queues,
+        started_at = NOW(),
+        last_heartbeat_at = NOW();
+    `,
+    [WORKER_NAME, os.hostname(), process.pid, QUEUES.map((q) => `${q.queue}:${q.concurrency}`).join(",")]
+  );
+}
+
+async function heartbeatLoop() {
+  while (true) {
+    await sleep(HEARTBEAT_INTERVAL_MS);
+    try {
+      await pool.query(
+        `UPDATE public.workers SET last_heartbeat_at = NOW() WHERE name = $1`,
+        [WORKER_NAME]
+      );
+    } catch (err) {
+      console.error("Error writing worker heartbeat", err.message || err);
+    }
+  }
+}
+
+// Hand lost 'processing' jobs back to pending (see reapStaleJobsTx).
+// SKIP LOCKED makes this safe to run from every worker instance.
+let lastReapMs = 0;
+async function maybeReapStaleJobs() {
+  const now = Date.now();
+  if (now - lastReapMs < REAPER_INTERVAL_MS) return;
+  lastReapMs = now;
+
+  try {
+    const reaped = await withTransaction((client) =>
+      reapStaleJobsTx(client, { leaseMs: WORKER_LEASE_TIMEOUT_MS })
+    );
+    for (const r of reaped) {
+      console.warn(`[${WORKER_NAME}] reaped stale job`, {
+        id: r.id,
+        type: r.type,
+        locked_by: r.lockedBy,
+        dead_letter_id: r.deadLetterId,
+      });
+    }
+  } catch (err) {
+    console.error("Error reaping stale jobs", err.message || err);
+  }
+}
+
+// Periodic scheduling / maintenance, independent of the job slots.
+async function maintenanceLoop() {
+  while (true) {
+    await maybeReapStaleJobs();
+    await maybeRunRecurringJobs();
+    await maybeScheduleLedgerReconciliation();
+    await maybeFlushTapBuffers();
+    await maybeScheduleDailySnapshot();
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// One job slot: claims and runs jobs from a single queue, one at a time.
+async function queueLoop(queue, slot) {
+  const slotName = `${WORKER_NAME}:${queue}:${slot}`;
   while (true) {
     let job = null;
-    const client = await pool.connect();
     try {
-      await client.query("BEGIN");
-      job = await fetchAndLockNextJob(client);
-      if (!job) {
-        await client.query("COMMIT");
-        await client.release();
-        job = null;
-      } else {
-        // We keep the row locked for this transaction; it'll be processed in processJob.
-        await client.query("COMMIT");
-        await client.release();
-      }
+      job = await claimNextJob(queue);
     } catch (err) {
-      try {
-        await client.query("ROLLBACK");
-      } catch (_) {}
-      client.release();
-      console.error("Error fetching job", err);
+      console.error("Error fetching job", { queue, slot: slotName, err: err.message || err });
     }
 
     if (!job) {
@@ -125,9 +433,27 @@ async function workerLoop() {
     try {
       await processJob(job);
     } catch (err) {
-      console.error("Unexpected error processing job", err);
+      console.error("Unexpected error processing job", { id: job.id, type: job.type, err });
+      await releaseFailedJob(job, err);
+    }
+  }
+}
+
+async function workerLoop() {
+  console.log(`[${WORKER_NAME}] starting worker loop`, {
+    queues: QUEUES.map((q) => `${q.queue}:${q.concurrency}`).join(","),
+  });
+  // Ensure pool is healthy
+  await pool.query("SELECT 1");
+  await registerWorker();
+
+  const loops = [heartbeatLoop(), maintenanceLoop()];
+  for (const { queue, concurrency } of QUEUES) {
+    for (let slot = 0; slot < concurrency; slot += 1) {
+      loops.push(queueLoop(queue, slot));
     }
   }
+  await Promise.all(loops);
 }
 
 workerLoop().catch((err) => {